@@ -0,0 +1,162 @@
+// Accessibility mode for blind and low-vision riders: screen reader announcements in live
+// regions, distance announcements every few hundred meters inside the alert zones,
+// a high-contrast large-text theme and an optional periodic spoken distance readout
+const ACCESSIBILITY_STORAGE_KEY = 'busStopAlert.accessibility';
+const LIVE_REGION_DELAY_MS = 100; // empty the region first so repeating a message reads it again
+const STATUS_DURATION_MS = 3000;
+const ACCESSIBLE_STATUS_DURATION_MS = 8000;
+const ANNOUNCE_STEP_OPTIONS = [0, 100, 200, 500]; // meters, 0 = off
+const READOUT_INTERVAL_OPTIONS = [0, 30, 60, 120, 300]; // seconds, 0 = off
+
+const DEFAULT_ACCESSIBILITY_SETTINGS = {
+    highContrast: null, // null follows the system "increase contrast" setting
+    announceStep: 200,
+    readoutSeconds: 0
+};
+
+let accessibilitySettings = loadAccessibilitySettings();
+let closestAnnouncedStep = null;
+let announcedTarget = null;
+let lastReadoutAt = 0;
+
+// Load the accessibility settings from local storage
+function loadAccessibilitySettings() {
+    try {
+        const saved = JSON.parse(localStorage.getItem(ACCESSIBILITY_STORAGE_KEY));
+        return { ...DEFAULT_ACCESSIBILITY_SETTINGS, ...(saved || {}) };
+    } catch (err) {
+        console.warn('Could not load accessibility settings:', err);
+        return { ...DEFAULT_ACCESSIBILITY_SETTINGS };
+    }
+}
+
+// Save the accessibility settings
+function saveAccessibilitySettings(settings) {
+    accessibilitySettings = { ...accessibilitySettings, ...settings };
+    localStorage.setItem(ACCESSIBILITY_STORAGE_KEY, JSON.stringify(accessibilitySettings));
+}
+
+// Whether the high-contrast large-text theme is on
+function isHighContrast() {
+    if (accessibilitySettings.highContrast !== null) {
+        return accessibilitySettings.highContrast;
+    }
+    return window.matchMedia('(prefers-contrast: more)').matches;
+}
+
+// How long a status message stays on screen; longer for riders who read slowly or zoomed in
+function getStatusDuration() {
+    return isHighContrast() ? ACCESSIBLE_STATUS_DURATION_MS : STATUS_DURATION_MS;
+}
+
+// Have screen readers read a message: politely, or interrupting for warnings and errors
+function announce(message, { assertive = false } = {}) {
+    const region = document.getElementById(assertive ? 'a11y-alert' : 'a11y-status');
+    region.textContent = '';
+    setTimeout(() => {
+        region.textContent = message;
+    }, LIVE_REGION_DELAY_MS);
+}
+
+// Announce the distance each time it drops past another step inside the outermost alert zone.
+// Only a new closest step counts, so GPS jitter on a step edge doesn't repeat it.
+function announceDistanceProgress(distance, target) {
+    if (target !== announcedTarget) {
+        announcedTarget = target;
+        closestAnnouncedStep = null;
+    }
+
+    const step = accessibilitySettings.announceStep / 1000;
+    const outerZone = Math.max(...alertStages.map(stage => stage.distance));
+    if (!step || distance > outerZone) {
+        closestAnnouncedStep = null;
+        return;
+    }
+
+    const stepIndex = Math.ceil(distance / step);
+    if (closestAnnouncedStep !== null && stepIndex >= closestAnnouncedStep) return;
+
+    closestAnnouncedStep = stepIndex;
+    announce(t('a11y.distance', { name: target.name, distance: formatDistance(distance) }));
+}
+
+// Speak the distance every few seconds while tracking, without talking over a ringing alert
+function speakDistanceReadout(distance, target) {
+    const interval = accessibilitySettings.readoutSeconds * 1000;
+    const now = Date.now();
+    if (!interval || now - lastReadoutAt < interval || activeEscalation) return;
+    if ('speechSynthesis' in window && speechSynthesis.speaking) return;
+
+    lastReadoutAt = now;
+    speakText(buildStopAnnouncement(target.name, distance));
+}
+
+// Start a tracking session with nothing announced yet
+function resetTrackingAnnouncements() {
+    closestAnnouncedStep = null;
+    announcedTarget = null;
+    lastReadoutAt = 0;
+}
+
+// Switch the high-contrast large-text theme on or off
+function applyHighContrast() {
+    document.documentElement.classList.toggle('high-contrast', isHighContrast());
+}
+
+// Fill a select with distance or interval choices, "off" first
+function fillAccessibilitySelect(select, values, format) {
+    select.innerHTML = '';
+    values.forEach(value => {
+        const option = document.createElement('option');
+        option.value = String(value);
+        option.textContent = value === 0 ? t('a11y.off') : format(value);
+        select.appendChild(option);
+    });
+}
+
+// Render the accessibility settings from the saved values
+function renderAccessibilitySettings() {
+    document.getElementById('high-contrast-checkbox').checked = isHighContrast();
+
+    const stepSelect = document.getElementById('announce-step-select');
+    fillAccessibilitySelect(stepSelect, ANNOUNCE_STEP_OPTIONS, meters => formatDistance(meters / 1000));
+    stepSelect.value = String(accessibilitySettings.announceStep);
+
+    const readoutSelect = document.getElementById('readout-interval-select');
+    fillAccessibilitySelect(readoutSelect, READOUT_INTERVAL_OPTIONS, seconds => seconds < 60
+        ? t('a11y.seconds', { count: seconds })
+        : formatDuration(seconds / 60));
+    readoutSelect.value = String(accessibilitySettings.readoutSeconds);
+}
+
+// Wire the accessibility settings and follow the tracking engine
+function initAccessibility() {
+    applyHighContrast();
+    renderAccessibilitySettings();
+
+    document.getElementById('high-contrast-checkbox').addEventListener('change', (e) => {
+        saveAccessibilitySettings({ highContrast: e.target.checked });
+        applyHighContrast();
+    });
+    document.getElementById('announce-step-select').addEventListener('change', (e) => {
+        saveAccessibilitySettings({ announceStep: Number(e.target.value) });
+        closestAnnouncedStep = null;
+    });
+    document.getElementById('readout-interval-select').addEventListener('change', (e) => {
+        saveAccessibilitySettings({ readoutSeconds: Number(e.target.value) });
+        lastReadoutAt = 0;
+    });
+
+    // Follow the system setting until the rider picks one
+    window.matchMedia('(prefers-contrast: more)').addEventListener('change', () => {
+        applyHighContrast();
+        renderAccessibilitySettings();
+    });
+
+    trackingEngine.on('distance', ({ distance, target }) => {
+        announceDistanceProgress(distance, target);
+        speakDistanceReadout(distance, target);
+    });
+
+    onLanguageChange(renderAccessibilitySettings);
+}
@@ -0,0 +1,61 @@
+// Shared IndexedDB database: GTFS stops, recorded trips and offline map tiles
+const APP_DB_NAME = 'busStopAlert';
+const APP_DB_VERSION = 3;
+
+let appDb = null;
+
+// Open (and create or upgrade on first use) the IndexedDB database
+function openAppDb() {
+    if (appDb) {
+        return Promise.resolve(appDb);
+    }
+
+    return new Promise((resolve, reject) => {
+        if (!('indexedDB' in window)) {
+            reject(new Error(t('db.unsupported')));
+            return;
+        }
+
+        const request = indexedDB.open(APP_DB_NAME, APP_DB_VERSION);
+
+        request.onupgradeneeded = () => {
+            const db = request.result;
+            if (!db.objectStoreNames.contains('stops')) {
+                db.createObjectStore('stops', { keyPath: 'id' });
+            }
+            if (!db.objectStoreNames.contains('meta')) {
+                db.createObjectStore('meta', { keyPath: 'key' });
+            }
+            if (!db.objectStoreNames.contains('trips')) {
+                db.createObjectStore('trips', { keyPath: 'id' });
+            }
+            if (!db.objectStoreNames.contains('tiles')) {
+                const tiles = db.createObjectStore('tiles', { keyPath: 'key' });
+                tiles.createIndex('lastUsed', 'lastUsed');
+            }
+        };
+
+        request.onsuccess = () => {
+            appDb = request.result;
+            resolve(appDb);
+        };
+        request.onerror = () => reject(request.error);
+    });
+}
+
+// Wrap an IndexedDB request in a promise
+function idbRequest(request) {
+    return new Promise((resolve, reject) => {
+        request.onsuccess = () => resolve(request.result);
+        request.onerror = () => reject(request.error);
+    });
+}
+
+// Wait for an IndexedDB transaction to finish
+function idbTransactionDone(transaction) {
+    return new Promise((resolve, reject) => {
+        transaction.oncomplete = () => resolve();
+        transaction.onerror = () => reject(transaction.error);
+        transaction.onabort = () => reject(transaction.error);
+    });
+}
@@ -0,0 +1,262 @@
+// Alert escalation: repeat an alert with rising volume until the rider acknowledges it,
+// plus vibration patterns, spoken announcements and a custom ringtone
+const ESCALATION_SETTINGS_STORAGE_KEY = 'busStopAlert.escalation';
+const ESCALATION_START_VOLUME = 0.4;
+const ESCALATION_VOLUME_STEP = 0.2;
+const ESCALATION_MAX_ROUNDS = 40; // stop eventually so a forgotten phone doesn't ring all day
+const RINGTONE_META_KEY = 'ringtone';
+const RINGTONE_MAX_BYTES = 5 * 1024 * 1024;
+
+// Vibration patterns for navigator.vibrate (ms on, ms off, ...)
+const VIBRATION_PATTERNS = {
+    none: { labelKey: 'vibration.none', pattern: [] },
+    short: { labelKey: 'vibration.short', pattern: [200, 100, 200] },
+    long: { labelKey: 'vibration.long', pattern: [800, 300, 800, 300, 800] },
+    pulse: { labelKey: 'vibration.pulse', pattern: [100, 100, 100, 100, 100, 100, 400] },
+    sos: { label: 'SOS', pattern: [100, 100, 100, 100, 100, 300, 300, 100, 300, 100, 300, 300, 100, 100, 100, 100, 100] },
+    custom: { labelKey: 'vibration.custom', pattern: null } // from settings
+};
+
+const DEFAULT_ESCALATION_SETTINGS = {
+    repeat: false,          // repeat until "I'm getting off" is pressed
+    repeatSeconds: 15,
+    vibration: 'short',
+    customVibration: '500,200,500',
+    speech: false
+};
+
+let escalationSettings = loadEscalationSettings();
+let activeEscalation = null;     // { message, stage, spoken, notificationBody, round, timer }
+let focusBeforeAlert = null;
+let defaultRingtoneSrc = null;
+let customRingtoneUrl = null;
+let customRingtoneName = null; // file name of the uploaded ringtone, for the settings text
+
+// Load the escalation settings from local storage
+function loadEscalationSettings() {
+    try {
+        const saved = JSON.parse(localStorage.getItem(ESCALATION_SETTINGS_STORAGE_KEY));
+        const settings = { ...DEFAULT_ESCALATION_SETTINGS, ...(saved || {}) };
+        if (!VIBRATION_PATTERNS[settings.vibration]) {
+            settings.vibration = DEFAULT_ESCALATION_SETTINGS.vibration;
+        }
+        return settings;
+    } catch (err) {
+        console.warn('Could not load escalation settings:', err);
+        return { ...DEFAULT_ESCALATION_SETTINGS };
+    }
+}
+
+// Save the escalation settings
+function saveEscalationSettings(settings) {
+    escalationSettings = { ...escalationSettings, ...settings };
+    localStorage.setItem(ESCALATION_SETTINGS_STORAGE_KEY, JSON.stringify(escalationSettings));
+}
+
+// Parse "500,200,500" into a vibration pattern, dropping anything that isn't a duration
+function parseVibrationPattern(text) {
+    return String(text)
+        .split(/[\s,]+/)
+        .map(value => parseInt(value, 10))
+        .filter(value => Number.isFinite(value) && value >= 0)
+        .map(value => Math.min(value, 5000))
+        .slice(0, 30);
+}
+
+// The vibration pattern currently selected
+function getVibrationPattern() {
+    const { vibration, customVibration } = escalationSettings;
+    return vibration === 'custom' ? parseVibrationPattern(customVibration) : VIBRATION_PATTERNS[vibration].pattern;
+}
+
+// Vibrate with the selected pattern, where supported
+function vibrateAlert() {
+    const pattern = getVibrationPattern();
+    if (pattern.length > 0 && 'vibrate' in navigator) {
+        navigator.vibrate(pattern);
+    }
+}
+
+// Distance in words that read well aloud, e.g. "300 מטר" or "1.5 קילומטר"
+function formatSpokenDistance(km) {
+    if (km < 1) {
+        return t('speech.meters', { value: Math.max(50, Math.round(km * 20) * 50) });
+    }
+    return t('speech.km', { value: Number(km.toFixed(1)) });
+}
+
+// The spoken announcement for approaching a stop
+function buildStopAnnouncement(stationName, distance) {
+    return t('speech.announcement', { name: stationName, distance: formatSpokenDistance(distance) });
+}
+
+// Speak an announcement when spoken alerts are on
+function speakAnnouncement(text) {
+    if (escalationSettings.speech) {
+        speakText(text);
+    }
+}
+
+// Speak with the speech synthesizer, in a voice of the current language when available
+function speakText(text) {
+    if (!('speechSynthesis' in window)) {
+        return;
+    }
+
+    const utterance = new SpeechSynthesisUtterance(text);
+    utterance.lang = getLocale();
+    const voice = speechSynthesis.getVoices().find(v => v.lang.toLowerCase().startsWith(currentLanguage));
+    if (voice) {
+        utterance.voice = voice;
+    }
+
+    speechSynthesis.cancel();
+    speechSynthesis.speak(utterance);
+}
+
+// Ring, vibrate and announce one round of the active alert
+function ringEscalationRound() {
+    const { stage, spoken, round } = activeEscalation;
+    const volume = escalationSettings.repeat
+        ? Math.min(1, ESCALATION_START_VOLUME + round * ESCALATION_VOLUME_STEP)
+        : 1;
+
+    playAlertSound(stage, volume);
+    vibrateAlert();
+    speakAnnouncement(spoken);
+}
+
+// Start ringing an alert, replacing any alert that is still ringing
+function startAlertEscalation(alert) {
+    stopAlertEscalation();
+    activeEscalation = { ...alert, round: 0, timer: null };
+    ringEscalationRound();
+
+    if (!escalationSettings.repeat) {
+        activeEscalation = null;
+        return;
+    }
+
+    document.getElementById('alert-overlay-message').textContent = alert.message;
+    document.getElementById('alert-overlay').style.display = 'flex';
+    // An alert dialog takes the focus, so the keyboard and screen readers land on "I'm getting off"
+    focusBeforeAlert = document.activeElement;
+    document.getElementById('ack-alert-btn').focus();
+
+    const scheduleNextRound = () => {
+        activeEscalation.timer = setTimeout(() => {
+            activeEscalation.round++;
+            ringEscalationRound();
+            if (activeEscalation.round < ESCALATION_MAX_ROUNDS) {
+                scheduleNextRound();
+            }
+        }, Math.max(5, escalationSettings.repeatSeconds) * 1000);
+    };
+    scheduleNextRound();
+}
+
+// Silence the ringing alert
+function stopAlertEscalation() {
+    if (activeEscalation) {
+        clearTimeout(activeEscalation.timer);
+        activeEscalation = null;
+    }
+
+    const overlay = document.getElementById('alert-overlay');
+    if (overlay.contains(document.activeElement) && focusBeforeAlert && document.contains(focusBeforeAlert)) {
+        focusBeforeAlert.focus();
+    }
+    focusBeforeAlert = null;
+    overlay.style.display = 'none';
+    if (alertSound) {
+        alertSound.pause();
+    }
+    if ('speechSynthesis' in window) {
+        speechSynthesis.cancel();
+    }
+    if ('vibrate' in navigator) {
+        navigator.vibrate(0);
+    }
+}
+
+// "I'm getting off": the rider has seen the alert
+function acknowledgeAlert() {
+    stopAlertEscalation();
+    showStatus(t('delivery.acknowledged'), 'success');
+}
+
+// Snooze the ringing alert
+function snoozeActiveAlert() {
+    const body = activeEscalation ? activeEscalation.notificationBody : '';
+    snoozeAlert(body);
+}
+
+// Point the alert sound at a ringtone
+function applyRingtone(src) {
+    if (!alertSound) return;
+    alertSound.src = src;
+    alertSound.load();
+}
+
+// Load the uploaded ringtone, if any, in place of the bundled one
+async function loadCustomRingtone() {
+    if (alertSound && !defaultRingtoneSrc) {
+        defaultRingtoneSrc = alertSound.src;
+    }
+
+    try {
+        const db = await openAppDb();
+        const saved = await idbRequest(db.transaction('meta').objectStore('meta').get(RINGTONE_META_KEY));
+        if (saved) {
+            if (customRingtoneUrl) {
+                URL.revokeObjectURL(customRingtoneUrl);
+            }
+            customRingtoneUrl = URL.createObjectURL(saved.blob);
+            applyRingtone(customRingtoneUrl);
+        }
+        customRingtoneName = saved ? saved.name : null;
+        return customRingtoneName;
+    } catch (err) {
+        console.warn('Could not load custom ringtone:', err);
+        return null;
+    }
+}
+
+// Store an uploaded audio file as the ringtone
+async function saveCustomRingtone(file) {
+    if (!file.type.startsWith('audio/')) {
+        throw new Error(t('delivery.ringtoneNotAudio'));
+    }
+    if (file.size > RINGTONE_MAX_BYTES) {
+        throw new Error(t('delivery.ringtoneTooLarge'));
+    }
+
+    const db = await openAppDb();
+    const transaction = db.transaction('meta', 'readwrite');
+    transaction.objectStore('meta').put({ key: RINGTONE_META_KEY, name: file.name, blob: file });
+    await idbTransactionDone(transaction);
+
+    if (customRingtoneUrl) {
+        URL.revokeObjectURL(customRingtoneUrl);
+    }
+    customRingtoneUrl = URL.createObjectURL(file);
+    customRingtoneName = file.name;
+    applyRingtone(customRingtoneUrl);
+}
+
+// Go back to the bundled ringtone
+async function clearCustomRingtone() {
+    const db = await openAppDb();
+    const transaction = db.transaction('meta', 'readwrite');
+    transaction.objectStore('meta').delete(RINGTONE_META_KEY);
+    await idbTransactionDone(transaction);
+
+    if (customRingtoneUrl) {
+        URL.revokeObjectURL(customRingtoneUrl);
+        customRingtoneUrl = null;
+    }
+    customRingtoneName = null;
+    if (defaultRingtoneSrc) {
+        applyRingtone(defaultRingtoneSrc);
+    }
+}
@@ -0,0 +1,199 @@
+// Pluggable geocoder providers with a persistent cache and one shared throttled request queue
+const GEOCODER_SETTINGS_STORAGE_KEY = 'busStopAlert.geocoder';
+const GEOCODE_CACHE_STORAGE_KEY = 'busStopAlert.geocodeCache';
+const GEOCODE_CACHE_TTL_MS = 7 * 24 * 60 * 60 * 1000; // one week
+const GEOCODE_CACHE_MAX_ENTRIES = 200;
+const GEOCODE_RESULT_LIMIT = 15;
+
+// Bounding box of Israel (west, south, east, north) for providers without country filters
+const ISRAEL_BBOX = [34.2, 29.4, 35.9, 33.4];
+
+// Request and response formats of the supported geocoder APIs
+const GEOCODER_APIS = {
+    nominatim: {
+        buildUrl: (baseUrl, query) =>
+            `${baseUrl}/search?` +
+            `format=json&` +
+            `q=${encodeURIComponent(query)}&` +
+            `limit=${GEOCODE_RESULT_LIMIT}&` +
+            `countrycodes=il&` +
+            `addressdetails=1&` +
+            `bounded=0`,
+        parse: (json) => json
+    },
+    photon: {
+        buildUrl: (baseUrl, query) =>
+            `${baseUrl}/api/?` +
+            `q=${encodeURIComponent(query)}&` +
+            `limit=${GEOCODE_RESULT_LIMIT}&` +
+            `bbox=${ISRAEL_BBOX.join(',')}`,
+        // Convert Photon GeoJSON features to the Nominatim result shape the app uses
+        parse: (json) => (json.features || []).map(feature => {
+            const props = feature.properties || {};
+            return {
+                display_name: [props.name, props.street, props.city, props.country].filter(Boolean).join(', '),
+                lat: String(feature.geometry.coordinates[1]),
+                lon: String(feature.geometry.coordinates[0]),
+                class: props.osm_key || '',
+                type: props.osm_value || ''
+            };
+        })
+    }
+};
+
+// Geocoder providers. `minInterval` is the gap between requests required by the usage policy,
+// `autocomplete` whether the policy allows a request per keystroke.
+const GEOCODER_PROVIDERS = {
+    nominatim: {
+        label: 'Nominatim (OpenStreetMap)',
+        api: 'nominatim',
+        baseUrl: 'https://nominatim.openstreetmap.org',
+        minInterval: 1000, // https://operations.osmfoundation.org/policies/nominatim/ - max 1 request/s
+        autocomplete: false // the same policy forbids client-side autocomplete
+    },
+    photon: {
+        label: 'Photon (Komoot)',
+        api: 'photon',
+        baseUrl: 'https://photon.komoot.io',
+        minInterval: 500,
+        autocomplete: true
+    },
+    custom: {
+        labelKey: 'settings.customServer',
+        api: null, // chosen in settings
+        baseUrl: null, // chosen in settings
+        minInterval: 0,
+        autocomplete: true // your own server, your own rules
+    }
+};
+
+const DEFAULT_GEOCODER_SETTINGS = {
+    provider: 'nominatim',
+    customUrl: 'http://localhost:8080',
+    customApi: 'nominatim'
+};
+
+let geocoderSettings = loadGeocoderSettings();
+let geocodeQueue = Promise.resolve();
+const lastGeocodeRequestAt = {};
+
+// Load the geocoder settings from local storage
+function loadGeocoderSettings() {
+    try {
+        const saved = JSON.parse(localStorage.getItem(GEOCODER_SETTINGS_STORAGE_KEY));
+        if (saved && GEOCODER_PROVIDERS[saved.provider]) {
+            return { ...DEFAULT_GEOCODER_SETTINGS, ...saved };
+        }
+    } catch (err) {
+        console.warn('Could not load geocoder settings:', err);
+    }
+    return { ...DEFAULT_GEOCODER_SETTINGS };
+}
+
+// Save the geocoder settings
+function saveGeocoderSettings(settings) {
+    geocoderSettings = { ...geocoderSettings, ...settings };
+    localStorage.setItem(GEOCODER_SETTINGS_STORAGE_KEY, JSON.stringify(geocoderSettings));
+}
+
+// Resolve the active provider into { name, api, baseUrl, minInterval }
+function getActiveGeocoder() {
+    const name = geocoderSettings.provider;
+    const provider = GEOCODER_PROVIDERS[name];
+
+    if (name === 'custom') {
+        return {
+            name,
+            api: GEOCODER_APIS[geocoderSettings.customApi] ? geocoderSettings.customApi : 'nominatim',
+            baseUrl: geocoderSettings.customUrl.replace(/\/+$/, ''),
+            minInterval: provider.minInterval
+        };
+    }
+    return { name, api: provider.api, baseUrl: provider.baseUrl, minInterval: provider.minInterval };
+}
+
+// Whether the active provider may be queried while the user types
+function canGeocodeAsYouType() {
+    return GEOCODER_PROVIDERS[geocoderSettings.provider].autocomplete;
+}
+
+// Read the whole cache, dropping expired entries
+function readGeocodeCache() {
+    try {
+        const cache = JSON.parse(localStorage.getItem(GEOCODE_CACHE_STORAGE_KEY)) || {};
+        const now = Date.now();
+        Object.keys(cache).forEach(key => {
+            if (now - cache[key].t > GEOCODE_CACHE_TTL_MS) {
+                delete cache[key];
+            }
+        });
+        return cache;
+    } catch (err) {
+        console.warn('Could not read geocode cache:', err);
+        return {};
+    }
+}
+
+// Store results in the cache, evicting the oldest entries beyond the limit
+function writeGeocodeCache(key, results) {
+    const cache = readGeocodeCache();
+    cache[key] = { t: Date.now(), results };
+
+    const keys = Object.keys(cache).sort((a, b) => cache[a].t - cache[b].t);
+    keys.slice(0, Math.max(0, keys.length - GEOCODE_CACHE_MAX_ENTRIES)).forEach(oldKey => delete cache[oldKey]);
+
+    try {
+        localStorage.setItem(GEOCODE_CACHE_STORAGE_KEY, JSON.stringify(cache));
+    } catch (err) {
+        console.warn('Could not write geocode cache:', err);
+    }
+}
+
+// Empty the geocode cache
+function clearGeocodeCache() {
+    localStorage.removeItem(GEOCODE_CACHE_STORAGE_KEY);
+}
+
+// Run a request through the shared queue, keeping each provider's minimum gap
+function enqueueGeocodeRequest(geocoder, url, signal) {
+    const run = async () => {
+        if (signal && signal.aborted) {
+            throw new DOMException('Aborted', 'AbortError');
+        }
+
+        const wait = (lastGeocodeRequestAt[geocoder.name] || 0) + geocoder.minInterval - Date.now();
+        if (wait > 0) {
+            await new Promise(resolve => setTimeout(resolve, wait));
+        }
+
+        lastGeocodeRequestAt[geocoder.name] = Date.now();
+        const response = await fetch(url, { signal });
+        if (!response.ok) {
+            throw new Error(`Geocoder responded ${response.status}`);
+        }
+        return response.json();
+    };
+
+    const request = geocodeQueue.then(run);
+    // Keep the queue going even when one request fails
+    geocodeQueue = request.catch(() => {});
+    return request;
+}
+
+// Geocode a query with the active provider, using the cache when possible
+async function geocode(query, signal) {
+    const geocoder = getActiveGeocoder();
+    const cacheKey = `${geocoder.name}:${geocoder.baseUrl}:${query.trim().toLowerCase()}`;
+
+    const cached = readGeocodeCache()[cacheKey];
+    if (cached) {
+        return cached.results;
+    }
+
+    const api = GEOCODER_APIS[geocoder.api];
+    const json = await enqueueGeocodeRequest(geocoder, api.buildUrl(geocoder.baseUrl, query), signal);
+    const results = api.parse(json);
+
+    writeGeocodeCache(cacheKey, results);
+    return results;
+}
@@ -0,0 +1,297 @@
+// Offline GTFS stop database (IndexedDB) used as a local search backend
+const GTFS_BUNDLED_STOPS_URL = 'gtfs/stops.txt';
+const GTFS_SEARCH_LIMIT = 10;
+
+// GTFS location_type values worth searching: stops/platforms (0 or empty) and stations (1)
+const GTFS_SEARCHABLE_LOCATION_TYPES = ['', '0', '1'];
+
+let gtfsStopsCache = null;
+
+// Parse CSV text (RFC 4180 quoting) into an array of rows
+function parseCsv(text) {
+    const rows = [];
+    let row = [];
+    let field = '';
+    let inQuotes = false;
+
+    // Strip a UTF-8 byte order mark
+    if (text.charCodeAt(0) === 0xFEFF) {
+        text = text.slice(1);
+    }
+
+    for (let i = 0; i < text.length; i++) {
+        const char = text[i];
+
+        if (inQuotes) {
+            if (char === '"' && text[i + 1] === '"') {
+                field += '"';
+                i++;
+            } else if (char === '"') {
+                inQuotes = false;
+            } else {
+                field += char;
+            }
+        } else if (char === '"') {
+            inQuotes = true;
+        } else if (char === ',') {
+            row.push(field);
+            field = '';
+        } else if (char === '\n' || char === '\r') {
+            if (char === '\r' && text[i + 1] === '\n') {
+                i++;
+            }
+            row.push(field);
+            rows.push(row);
+            row = [];
+            field = '';
+        } else {
+            field += char;
+        }
+    }
+
+    if (field !== '' || row.length > 0) {
+        row.push(field);
+        rows.push(row);
+    }
+
+    return rows.filter(r => r.length > 1 || r[0] !== '');
+}
+
+// Normalize Hebrew/English text for fuzzy matching
+function normalizeSearchText(text) {
+    return (text || '')
+        .toLowerCase()
+        .replace(/[\u0591-\u05BD\u05BF-\u05C7]/g, '')  // Hebrew niqqud and cantillation
+        .replace(/[ךםןףץ]/g, c => ({ 'ך': 'כ', 'ם': 'מ', 'ן': 'נ', 'ף': 'פ', 'ץ': 'צ' })[c])
+        .replace(/["'`׳״]/g, '')  // geresh/gershayim belong to the word
+        .replace(/[\u05BE\-\/\\.,()]/g, ' ')
+        .replace(/\s+/g, ' ')
+        .trim();
+}
+
+// Convert parsed stops.txt rows into stop records
+function gtfsRowsToStops(rows) {
+    if (rows.length < 2) {
+        throw new Error(t('gtfs.errorEmpty'));
+    }
+
+    const header = rows[0].map(name => name.trim());
+    const column = name => header.indexOf(name);
+    const idCol = column('stop_id');
+    const nameCol = column('stop_name');
+    const latCol = column('stop_lat');
+    const lonCol = column('stop_lon');
+    const codeCol = column('stop_code');
+    const descCol = column('stop_desc');
+    const typeCol = column('location_type');
+
+    if (idCol === -1 || nameCol === -1 || latCol === -1 || lonCol === -1) {
+        throw new Error(t('gtfs.errorInvalid'));
+    }
+
+    const stops = [];
+    for (let i = 1; i < rows.length; i++) {
+        const row = rows[i];
+        const type = typeCol === -1 ? '' : (row[typeCol] || '').trim();
+        const lat = parseFloat(row[latCol]);
+        const lon = parseFloat(row[lonCol]);
+
+        if (!GTFS_SEARCHABLE_LOCATION_TYPES.includes(type) || !Number.isFinite(lat) || !Number.isFinite(lon)) {
+            continue;
+        }
+
+        const name = (row[nameCol] || '').trim();
+        stops.push({
+            id: row[idCol].trim(),
+            code: codeCol === -1 ? '' : (row[codeCol] || '').trim(),
+            name,
+            desc: descCol === -1 ? '' : (row[descCol] || '').trim(),
+            lat,
+            lon,
+            search: normalizeSearchText(name)
+        });
+    }
+
+    return stops;
+}
+
+// Import a GTFS stops.txt text into IndexedDB, replacing any previous import
+async function importGtfsStops(text, source) {
+    const stops = gtfsRowsToStops(parseCsv(text));
+    if (stops.length === 0) {
+        throw new Error(t('gtfs.errorNoStops'));
+    }
+
+    const db = await openAppDb();
+    const transaction = db.transaction(['stops', 'meta'], 'readwrite');
+    const stopStore = transaction.objectStore('stops');
+
+    stopStore.clear();
+    stops.forEach(stop => stopStore.put(stop));
+    transaction.objectStore('meta').put({
+        key: 'stops',
+        count: stops.length,
+        source,
+        importedAt: Date.now()
+    });
+
+    await idbTransactionDone(transaction);
+    gtfsStopsCache = stops;
+    return stops.length;
+}
+
+// Import the stops.txt bundled with the app, if one is deployed
+async function importBundledGtfsStops() {
+    const response = await fetch(GTFS_BUNDLED_STOPS_URL);
+    if (!response.ok) {
+        throw new Error(t('gtfs.errorNoBundled'));
+    }
+    return importGtfsStops(await response.text(), 'bundled');
+}
+
+// Get metadata about the current import, or null when nothing is imported
+async function getGtfsInfo() {
+    try {
+        const db = await openAppDb();
+        const info = await idbRequest(db.transaction('meta').objectStore('meta').get('stops'));
+        return info || null;
+    } catch (err) {
+        console.warn('Could not read GTFS info:', err);
+        return null;
+    }
+}
+
+// Remove every imported stop
+async function clearGtfsStops() {
+    const db = await openAppDb();
+    const transaction = db.transaction(['stops', 'meta'], 'readwrite');
+    transaction.objectStore('stops').clear();
+    transaction.objectStore('meta').delete('stops');
+    await idbTransactionDone(transaction);
+    gtfsStopsCache = null;
+}
+
+// Load every stop into memory once so searches stay fast
+async function loadGtfsStops() {
+    if (gtfsStopsCache) {
+        return gtfsStopsCache;
+    }
+
+    const db = await openAppDb();
+    gtfsStopsCache = await idbRequest(db.transaction('stops').objectStore('stops').getAll());
+    return gtfsStopsCache;
+}
+
+// Check whether a local stop database is available
+async function hasGtfsStops() {
+    const info = await getGtfsInfo();
+    return Boolean(info && info.count > 0);
+}
+
+// Levenshtein distance, stopping early once it exceeds max
+function editDistance(a, b, max) {
+    if (Math.abs(a.length - b.length) > max) {
+        return max + 1;
+    }
+
+    let previous = Array.from({ length: b.length + 1 }, (_, i) => i);
+    for (let i = 1; i <= a.length; i++) {
+        const current = [i];
+        let rowMin = i;
+        for (let j = 1; j <= b.length; j++) {
+            const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+            current[j] = Math.min(previous[j] + 1, current[j - 1] + 1, previous[j - 1] + cost);
+            rowMin = Math.min(rowMin, current[j]);
+        }
+        if (rowMin > max) {
+            return max + 1;
+        }
+        previous = current;
+    }
+    return previous[b.length];
+}
+
+// Score how well one query token matches a stop name, 0 for no match
+function scoreToken(token, words, fullName) {
+    if (words.includes(token)) return 3;
+    if (words.some(word => word.startsWith(token))) return 2;
+    if (fullName.includes(token)) return 1.5;
+
+    // Tolerate one typo in longer tokens
+    if (token.length >= 4 && words.some(word => editDistance(token, word.slice(0, token.length + 1), 1) <= 1)) {
+        return 1;
+    }
+    return 0;
+}
+
+// Score a stop against the normalized query, 0 for no match
+function scoreStop(stop, query, tokens) {
+    // Stop codes (the number printed on the sign)
+    if (/^\d+$/.test(query) && stop.code) {
+        if (stop.code === query) return 100;
+        if (stop.code.startsWith(query)) return 50;
+    }
+
+    const words = stop.search.split(' ');
+    let score = 0;
+    for (const token of tokens) {
+        const tokenScore = scoreToken(token, words, stop.search);
+        if (tokenScore === 0) {
+            return 0;
+        }
+        score += tokenScore;
+    }
+
+    // Prefer names that start with the query
+    if (stop.search.startsWith(query)) {
+        score += 2;
+    }
+    return score;
+}
+
+// Convert a stop record into the same shape as a Nominatim result
+function gtfsStopToResult(stop) {
+    const name = stop.code ? `${stop.name} (${stop.code})` : stop.name;
+    return {
+        display_name: stop.desc ? `${name}, ${stop.desc}` : name,
+        lat: String(stop.lat),
+        lon: String(stop.lon),
+        type: 'bus_stop',
+        class: 'highway',
+        stop_code: stop.code,
+        stop_id: stop.id
+    };
+}
+
+// Find local stops within radius km of a point, nearest first, with `distance` in km
+async function findGtfsStopsNear(lat, lng, radius, limit) {
+    const stops = await loadGtfsStops();
+    // Cheap bounding box filter before the exact distance
+    const latSpan = radius / 110.574;
+    const lngSpan = radius / (111.32 * Math.cos(toRad(lat)));
+
+    return stops
+        .filter(stop => Math.abs(stop.lat - lat) <= latSpan && Math.abs(stop.lon - lng) <= lngSpan)
+        .map(stop => ({ ...gtfsStopToResult(stop), distance: calculateDistance(lat, lng, stop.lat, stop.lon) }))
+        .filter(result => result.distance <= radius)
+        .sort((a, b) => a.distance - b.distance)
+        .slice(0, limit);
+}
+
+// Search the local stop database by name or stop code
+async function searchGtfsStops(query) {
+    const normalized = normalizeSearchText(query);
+    if (!normalized) {
+        return [];
+    }
+
+    const stops = await loadGtfsStops();
+    const tokens = normalized.split(' ');
+
+    return stops
+        .map(stop => ({ stop, score: scoreStop(stop, normalized, tokens) }))
+        .filter(match => match.score > 0)
+        .sort((a, b) => b.score - a.score || a.stop.search.length - b.stop.search.length)
+        .slice(0, GTFS_SEARCH_LIMIT)
+        .map(match => gtfsStopToResult(match.stop));
+}
@@ -0,0 +1,361 @@
+// Trip recording, history log, map replay and GPX/GeoJSON export
+const MAX_SAVED_TRIPS = 50;
+const TRIP_SAVE_EVERY = 10; // persist the running trip every N positions
+const REPLAY_SPEED = 20; // replay runs this many times faster than real time
+const REPLAY_MAX_STEP_MS = 500; // cap on the delay between replayed points
+
+let currentTrip = null;
+let replayLayer = null;
+let replayTimeout = null;
+
+// Start recording a tracking session
+function startTripRecording(stops) {
+    currentTrip = {
+        id: `trip-${Date.now()}`,
+        startedAt: Date.now(),
+        endedAt: null,
+        stops: stops.map(stop => ({ name: stop.name, lat: stop.lat, lng: stop.lng })),
+        points: [],
+        alerts: [],
+        closestApproach: null
+    };
+}
+
+// Add a position to the running trip and track the closest approach
+function recordTripPosition(location, distance, stationName) {
+    if (!currentTrip) return;
+
+    const timestamp = Date.now();
+    currentTrip.points.push({
+        lat: location.lat,
+        lng: location.lng,
+        accuracy: location.accuracy,
+        t: timestamp
+    });
+
+    // The closest approach is tracked for the final stop of the trip
+    const finalStop = currentTrip.stops[currentTrip.stops.length - 1];
+    if (stationName === finalStop.name &&
+        (!currentTrip.closestApproach || distance < currentTrip.closestApproach.distance)) {
+        currentTrip.closestApproach = { lat: location.lat, lng: location.lng, distance, t: timestamp };
+    }
+
+    if (currentTrip.points.length % TRIP_SAVE_EVERY === 0) {
+        saveTrip(currentTrip).catch(err => console.warn('Could not save trip:', err));
+    }
+}
+
+// Log an alert on the running trip
+function recordTripAlert(type, message, location, distance) {
+    if (!currentTrip) return;
+
+    currentTrip.alerts.push({
+        type,
+        message,
+        lat: location ? location.lat : null,
+        lng: location ? location.lng : null,
+        distance,
+        t: Date.now()
+    });
+}
+
+// Finish and persist the running trip; empty trips are dropped
+async function finishTripRecording() {
+    if (!currentTrip) return;
+
+    const trip = currentTrip;
+    currentTrip = null;
+    trip.endedAt = Date.now();
+
+    try {
+        if (trip.points.length === 0) {
+            await deleteTrip(trip.id);
+            return;
+        }
+        await saveTrip(trip);
+        await pruneTrips();
+    } catch (err) {
+        console.warn('Could not save trip:', err);
+    }
+}
+
+// Store a trip in IndexedDB
+async function saveTrip(trip) {
+    const db = await openAppDb();
+    const transaction = db.transaction('trips', 'readwrite');
+    transaction.objectStore('trips').put(trip);
+    await idbTransactionDone(transaction);
+}
+
+// List saved trips, newest first
+async function listTrips() {
+    const db = await openAppDb();
+    const trips = await idbRequest(db.transaction('trips').objectStore('trips').getAll());
+    return trips.sort((a, b) => b.startedAt - a.startedAt);
+}
+
+// Delete a saved trip
+async function deleteTrip(id) {
+    const db = await openAppDb();
+    const transaction = db.transaction('trips', 'readwrite');
+    transaction.objectStore('trips').delete(id);
+    await idbTransactionDone(transaction);
+}
+
+// Keep only the newest MAX_SAVED_TRIPS trips
+async function pruneTrips() {
+    const trips = await listTrips();
+    for (const trip of trips.slice(MAX_SAVED_TRIPS)) {
+        await deleteTrip(trip.id);
+    }
+}
+
+// Escape text for use inside XML
+function escapeXml(text) {
+    return String(text)
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;')
+        .replace(/'/g, '&apos;');
+}
+
+// Convert a trip to GPX 1.1: the track, stops, alerts and closest approach as waypoints
+function tripToGpx(trip) {
+    const time = timestamp => new Date(timestamp).toISOString();
+    const waypoint = (lat, lng, name, type, timestamp) =>
+        `  <wpt lat="${lat}" lon="${lng}">` +
+        (timestamp ? `<time>${time(timestamp)}</time>` : '') +
+        `<name>${escapeXml(name)}</name><type>${type}</type></wpt>`;
+
+    const waypoints = [
+        ...trip.stops.map(stop => waypoint(stop.lat, stop.lng, stop.name, 'station')),
+        ...trip.alerts
+            .filter(alert => alert.lat !== null)
+            .map(alert => waypoint(alert.lat, alert.lng, alert.message, `alert-${alert.type}`, alert.t))
+    ];
+    if (trip.closestApproach) {
+        const closest = trip.closestApproach;
+        waypoints.push(waypoint(closest.lat, closest.lng, `closest approach: ${Math.round(closest.distance * 1000)} m`, 'closest', closest.t));
+    }
+
+    const trackPoints = trip.points.map(point =>
+        `      <trkpt lat="${point.lat}" lon="${point.lng}"><time>${time(point.t)}</time></trkpt>`
+    );
+
+    return [
+        '<?xml version="1.0" encoding="UTF-8"?>',
+        '<gpx version="1.1" creator="BusStopAlert" xmlns="http://www.topografix.com/GPX/1/1">',
+        `  <metadata><name>${escapeXml(getTripTitle(trip))}</name><time>${time(trip.startedAt)}</time></metadata>`,
+        ...waypoints,
+        '  <trk>',
+        `    <name>${escapeXml(getTripTitle(trip))}</name>`,
+        '    <trkseg>',
+        ...trackPoints,
+        '    </trkseg>',
+        '  </trk>',
+        '</gpx>',
+        ''
+    ].join('\n');
+}
+
+// Convert a trip to a GeoJSON FeatureCollection
+function tripToGeoJson(trip) {
+    const point = (lat, lng, properties) => ({
+        type: 'Feature',
+        geometry: { type: 'Point', coordinates: [lng, lat] },
+        properties
+    });
+
+    const features = [
+        {
+            type: 'Feature',
+            geometry: { type: 'LineString', coordinates: trip.points.map(p => [p.lng, p.lat]) },
+            properties: {
+                kind: 'track',
+                name: getTripTitle(trip),
+                startedAt: new Date(trip.startedAt).toISOString(),
+                endedAt: trip.endedAt ? new Date(trip.endedAt).toISOString() : null,
+                coordTimes: trip.points.map(p => new Date(p.t).toISOString())
+            }
+        },
+        ...trip.stops.map((stop, index) => point(stop.lat, stop.lng, { kind: 'station', name: stop.name, order: index + 1 })),
+        ...trip.alerts
+            .filter(alert => alert.lat !== null)
+            .map(alert => point(alert.lat, alert.lng, {
+                kind: 'alert',
+                type: alert.type,
+                message: alert.message,
+                distanceMeters: Number.isFinite(alert.distance) ? Math.round(alert.distance * 1000) : null,
+                time: new Date(alert.t).toISOString()
+            }))
+    ];
+
+    if (trip.closestApproach) {
+        const closest = trip.closestApproach;
+        features.push(point(closest.lat, closest.lng, {
+            kind: 'closest',
+            distanceMeters: Math.round(closest.distance * 1000),
+            time: new Date(closest.t).toISOString()
+        }));
+    }
+
+    return JSON.stringify({ type: 'FeatureCollection', features }, null, 2);
+}
+
+// Download text content as a file
+function downloadFile(filename, content, mimeType) {
+    const url = URL.createObjectURL(new Blob([content], { type: mimeType }));
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = filename;
+    document.body.appendChild(link);
+    link.click();
+    link.remove();
+    setTimeout(() => URL.revokeObjectURL(url), 1000);
+}
+
+// Human-readable trip title: its stops in order
+function getTripTitle(trip) {
+    return trip.stops.map(stop => stop.name).join(' ← ');
+}
+
+// File name for an exported trip
+function getTripFilename(trip, extension) {
+    const date = new Date(trip.startedAt).toISOString().slice(0, 16).replace(/[:T]/g, '-');
+    return `trip-${date}.${extension}`;
+}
+
+// Show a recorded trip on the map and animate a marker along it
+function replayTrip(trip) {
+    stopReplay();
+
+    if (!replayLayer) {
+        replayLayer = L.layerGroup().addTo(map);
+    }
+
+    const latLngs = trip.points.map(p => [p.lat, p.lng]);
+    const track = L.polyline(latLngs, { color: '#7C3AED', weight: 4, opacity: 0.8 }).addTo(replayLayer);
+
+    trip.stops.forEach(stop => {
+        L.circleMarker([stop.lat, stop.lng], { radius: 8, color: '#FF6B35', fillOpacity: 0.9 })
+            .bindTooltip(stop.name)
+            .addTo(replayLayer);
+    });
+
+    trip.alerts.filter(alert => alert.lat !== null).forEach(alert => {
+        const distanceText = Number.isFinite(alert.distance) ? ` (${formatDistance(alert.distance)})` : '';
+        L.marker([alert.lat, alert.lng], {
+            icon: L.divIcon({ className: 'custom-marker', html: '<div class="replay-alert-marker">🔔</div>', iconSize: [28, 28], iconAnchor: [14, 14] })
+        })
+            .bindTooltip(`${formatTime(alert.t)} - ${alert.message}${distanceText}`)
+            .addTo(replayLayer);
+    });
+
+    if (trip.closestApproach) {
+        const closest = trip.closestApproach;
+        L.circleMarker([closest.lat, closest.lng], { radius: 7, color: '#10B981', fillOpacity: 1 })
+            .bindTooltip(t('history.closest', { distance: formatDistance(closest.distance) }))
+            .addTo(replayLayer);
+    }
+
+    map.fitBounds(track.getBounds(), { padding: [50, 50] });
+
+    // Animate a marker through the recorded positions
+    const replayMarker = L.circleMarker(latLngs[0], { radius: 9, color: '#7C3AED', fillColor: 'white', fillOpacity: 1, weight: 4 })
+        .addTo(replayLayer);
+    let index = 0;
+    const step = () => {
+        index++;
+        if (index >= trip.points.length) {
+            replayTimeout = null;
+            return;
+        }
+        replayMarker.setLatLng(latLngs[index]);
+        const delay = (trip.points[index].t - trip.points[index - 1].t) / REPLAY_SPEED;
+        replayTimeout = setTimeout(step, Math.min(delay, REPLAY_MAX_STEP_MS));
+    };
+    replayTimeout = setTimeout(step, REPLAY_MAX_STEP_MS);
+}
+
+// Stop a running replay and clear it from the map
+function stopReplay() {
+    clearTimeout(replayTimeout);
+    replayTimeout = null;
+    if (replayLayer) {
+        replayLayer.clearLayers();
+    }
+}
+
+// Render the history panel
+async function renderTripHistory() {
+    const list = document.getElementById('trip-history-list');
+    let trips;
+    try {
+        trips = await listTrips();
+    } catch (err) {
+        console.warn('Could not load trip history:', err);
+        trips = [];
+    }
+
+    list.innerHTML = '';
+    if (trips.length === 0) {
+        list.innerHTML = `<p class="settings-hint">${t('history.empty')}</p>`;
+        return;
+    }
+
+    trips.forEach(trip => {
+        const item = document.createElement('div');
+        item.className = 'trip-item';
+
+        const title = document.createElement('div');
+        title.className = 'trip-title';
+        title.textContent = getTripTitle(trip);
+
+        const started = new Date(trip.startedAt);
+        const minutes = Math.round(((trip.endedAt || Date.now()) - trip.startedAt) / 60000);
+        const details = document.createElement('div');
+        details.className = 'trip-details';
+        details.textContent = [
+            `${formatDate(started)} ${formatTime(started, { hour: '2-digit', minute: '2-digit' })}`,
+            t('time.minutesShort', { count: minutes }),
+            t('history.alerts', { count: trip.alerts.length }),
+            trip.closestApproach ? t('history.closest', { distance: formatDistance(trip.closestApproach.distance) }) : null
+        ].filter(Boolean).join(' · ');
+
+        const actions = document.createElement('div');
+        actions.className = 'trip-actions-row';
+        const addAction = (label, handler, description = null) => {
+            const button = document.createElement('button');
+            button.type = 'button';
+            button.className = 'btn btn-secondary';
+            button.textContent = label;
+            // Icon-only buttons need a name for screen readers
+            if (description) {
+                button.title = description;
+                button.setAttribute('aria-label', description);
+            }
+            button.addEventListener('click', handler);
+            actions.appendChild(button);
+        };
+
+        addAction(t('history.show'), () => replayTrip(trip));
+        addAction('GPX', () => downloadFile(getTripFilename(trip, 'gpx'), tripToGpx(trip), 'application/gpx+xml'));
+        addAction('GeoJSON', () => downloadFile(getTripFilename(trip, 'geojson'), tripToGeoJson(trip), 'application/geo+json'));
+        addAction(t('tiles.historyAction'), () => downloadMapForPath(trip.points));
+        addAction('🗑️', async () => {
+            try {
+                await deleteTrip(trip.id);
+            } catch (error) {
+                console.error('Trip delete error:', error);
+                showStatus(t('history.deleteError'), 'error');
+            }
+            renderTripHistory();
+        }, `${t('history.delete')}: ${getTripTitle(trip)}`);
+
+        item.appendChild(title);
+        item.appendChild(details);
+        item.appendChild(actions);
+        list.appendChild(item);
+    });
+}
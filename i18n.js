@@ -0,0 +1,153 @@
+// Internationalization: string catalogs with plurals, text direction and locale-aware formatting.
+// Catalogs live in locales/<language>.js and register themselves in I18N_CATALOGS.
+const LANGUAGE_STORAGE_KEY = 'busStopAlert.language';
+const FALLBACK_LANGUAGE = 'he';
+
+const LANGUAGES = {
+    he: { label: 'עברית', locale: 'he-IL', dir: 'rtl' },
+    en: { label: 'English', locale: 'en-IL', dir: 'ltr' },
+    ar: { label: 'العربية', locale: 'ar', dir: 'rtl' },
+    ru: { label: 'Русский', locale: 'ru-RU', dir: 'ltr' }
+};
+
+const I18N_CATALOGS = {};
+
+let currentLanguage = detectLanguage();
+const languageChangeListeners = [];
+const pluralRulesCache = {};
+
+// The saved language, else the first supported browser language, else Hebrew
+function detectLanguage() {
+    const saved = localStorage.getItem(LANGUAGE_STORAGE_KEY);
+    if (LANGUAGES[saved]) {
+        return saved;
+    }
+
+    const preferred = (navigator.languages || [navigator.language || ''])
+        .map(tag => tag.slice(0, 2).toLowerCase())
+        .find(code => LANGUAGES[code]);
+    return preferred || FALLBACK_LANGUAGE;
+}
+
+// Locale tag of the current language, for Intl formatting
+function getLocale() {
+    return LANGUAGES[currentLanguage].locale;
+}
+
+// Pick the plural form of a catalog entry for a count
+function selectPlural(entry, count) {
+    const locale = getLocale();
+    if (!pluralRulesCache[locale]) {
+        pluralRulesCache[locale] = new Intl.PluralRules(locale);
+    }
+    const category = count === 0 && entry.zero !== undefined ? 'zero' : pluralRulesCache[locale].select(count);
+    return entry[category] !== undefined ? entry[category] : entry.other;
+}
+
+// Translate a key, filling {placeholders} from params. `params.count` chooses the plural form.
+// Falls back to Hebrew, then to the key itself.
+function t(key, params = {}) {
+    let entry = (I18N_CATALOGS[currentLanguage] || {})[key];
+    if (entry === undefined) {
+        entry = (I18N_CATALOGS[FALLBACK_LANGUAGE] || {})[key];
+    }
+    if (entry === undefined) {
+        console.warn(`Missing translation: ${key}`);
+        return key;
+    }
+
+    const template = typeof entry === 'object' ? selectPlural(entry, params.count) : entry;
+    return template.replace(/\{(\w+)\}/g, (match, name) => {
+        const value = params[name];
+        if (value === undefined) return match;
+        return typeof value === 'number' ? formatNumber(value) : String(value);
+    });
+}
+
+// Label of a settings table entry: translated when it has a labelKey, else its fixed name
+function translateLabel(entry) {
+    return entry.labelKey ? t(entry.labelKey) : entry.label;
+}
+
+// Format a number for the current locale
+function formatNumber(value, options) {
+    return new Intl.NumberFormat(getLocale(), options).format(value);
+}
+
+// Format a time of day for the current locale
+function formatTime(date, options) {
+    return new Date(date).toLocaleTimeString(getLocale(), options);
+}
+
+// Format a date for the current locale
+function formatDate(date) {
+    return new Date(date).toLocaleDateString(getLocale());
+}
+
+// Short weekday name for a day index (0 = Sunday), as Date#getDay counts
+function formatWeekday(day) {
+    // 7 January 2024 was a Sunday
+    return new Date(2024, 0, 7 + day).toLocaleDateString(getLocale(), { weekday: 'short' });
+}
+
+// Translate the static page: text, placeholders, titles and aria-labels marked with data-i18n*
+function applyTranslations(root = document) {
+    const html = document.documentElement;
+    html.lang = currentLanguage;
+    html.dir = LANGUAGES[currentLanguage].dir;
+    document.title = t('app.title');
+
+    root.querySelectorAll('[data-i18n]').forEach(el => {
+        el.textContent = t(el.dataset.i18n);
+    });
+    root.querySelectorAll('[data-i18n-placeholder]').forEach(el => {
+        el.placeholder = t(el.dataset.i18nPlaceholder);
+    });
+    root.querySelectorAll('[data-i18n-title]').forEach(el => {
+        el.title = t(el.dataset.i18nTitle);
+    });
+    root.querySelectorAll('[data-i18n-aria-label]').forEach(el => {
+        el.setAttribute('aria-label', t(el.dataset.i18nAriaLabel));
+    });
+}
+
+// Register a callback that re-renders dynamic text after the language changes
+function onLanguageChange(listener) {
+    languageChangeListeners.push(listener);
+}
+
+// Switch language, remember the choice and re-render everything
+function setLanguage(language) {
+    if (!LANGUAGES[language]) return;
+
+    currentLanguage = language;
+    localStorage.setItem(LANGUAGE_STORAGE_KEY, language);
+    applyTranslations();
+    languageChangeListeners.forEach(listener => listener(language));
+}
+
+// Format a distance in km for display, e.g. "350 מטר" or "1.25 ק"מ"
+function formatDistance(km) {
+    if (km < 1) {
+        return t('unit.meters', { value: Math.round(km * 1000) });
+    }
+    return t('unit.km', { value: formatNumber(km, { minimumFractionDigits: 2, maximumFractionDigits: 2 }) });
+}
+
+// Describe a duration in minutes, e.g. "5 דקות" or "שעה ו-10 דקות"
+function formatDuration(totalMinutes) {
+    const minutes = Math.round(totalMinutes);
+    if (minutes < 60) {
+        return t('time.minutes', { count: minutes });
+    }
+
+    const hours = Math.floor(minutes / 60);
+    const rest = minutes % 60;
+    if (rest === 0) {
+        return t('time.hours', { count: hours });
+    }
+    return t('time.hoursMinutes', {
+        hours: t('time.hours', { count: hours }),
+        minutes: t('time.minutes', { count: rest })
+    });
+}
@@ -0,0 +1,234 @@
+// Opt-in live trip sharing: tracking events (started, entered a zone, arrived, passed the stop,
+// stopped) and a position every half minute are POSTed as JSON to a webhook or relay URL.
+// A relay that also answers GET <url>/<tripId> (see server/trip-relay.js) backs a read-only
+// viewer page (viewer.html) that a parent or carer can open from a link.
+const LIVE_SHARE_STORAGE_KEY = 'busStopAlert.liveShare';
+const LIVE_SHARE_POSITION_INTERVAL_MS = 30 * 1000;
+const LIVE_SHARE_MAX_PENDING = 50;
+
+const DEFAULT_LIVE_SHARE_SETTINGS = {
+    enabled: false,
+    url: 'http://localhost:8091/trips'
+};
+
+let liveShareSettings = loadLiveShareSettings();
+let liveShareTrip = null; // { id, token, url, lastPositionAt, arrivedTarget, lastSentAt, failed }
+let liveShareOutbox = [];
+let isFlushingLiveShare = false;
+
+// Load the live share settings from local storage
+function loadLiveShareSettings() {
+    try {
+        const saved = JSON.parse(localStorage.getItem(LIVE_SHARE_STORAGE_KEY));
+        return { ...DEFAULT_LIVE_SHARE_SETTINGS, ...(saved || {}) };
+    } catch (err) {
+        console.warn('Could not load live share settings:', err);
+        return { ...DEFAULT_LIVE_SHARE_SETTINGS };
+    }
+}
+
+// Save the live share settings
+function saveLiveShareSettings(settings) {
+    liveShareSettings = { ...liveShareSettings, ...settings };
+    localStorage.setItem(LIVE_SHARE_STORAGE_KEY, JSON.stringify(liveShareSettings));
+}
+
+// A random hex id that can't be guessed, for the trip and its write token
+function createRandomId() {
+    const bytes = crypto.getRandomValues(new Uint8Array(16));
+    return Array.from(bytes, byte => byte.toString(16).padStart(2, '0')).join('');
+}
+
+// The read-only viewer page for the shared trip
+function buildViewerUrl(trip) {
+    const viewer = new URL('viewer.html', location.href);
+    viewer.hash = new URLSearchParams({ src: `${trip.url}/${trip.id}` }).toString();
+    return viewer.toString();
+}
+
+// Queue an event for the contact, replacing a position that wasn't sent yet with the newer one
+function reportLiveShareEvent(type, { target = selectedStation, detail = null } = {}) {
+    if (!liveShareTrip || !target) return;
+
+    const distance = userLocation
+        ? calculateDistance(userLocation.lat, userLocation.lng, target.lat, target.lng)
+        : null;
+    const etaMinutes = distance === null ? null : estimateArrivalMinutes(distance);
+    const event = {
+        tripId: liveShareTrip.id,
+        token: liveShareTrip.token,
+        type,
+        time: Date.now(),
+        rider: userLocation
+            ? { lat: userLocation.lat, lng: userLocation.lng, accuracy: userLocation.accuracy }
+            : null,
+        target: { name: target.name, lat: target.lat, lng: target.lng, code: target.code || '' },
+        distance,
+        etaMinutes: etaMinutes === null ? null : Math.round(etaMinutes),
+        leg: { current: currentLegIndex + 1, total: itinerary.length },
+        detail
+    };
+
+    if (type === 'position') {
+        liveShareOutbox = liveShareOutbox.filter(pending => pending.event.type !== 'position');
+    }
+    liveShareOutbox.push({ url: liveShareTrip.url, event });
+    // Offline for long: keep the newest events
+    liveShareOutbox = liveShareOutbox.slice(-LIVE_SHARE_MAX_PENDING);
+    flushLiveShare();
+}
+
+// Send the queued events in order; on failure they wait for the next event to retry
+async function flushLiveShare() {
+    if (isFlushingLiveShare) return;
+
+    isFlushingLiveShare = true;
+    try {
+        while (liveShareOutbox.length > 0) {
+            // Events of a trip that already ended still go out, just without updating the status
+            const { url, event } = liveShareOutbox[0];
+            const trip = liveShareTrip && liveShareTrip.id === event.tripId ? liveShareTrip : null;
+
+            try {
+                const response = await fetch(url, {
+                    method: 'POST',
+                    headers: { 'Content-Type': 'application/json' },
+                    body: JSON.stringify(event),
+                    keepalive: true // lets the "stopped" event out when the page closes
+                });
+                if (!response.ok) {
+                    throw new Error(`Live share server responded ${response.status}`);
+                }
+            } catch (err) {
+                console.warn('Live share send failed:', err);
+                if (trip) {
+                    trip.failed = true;
+                }
+                break;
+            }
+
+            liveShareOutbox.shift();
+            if (trip) {
+                trip.failed = false;
+                trip.lastSentAt = Date.now();
+            }
+        }
+    } finally {
+        isFlushingLiveShare = false;
+        updateLiveShareStatus();
+    }
+}
+
+// Begin sharing a tracking session, when the rider opted in
+function startLiveShare() {
+    stopLiveShare({ silent: true });
+    if (!liveShareSettings.enabled || !liveShareSettings.url) return;
+
+    liveShareTrip = {
+        id: createRandomId(),
+        token: createRandomId(),
+        url: liveShareSettings.url.replace(/\/+$/, ''),
+        lastPositionAt: Date.now(),
+        arrivedTarget: null,
+        lastSentAt: null,
+        failed: false
+    };
+    reportLiveShareEvent('started');
+}
+
+// Tell the contact the trip is over and stop sharing
+function stopLiveShare({ silent = false } = {}) {
+    if (!liveShareTrip) return;
+
+    if (!silent) {
+        reportLiveShareEvent('stopped');
+    }
+    liveShareTrip = null;
+    updateLiveShareStatus();
+}
+
+// Follow the distance: a position every half minute, and "arrived" at the final stop.
+// Stops on the way report their arrival from checkLegProgress.
+function trackLiveShareProgress(distance, target) {
+    if (!liveShareTrip || target !== selectedStation) return;
+
+    if (distance <= LEG_ARRIVAL_DISTANCE && liveShareTrip.arrivedTarget !== target) {
+        liveShareTrip.arrivedTarget = target;
+        reportLiveShareEvent('arrived', { target });
+        return;
+    }
+
+    if (Date.now() - liveShareTrip.lastPositionAt >= LIVE_SHARE_POSITION_INTERVAL_MS) {
+        liveShareTrip.lastPositionAt = Date.now();
+        reportLiveShareEvent('position', { target });
+    }
+}
+
+// Show on the tracking card that the trip is shared, and whether the server is reachable
+function updateLiveShareStatus() {
+    const panel = document.getElementById('live-share-status');
+    if (!liveShareTrip) {
+        panel.style.display = 'none';
+        return;
+    }
+
+    let text = t('liveShare.active');
+    if (liveShareTrip.failed) {
+        text = t('liveShare.failing');
+    } else if (liveShareTrip.lastSentAt) {
+        text = t('liveShare.lastSent', { time: formatTime(liveShareTrip.lastSentAt, { hour: '2-digit', minute: '2-digit' }) });
+    }
+    document.getElementById('live-share-text').textContent = text;
+    panel.style.display = '';
+}
+
+// Send the viewer link through the system share sheet, or copy it
+async function shareViewerLink() {
+    if (!liveShareTrip) return;
+
+    const url = buildViewerUrl(liveShareTrip);
+    const text = t('liveShare.shareText', { name: selectedStation.name });
+    if (navigator.share) {
+        try {
+            await navigator.share({ title: t('liveShare.shareTitle'), text, url });
+            return;
+        } catch (error) {
+            if (error.name === 'AbortError') return; // the user closed the share sheet
+            console.warn('Web Share failed:', error);
+        }
+    }
+
+    try {
+        await navigator.clipboard.writeText(url);
+        showStatus(t('share.copied'), 'success');
+    } catch (error) {
+        console.warn('Clipboard write failed:', error);
+        window.prompt(t('liveShare.copyPrompt'), url);
+    }
+}
+
+// Wire the live share settings and follow the tracking engine
+function initLiveShare() {
+    const checkbox = document.getElementById('live-share-checkbox');
+    const urlInput = document.getElementById('live-share-url-input');
+
+    checkbox.checked = liveShareSettings.enabled;
+    urlInput.value = liveShareSettings.url;
+    checkbox.addEventListener('change', () => {
+        saveLiveShareSettings({ enabled: checkbox.checked });
+        if (!checkbox.checked) {
+            stopLiveShare();
+        } else if (isTracking) {
+            startLiveShare();
+        }
+    });
+    urlInput.addEventListener('change', () => {
+        saveLiveShareSettings({ url: urlInput.value.trim() || DEFAULT_LIVE_SHARE_SETTINGS.url });
+        urlInput.value = liveShareSettings.url;
+    });
+    document.getElementById('live-share-link-btn').addEventListener('click', shareViewerLink);
+
+    trackingEngine.on('distance', ({ distance, target }) => trackLiveShareProgress(distance, target));
+
+    onLanguageChange(updateLiveShareStatus);
+}
@@ -0,0 +1,431 @@
+// Arabic strings
+I18N_CATALOGS.ar = {
+    'app.title': 'تنبيه الاقتراب من محطة الحافلات',
+    'app.heading': 'تنبيه الاقتراب من المحطة',
+    'app.subtitle': 'احصل على تنبيه تلقائي عند اقترابك من محطة الحافلات',
+    'app.footer': 'يتابع التطبيق موقعك وينبهك عند اقترابك من المحطة',
+    'app.language': 'اللغة',
+    'app.simulationBanner': '🧪 وضع المحاكاة - الموقع ليس من GPS',
+
+    'search.quickStart': 'ابدأ التتبع فورًا عند الاختيار السريع',
+    'search.label': '🔍 ابحث عن محطة حافلات',
+    'search.placeholder': 'مثال: المحطة المركزية حيفا، رمبام حيفا، مجمع ليف حيفا...',
+    'search.button': 'ابحث',
+    'search.searching': 'جارٍ البحث عن المحطات...',
+    'search.noLocalResults': 'لم يتم العثور على محطات في القاعدة المحلية. جرّب اسمًا آخر أو رقم المحطة',
+    'search.foundStations': {
+        one: 'تم العثور على محطة واحدة',
+        two: 'تم العثور على محطتين',
+        few: 'تم العثور على {count} محطات',
+        many: 'تم العثور على {count} محطة',
+        other: 'تم العثور على {count} محطة'
+    },
+    'search.foundResults': {
+        one: 'تم العثور على نتيجة واحدة',
+        two: 'تم العثور على نتيجتين',
+        few: 'تم العثور على {count} نتائج',
+        many: 'تم العثور على {count} نتيجة',
+        other: 'تم العثور على {count} نتيجة'
+    },
+    'search.noResults': 'لم يتم العثور على محطات. جرّب اسمًا آخر أو أضف "محطة" إلى البحث',
+    'search.error': 'خطأ في البحث عن المحطات',
+    'search.enterName': 'أدخل اسم المحطة',
+    'search.suggestions': 'اقتراحات المحطات',
+
+    'trip.addFavorite': '☆ أضف إلى المفضلة',
+    'trip.inFavorites': '★ في المفضلة',
+    'trip.addLeg': '➕ أضف محطة (تبديل)',
+    'trip.clear': '🗑️ امسح الرحلة',
+    'trip.start': 'ابدأ التتبع',
+    'trip.stop': 'أوقف التتبع',
+    'trip.removeLeg': 'احذف المحطة',
+    'trip.legProgress': 'المقطع {current} من {total}',
+    'trip.legAdded': 'أُضيفت المحطة {count} إلى الرحلة',
+    'trip.stationSelected': 'تم اختيار المحطة!',
+    'trip.selectFirst': 'اختر محطة أولًا',
+    'trip.addLegHint': 'ابحث عن المحطة التالية في الرحلة واخترها',
+
+    'share.button': '🔗 مشاركة',
+    'share.title': 'تنبيه المحطة: {name}',
+    'share.text': 'احصل على تنبيه قبل الوصول إلى {name}',
+    'share.autoStart': 'ابدأ التتبع تلقائيًا عند فتح الرابط',
+    'share.send': '📤 أرسل الرابط',
+    'share.print': '🖨️ اطبع رمز QR للمحطة',
+    'share.copied': 'تم نسخ الرابط',
+    'share.scanHint': 'امسح الرمز لتحصل على تنبيه قبل الوصول إلى هذه المحطة',
+    'share.invalidLink': 'الرابط المشترك غير صالح',
+    'share.opened': 'تم تحميل المحطة والإعدادات من الرابط',
+    'share.startPrompt': '▶️ بدء التتبع إلى {name}؟',
+    'share.notNow': 'ليس الآن',
+    'share.qrUnavailable': 'رمز QR غير متاح دون اتصال',
+
+    'schedule.title': '⏰ رحلات مجدولة',
+    'schedule.hint': 'يبدأ التتبع تلقائيًا في الأيام والساعات التي تختارها، ما دام التطبيق مفتوحًا',
+    'schedule.from': 'من الساعة',
+    'schedule.to': 'حتى',
+    'schedule.radius': 'مناطق التنبيه (بالأمتار):',
+    'schedule.originOption': 'ابدأ فقط عندما أغادر موقعي الحالي (150 م)',
+    'schedule.add': '➕ احفظ كرحلة مجدولة',
+    'schedule.forStation': 'للمحطة: {name}',
+    'schedule.empty': 'لا توجد رحلات مجدولة',
+    'schedule.everyDay': 'كل يوم',
+    'schedule.fromOrigin': '🏠 عند مغادرة المنزل',
+    'schedule.enabled': 'مفعّلة',
+    'schedule.remove': 'احذف الرحلة المجدولة',
+    'schedule.incomplete': 'اختر يومًا واحدًا على الأقل ووقتي البداية والنهاية',
+    'schedule.noOrigin': 'موقعك الحالي غير معروف بعد',
+    'schedule.saved': 'تم حفظ الرحلة المجدولة',
+    'schedule.started': 'رحلة مجدولة: بدأ تتبع {name}',
+
+    'favorites.added': 'أُضيفت إلى المفضلة ⭐',
+    'favorites.removed': 'أُزيلت من المفضلة',
+    'favorites.nicknamePrompt': 'اسم مختصر للمحطة (مثلًا "البيت" أو "العمل"):',
+    'favorites.remove': 'احذف',
+
+    'gtfs.title': '🗂️ قاعدة محطات محلية (GTFS)',
+    'gtfs.import': '📂 استورد stops.txt',
+    'gtfs.loadBundled': '⬇️ حمّل القاعدة المرفقة',
+    'gtfs.clear': '🗑️ احذف القاعدة',
+    'gtfs.status': '{count} محطة في القاعدة (استُوردت في {date}). البحث يعمل دون إنترنت.',
+    'gtfs.statusEmpty': 'لا توجد قاعدة محلية - البحث يستخدم Nominatim (يتطلب إنترنت).',
+    'gtfs.importing': 'جارٍ استيراد المحطات...',
+    'gtfs.imported': {
+        one: 'استُوردت محطة واحدة',
+        two: 'استُوردت محطتان',
+        few: 'استُوردت {count} محطات',
+        many: 'استُوردت {count} محطة',
+        other: 'استُوردت {count} محطة'
+    },
+    'gtfs.cleared': 'حُذفت القاعدة المحلية',
+    'gtfs.clearError': 'تعذّر حذف قاعدة البيانات المحلية',
+    'gtfs.errorEmpty': 'ملف stops.txt فارغ',
+    'gtfs.errorInvalid': 'الملف ليس stops.txt صالحًا بصيغة GTFS',
+    'gtfs.errorNoStops': 'لم يتم العثور على محطات في الملف',
+    'gtfs.errorNoBundled': 'لم يتم العثور على ملف stops.txt مرفق',
+    'db.unsupported': 'المتصفح لا يدعم قاعدة بيانات محلية',
+
+    'settings.url': 'العنوان:',
+    'settings.apiType': 'نوع API:',
+    'settings.customServer': 'خادم مخصص',
+    'settings.seconds': 'ثانية',
+
+    'geocoder.title': '🌐 خدمة البحث عن العناوين',
+    'geocoder.hint': 'تُستخدم عند عدم وجود قاعدة محطات محلية. تُحفظ النتائج لمدة أسبوع.',
+    'geocoder.provider': 'المزوّد:',
+    'geocoder.overpass': 'خادم Overpass (محطات قريبة):',
+    'geocoder.clearCache': '🧹 امسح الذاكرة المؤقتة',
+    'geocoder.cacheCleared': 'تم مسح ذاكرة البحث المؤقتة',
+
+    'routing.title': '🚶 مسار المشي',
+    'routing.hint': 'مسار على طول الشوارع بدل خط مستقيم. إذا لم تتوفر الخدمة يُعرض خط مستقيم.',
+    'routing.provider': 'خدمة التوجيه:',
+    'routing.none': 'خط مستقيم (دون توجيه)',
+    'routing.osrm': 'OSRM - مشي (FOSSGIS)',
+    'routing.summary': '🚶 {distance} عبر الشوارع · {time}',
+
+    'tiles.title': '🗺️ خريطة دون اتصال',
+    'tiles.hint': '"نزّل خريطة الرحلة" يحفظ الخريطة على طول الرحلة حتى لا تختفي في الأنفاق أو دون باقة إنترنت',
+    'tiles.server': 'خادم الخرائط:',
+    'tiles.cap': 'الحجم الأقصى:',
+    'tiles.megabytes': 'ميغابايت',
+    'tiles.clear': '🗑️ احذف الخرائط المحفوظة',
+    'tiles.download': '⬇️ نزّل خريطة الرحلة',
+    'tiles.cancel': '✕ أوقف التنزيل',
+    'tiles.historyAction': '⬇️ خريطة',
+    'tiles.status': 'مربعات الخريطة المحفوظة: {count} ({size} من {max} ميغابايت)',
+    'tiles.unavailable': 'حفظ الخرائط غير متاح في هذا المتصفح',
+    'tiles.progress': '⬇️ جارٍ تنزيل الخريطة: {done} / {total}',
+    'tiles.done': '🗺️ حُفظت الخريطة للاستخدام دون اتصال ({count} مربع)',
+    'tiles.doneWithFailures': 'حُفظت الخريطة جزئيًا: {count} مربع، فشل {failed}',
+    'tiles.cancelled': 'توقف تنزيل الخريطة',
+    'tiles.cleared': 'حُذفت الخرائط المحفوظة',
+    'tiles.tooMany': 'المنطقة كبيرة جدًا ({count} مربع، الحد {limit}). قسّم الرحلة أو استخدم خادم خرائط خاصًا بك',
+    'tiles.needsOwnServer': 'خوادم OpenStreetMap لا تسمح بحفظ الخرائط للاستخدام دون اتصال - حدّد خادم خرائط خاصًا بك للتنزيل',
+    'tiles.noPath': 'لا يوجد مسار لتنزيل خريطة له',
+
+    'realtime.title': '🚌 أوقات الوصول الفعلية (SIRI)',
+    'realtime.enable': 'اعرض الحافلات القريبة من المحطة',
+    'realtime.stopCode': 'رقم المحطة:',
+    'realtime.serviceUrl': 'عنوان الخدمة:',
+    'realtime.refreshEvery': 'حدّث كل',
+    'realtime.alertWhenLine': '🔔 نبّهني عندما يكون الخط',
+    'realtime.within': 'على بعد',
+    'realtime.minutesFromStop': 'دقائق من المحطة',
+    'realtime.hintTemplate': 'في العنوان،',
+    'realtime.hintReplaced': 'يُستبدل برقم المحطة. للتطوير:',
+    'realtime.nearbyBuses': '🚌 الحافلات القادمة',
+    'realtime.unavailable': 'لا يمكن الحصول على أوقات الوصول حاليًا',
+    'realtime.none': 'لا توجد حافلات متوقعة قريبًا',
+    'realtime.arriving': 'تصل الآن',
+    'realtime.live': 'وقت فعلي',
+    'realtime.scheduled': 'حسب الجدول',
+    'realtime.lineArrivingNow': 'الخط {line} يصل إلى المحطة الآن!',
+    'realtime.lineArriving': {
+        one: 'الخط {line} يصل إلى المحطة خلال دقيقة',
+        two: 'الخط {line} يصل إلى المحطة خلال دقيقتين',
+        few: 'الخط {line} يصل إلى المحطة خلال {count} دقائق',
+        other: 'الخط {line} يصل إلى المحطة خلال {count} دقيقة'
+    },
+    'realtime.invalidResponse': 'استجابة SIRI غير صالحة',
+
+    'sim.title': '🧪 مصدر الموقع (محاكاة)',
+    'sim.hint': 'لاختبار التتبع والتنبيهات من المكتب دون ركوب الحافلة',
+    'sim.source': 'المصدر:',
+    'sim.loadTrack': '📂 حمّل GPX / GeoJSON',
+    'sim.restart': '⏮️ من البداية',
+    'sim.speed': 'السرعة:',
+    'sim.noTrack': 'لم يُحمَّل مسار',
+    'sim.gps': 'GPS حقيقي',
+    'sim.replay': 'تشغيل مسار (GPX/GeoJSON)',
+    'sim.manual': 'سحب يدوي على الخريطة',
+    'sim.trackInfo': {
+        one: '{file}: نقطة واحدة، {duration}',
+        two: '{file}: نقطتان، {duration}',
+        few: '{file}: {count} نقاط، {duration}',
+        other: '{file}: {count} نقطة، {duration}'
+    },
+    'sim.trackLoaded': 'تم تحميل المسار - اضغط "ابدأ التتبع" لتشغيله',
+    'sim.trackError': 'خطأ في تحميل المسار',
+    'sim.noTrackInFile': 'لم يتم العثور على مسار في الملف',
+    'sim.invalidGpx': 'ملف GPX غير صالح',
+    'sim.dragHint': 'اسحب العلامة الزرقاء لتغيير الموقع',
+    'sim.replayFinished': 'انتهى المسار',
+    'sim.replayProgress': 'تشغيل المسار: {percent}%',
+
+    'stages.title': '⚙️ مناطق التنبيه',
+    'stages.hint': 'المسافة بالأمتار ونص التنبيه والصوت لكل مرحلة',
+    'stages.add': '➕ أضف مرحلة',
+    'stages.reset': '↺ الإعدادات الافتراضية',
+    'stages.timeAlert': '⏱️ تنبيه حسب الوقت:',
+    'stages.timeAlertUnit': 'دقائق قبل الوصول (0 = معطّل)',
+    'stages.policy': '🔋 سياسة التتبع:',
+    'stages.distanceTitle': 'المسافة بالأمتار',
+    'stages.messageTitle': 'نص التنبيه',
+    'stages.remove': 'احذف المرحلة',
+    'stages.minOne': 'يجب أن تبقى مرحلة تنبيه واحدة على الأقل',
+    'stages.defaultMessage': 'تقترب من المحطة',
+    'stages.prepare': 'استعد - المحطة تقترب',
+    'stages.door': 'قم وتقدّم نحو الباب',
+    'stages.bell': 'اضغط على الجرس الآن!',
+
+    'sound.default': 'رنين عادي',
+    'sound.beep': 'صفير قصير',
+    'sound.urgent': 'صفير عاجل',
+    'sound.none': 'بدون صوت',
+
+    'policy.saver': 'توفير البطارية',
+    'policy.balanced': 'متوازن',
+    'policy.precise': 'أقصى دقة',
+
+    'delivery.title': '📣 طريقة التنبيه',
+    'delivery.hint': 'للسماعات والحافلات الصاخبة: تكرار حتى التأكيد، اهتزاز وإعلان صوتي',
+    'delivery.repeat': 'كرّر التنبيه بصوت متصاعد حتى الضغط على "سأنزل"',
+    'delivery.every': '🔁 كل',
+    'delivery.vibration': '📳 الاهتزاز:',
+    'delivery.customVibrationTitle': 'مدد الاهتزاز والتوقف بالميلي ثانية',
+    'delivery.speech': '🗣️ إعلان صوتي ("محطتك، ديزنغوف سنتر، على بعد 300 متر")',
+    'delivery.uploadRingtone': '🎵 ارفع نغمة',
+    'delivery.resetRingtone': '↺ النغمة الافتراضية',
+    'delivery.test': '🔔 جرّب التنبيه',
+    'delivery.ringtoneCustom': 'النغمة: {name}',
+    'delivery.ringtoneDefault': 'النغمة: الافتراضية',
+    'delivery.ringtoneUpdated': 'تم تحديث النغمة',
+    'delivery.ringtoneReset': 'تمت العودة إلى النغمة الافتراضية',
+    'delivery.ringtoneResetError': 'تعذّرت العودة إلى النغمة الافتراضية',
+    'delivery.ringtoneNotAudio': 'يجب اختيار ملف صوتي',
+    'delivery.ringtoneTooLarge': 'الملف الصوتي كبير جدًا (حتى 5MB)',
+    'delivery.ringtoneMissing': '⚠️ لم يتم العثور على ملف النغمة - ستكون التنبيهات مرئية فقط',
+    'delivery.sampleStop': 'ديزنغوف سنتر',
+    'delivery.acknowledged': '👍 بالتوفيق! تم إسكات التنبيه',
+
+    'vibration.none': 'بدون اهتزاز',
+    'vibration.short': 'قصير',
+    'vibration.long': 'طويل',
+    'vibration.pulse': 'نبض',
+    'vibration.custom': 'مخصص',
+
+    'speech.announcement': 'محطتك، {name}، على بعد {distance}',
+    'speech.meters': '{value} متر',
+    'speech.km': '{value} كيلومتر',
+
+    'tracking.active': 'التتبع فعّال',
+    'tracking.detail': '{mode} · تحديث كل {count} ثانية',
+    'tracking.gpsPrecise': 'GPS دقيق',
+    'tracking.gpsSaver': 'وضع التوفير',
+    'tracking.simulation': '🧪 محاكاة: {source}',
+    'tracking.started': 'بدأ التتبع!',
+    'tracking.stopped': 'توقف التتبع',
+    'tracking.stale': '⚠️ لم يتحدّث موقعك منذ {duration} - قد تتأخر التنبيهات. أبقِ التطبيق مفتوحًا أو تحقق من GPS',
+    'tracking.wakeLock': '🔆 أبقِ الشاشة مضاءة أثناء التتبع (يمنع تأخر التنبيهات ويستهلك بطارية أكثر)',
+    'tracking.wakeLockUnsupported': 'هذا المتصفح لا يستطيع إبقاء الشاشة مضاءة',
+
+    'results.currentDistance': 'المسافة الحالية',
+    'results.yourLocation': 'موقعك:',
+    'results.target': 'المحطة المقصودة:',
+    'results.speed': 'السرعة:',
+    'results.lastUpdate': 'آخر تحديث:',
+    'results.alertZone': 'منطقة تنبيه!',
+    'results.alertZoneText': 'أنت قريب من المحطة',
+
+    'map.nearbyStops': '🚏 محطات قريبة مني',
+    'map.pickHint': 'انقر أو اضغط مطولًا على الخريطة لاختيار الوجهة',
+    'map.yourLocation': 'موقعك',
+    'map.busStop': 'محطة حافلات',
+    'map.droppedPoint': 'نقطة على الخريطة',
+    'map.targetHere': '📍 الوجهة في هذه النقطة',
+    'map.searchingNearest': 'جارٍ البحث عن محطة قريبة...',
+    'map.findNearest': '🚏 ابحث عن أقرب محطة',
+    'map.noStopWithin': 'لا توجد محطة ضمن {distance}',
+    'map.nearestError': 'لا يمكن البحث عن محطات حاليًا',
+    'map.fromYou': 'على بعد {distance} منك',
+    'map.selectStop': 'اختر هذه المحطة',
+    'map.noStopsNearby': 'لم يتم العثور على محطات ضمن {distance}',
+    'map.nearbyError': 'لا يمكن تحميل المحطات القريبة',
+
+    'legend.you': 'موقعك',
+    'legend.accuracy': 'دقة الموقع',
+    'legend.target': 'المحطة المقصودة',
+    'legend.nearby': 'محطات قريبة',
+    'legend.alertZonesRadii': 'مناطق التنبيه ({radii})',
+
+    'history.title': '📜 سجل الرحلات',
+    'history.hint': 'كل تتبع يُسجَّل: المسار والتنبيهات وأقرب مسافة من المحطة',
+    'history.clearReplay': '✕ امسح العرض من الخريطة',
+    'history.empty': 'لا توجد رحلات مسجلة بعد',
+    'history.alerts': {
+        zero: 'بدون تنبيهات',
+        one: 'تنبيه واحد',
+        two: 'تنبيهان',
+        few: '{count} تنبيهات',
+        other: '{count} تنبيهًا'
+    },
+    'history.closest': 'الأقرب: {distance}',
+    'history.show': '▶️ اعرض على الخريطة',
+    'history.delete': 'حذف الرحلة',
+    'history.deleteError': 'تعذّر حذف الرحلة',
+
+    'overlay.getOff': '🚏 سأنزل!',
+    'overlay.snooze': '😴 غفوة {count} د',
+
+    'notify.title': 'تنبيه الاقتراب من المحطة',
+    'notify.dismiss': 'إغلاق',
+    'notify.snooze': 'غفوة {count} د',
+    'notify.stageBody': '{message} - أنت على بعد أقل من {distance} من المحطة',
+    'notify.snoozed': {
+        one: '😴 تذكير بعد دقيقة',
+        two: '😴 تذكير بعد دقيقتين',
+        few: '😴 تذكير بعد {count} دقائق',
+        other: '😴 تذكير بعد {count} دقيقة'
+    },
+    'notify.visualFallback': '🔔 تنبيه: وصلت إلى المحطة!',
+
+    'alert.transfer': 'تبديل في {stop} - تابع إلى {next} ({progress})',
+    'alert.movingAway': 'أنت تبتعد عن {name} - هل ركبت في الاتجاه المعاكس؟',
+    'alert.missedStop': 'لقد تجاوزت محطتك، {name}! انزل في المحطة التالية',
+    'alert.time': {
+        one: 'تصل إلى المحطة خلال دقيقة تقريبًا',
+        two: 'تصل إلى المحطة خلال دقيقتين تقريبًا',
+        few: 'تصل إلى المحطة خلال {count} دقائق تقريبًا',
+        other: 'تصل إلى المحطة خلال {count} دقيقة تقريبًا'
+    },
+
+    'movement.unknown': 'غير معروف',
+    'movement.stationary': 'متوقف',
+    'movement.walking': 'يمشي',
+    'movement.riding': 'في الطريق',
+
+    'compass.n': 'شمال',
+    'compass.ne': 'شمال شرق',
+    'compass.e': 'شرق',
+    'compass.se': 'جنوب شرق',
+    'compass.s': 'جنوب',
+    'compass.sw': 'جنوب غرب',
+    'compass.w': 'غرب',
+    'compass.nw': 'شمال غرب',
+    'bearing.ahead': 'أمامك',
+    'bearing.behind': 'خلفك',
+    'bearing.left': 'على يسارك',
+    'bearing.right': 'على يمينك',
+
+    'a11y.title': '♿ إمكانية الوصول',
+    'a11y.hint': 'لقارئات الشاشة وضعف البصر: إعلانات المسافة وتباين عالٍ وقراءة صوتية',
+    'a11y.highContrast': '🌓 تباين عالٍ ونص كبير',
+    'a11y.announceStep': '📢 تحديث المسافة لقارئ الشاشة داخل منطقة التنبيه، كل:',
+    'a11y.readout': '🗣️ قراءة المسافة بصوت أثناء التتبع، كل:',
+    'a11y.off': 'متوقف',
+    'a11y.seconds': '{count} ثانية',
+    'a11y.distance': '{distance} إلى {name}',
+
+    'liveShare.title': '📡 مشاركة الرحلة مع جهة اتصال',
+    'liveShare.hint': 'يرسل تقدم التتبع (البدء، دخول منطقة، الوصول، تجاوز المحطة) إلى خادم تختاره. متوقف حتى تفعّله.',
+    'liveShare.enable': 'شارك الرحلة أثناء التتبع',
+    'liveShare.url': 'عنوان Webhook أو خادم الترحيل:',
+    'liveShare.viewerHint': 'صفحة المشاهدة لجهة الاتصال تعمل مع خادم ترحيل (server/trip-relay.js)',
+    'liveShare.sendLink': '📤 أرسل رابط المشاهدة',
+    'liveShare.active': '📡 الرحلة مُشاركة',
+    'liveShare.lastSent': '📡 الرحلة مُشاركة · آخر إرسال {time}',
+    'liveShare.failing': '📡 لا يوجد اتصال بخادم المشاركة، إعادة المحاولة',
+    'liveShare.shareTitle': 'رحلتي',
+    'liveShare.shareText': 'تابع رحلتي إلى {name}',
+    'liveShare.copyPrompt': 'انسخ رابط المشاهدة:',
+    'viewer.title': 'متابعة رحلة مُشاركة',
+    'viewer.heading': 'رحلة جهة الاتصال',
+    'viewer.waiting': 'بانتظار أول تحديث...',
+    'viewer.noSource': 'الرابط غير مكتمل - اطلب رابط مشاهدة جديدًا',
+    'viewer.notFound': 'لم يتم العثور على الرحلة. ربما لم تبدأ بعد أو أن الرابط قديم',
+    'viewer.expired': 'هذه الرحلة لم تعد متاحة',
+    'viewer.unreachable': 'لا يوجد اتصال بخادم المشاركة، إعادة المحاولة...',
+    'viewer.events': 'ما حدث حتى الآن',
+    'viewer.rider': 'الراكب',
+    'viewer.eta': 'يصل خلال حوالي {duration}',
+    'viewer.status.started': 'بدأ التتبع إلى {name}',
+    'viewer.status.zone': 'على بعد {distance} من {name}',
+    'viewer.status.arrived': 'وصل إلى {name}',
+    'viewer.status.passed': '⚠️ تجاوز {name}',
+    'viewer.status.stopped': 'انتهى التتبع',
+
+    'unit.meters': '{value} م',
+    'unit.km': '{value} كم',
+    'unit.kmh': '{value} كم/س',
+    'unit.accuracy': '±{value} م',
+
+    'time.minutes': {
+        one: 'دقيقة',
+        two: 'دقيقتان',
+        few: '{count} دقائق',
+        other: '{count} دقيقة'
+    },
+    'time.hours': {
+        one: 'ساعة',
+        two: 'ساعتان',
+        few: '{count} ساعات',
+        other: '{count} ساعة'
+    },
+    'time.hoursMinutes': '{hours} و{minutes}',
+    'time.minutesShort': '{count} د',
+
+    'walk.lessThanMinute': 'أقل من دقيقة',
+    'walk.minutes': {
+        one: 'نحو دقيقة مشيًا',
+        two: 'نحو دقيقتين مشيًا',
+        few: 'نحو {count} دقائق مشيًا',
+        other: 'نحو {count} دقيقة مشيًا'
+    },
+    'walk.long': 'نحو {duration} مشيًا',
+
+    'eta.lessThanMinute': 'تصل خلال أقل من دقيقة',
+    'eta.minutes': {
+        one: 'تصل خلال دقيقة تقريبًا',
+        two: 'تصل خلال دقيقتين تقريبًا',
+        few: 'تصل خلال ~{count} دقائق',
+        other: 'تصل خلال ~{count} دقيقة'
+    },
+    'eta.long': 'تصل خلال ~{duration}',
+
+    'error.geolocationUnsupported': 'المتصفح لا يدعم خدمة الموقع',
+    'error.loadTrackFirst': 'حمّل مسارًا للتشغيل أولًا',
+    'error.permissionDenied': 'يلزم إذن الوصول إلى الموقع',
+    'error.positionUnavailable': 'معلومات الموقع غير متوفرة',
+    'error.timeout': 'انتهت مهلة طلب الموقع',
+    'error.unknownPosition': 'تعذّر تحديد الموقع'
+};
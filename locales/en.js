@@ -0,0 +1,367 @@
+// English strings
+I18N_CATALOGS.en = {
+    'app.title': 'Bus Stop Proximity Alert',
+    'app.heading': 'Bus Stop Alert',
+    'app.subtitle': 'Get an automatic alert as you approach your bus stop',
+    'app.footer': 'The app follows your location and alerts you as you approach your stop',
+    'app.language': 'Language',
+    'app.simulationBanner': '🧪 Simulation mode - the location is not from GPS',
+
+    'search.quickStart': 'Start tracking right away from a quick pick',
+    'search.label': '🔍 Find a bus stop',
+    'search.placeholder': 'e.g. Haifa Central Station, Rambam Haifa, Lev Haifa Mall...',
+    'search.button': 'Search',
+    'search.searching': 'Searching for stops...',
+    'search.noLocalResults': 'No stops found in the local database. Try another name or a stop code',
+    'search.foundStations': { one: 'Found 1 stop', other: 'Found {count} stops' },
+    'search.foundResults': { one: 'Found 1 result', other: 'Found {count} results' },
+    'search.noResults': 'No stops found. Try another name or add "station" to the search',
+    'search.error': 'Stop search failed',
+    'search.enterName': 'Enter a stop name',
+    'search.suggestions': 'Stop suggestions',
+
+    'trip.addFavorite': '☆ Add to favorites',
+    'trip.inFavorites': '★ In favorites',
+    'trip.addLeg': '➕ Add a stop (transfer)',
+    'trip.clear': '🗑️ Clear trip',
+    'trip.start': 'Start tracking',
+    'trip.stop': 'Stop tracking',
+    'trip.removeLeg': 'Remove stop',
+    'trip.legProgress': 'Leg {current} of {total}',
+    'trip.legAdded': 'Stop {count} added to the trip',
+    'trip.stationSelected': 'Stop selected!',
+    'trip.selectFirst': 'Select a stop first',
+    'trip.addLegHint': 'Search for and select the next stop of the trip',
+
+    'share.button': '🔗 Share',
+    'share.title': 'Stop alert: {name}',
+    'share.text': 'Get an alert before you reach {name}',
+    'share.autoStart': 'Start tracking automatically when the link opens',
+    'share.send': '📤 Send link',
+    'share.print': '🖨️ Print QR for the stop',
+    'share.copied': 'Link copied',
+    'share.scanHint': 'Scan to get an alert before you reach this stop',
+    'share.invalidLink': 'The shared link is invalid',
+    'share.opened': 'Stop and settings loaded from the link',
+    'share.startPrompt': '▶️ Start tracking to {name}?',
+    'share.notNow': 'Not now',
+    'share.qrUnavailable': 'QR code is unavailable offline',
+
+    'schedule.title': '⏰ Scheduled commutes',
+    'schedule.hint': 'Tracking starts by itself on the days and hours you pick, while the app is open',
+    'schedule.from': 'From',
+    'schedule.to': 'to',
+    'schedule.radius': 'Alert rings (meters):',
+    'schedule.originOption': 'Start only once I leave my current location (150 m)',
+    'schedule.add': '➕ Save as a scheduled commute',
+    'schedule.forStation': 'For the stop: {name}',
+    'schedule.empty': 'No scheduled commutes',
+    'schedule.everyDay': 'Every day',
+    'schedule.fromOrigin': '🏠 On leaving home',
+    'schedule.enabled': 'Active',
+    'schedule.remove': 'Delete scheduled commute',
+    'schedule.incomplete': 'Pick at least one day and a start and end time',
+    'schedule.noOrigin': 'Your current location is not known yet',
+    'schedule.saved': 'Scheduled commute saved',
+    'schedule.started': 'Scheduled commute: tracking {name} started',
+
+    'favorites.added': 'Added to favorites ⭐',
+    'favorites.removed': 'Removed from favorites',
+    'favorites.nicknamePrompt': 'Nickname for the stop (e.g. "Home" or "Work"):',
+    'favorites.remove': 'Remove',
+
+    'gtfs.title': '🗂️ Local stop database (GTFS)',
+    'gtfs.import': '📂 Import stops.txt',
+    'gtfs.loadBundled': '⬇️ Load bundled database',
+    'gtfs.clear': '🗑️ Delete database',
+    'gtfs.status': '{count} stops in the database (imported {date}). Search works offline.',
+    'gtfs.statusEmpty': 'No local database - search uses Nominatim (needs internet).',
+    'gtfs.importing': 'Importing stops...',
+    'gtfs.imported': { one: 'Imported 1 stop', other: 'Imported {count} stops' },
+    'gtfs.cleared': 'Local database deleted',
+    'gtfs.clearError': 'Could not delete the local database',
+    'gtfs.errorEmpty': 'stops.txt is empty',
+    'gtfs.errorInvalid': 'The file is not a valid GTFS stops.txt',
+    'gtfs.errorNoStops': 'No stops found in the file',
+    'gtfs.errorNoBundled': 'No bundled stops.txt found',
+    'db.unsupported': 'This browser does not support local storage databases',
+
+    'settings.url': 'URL:',
+    'settings.apiType': 'API type:',
+    'settings.customServer': 'Custom server',
+    'settings.seconds': 'seconds',
+
+    'geocoder.title': '🌐 Address search service',
+    'geocoder.hint': 'Used when there is no local stop database. Results are cached for a week.',
+    'geocoder.provider': 'Provider:',
+    'geocoder.overpass': 'Overpass server (nearby stops):',
+    'geocoder.clearCache': '🧹 Clear cache',
+    'geocoder.cacheCleared': 'Search cache cleared',
+
+    'routing.title': '🚶 Walking route',
+    'routing.hint': 'A route along the streets instead of a straight line. Falls back to a straight line when the service is unavailable.',
+    'routing.provider': 'Routing service:',
+    'routing.none': 'Straight line (no routing)',
+    'routing.osrm': 'OSRM - walking (FOSSGIS)',
+    'routing.summary': '🚶 {distance} by street · {time}',
+
+    'tiles.title': '🗺️ Offline map',
+    'tiles.hint': '"Download map for trip" saves the map along the trip, so it doesn\'t go blank in tunnels or without mobile data',
+    'tiles.server': 'Tile server:',
+    'tiles.cap': 'Maximum size:',
+    'tiles.megabytes': 'MB',
+    'tiles.clear': '🗑️ Delete saved maps',
+    'tiles.download': '⬇️ Download map for trip',
+    'tiles.cancel': '✕ Stop download',
+    'tiles.historyAction': '⬇️ Map',
+    'tiles.status': 'Saved map tiles: {count} ({size} of {max} MB)',
+    'tiles.unavailable': 'Saving maps is not available in this browser',
+    'tiles.progress': '⬇️ Downloading map: {done} / {total}',
+    'tiles.done': '🗺️ Map saved for offline use ({count} tiles)',
+    'tiles.doneWithFailures': 'Map partly saved: {count} tiles, {failed} failed',
+    'tiles.cancelled': 'Map download stopped',
+    'tiles.cleared': 'Saved maps deleted',
+    'tiles.tooMany': 'The area is too large ({count} tiles, up to {limit}). Split the trip or use your own tile server',
+    'tiles.needsOwnServer': 'OpenStreetMap\'s tile servers don\'t allow saving maps for offline use - set your own tile server to download',
+    'tiles.noPath': 'There is no route to download a map for',
+
+    'realtime.title': '🚌 Real-time arrivals (SIRI)',
+    'realtime.enable': 'Show buses approaching the stop',
+    'realtime.stopCode': 'Stop code:',
+    'realtime.serviceUrl': 'Service URL:',
+    'realtime.refreshEvery': 'Refresh every',
+    'realtime.alertWhenLine': '🔔 Alert when line',
+    'realtime.within': 'is',
+    'realtime.minutesFromStop': 'minutes from the stop',
+    'realtime.hintTemplate': 'In the URL,',
+    'realtime.hintReplaced': 'is replaced with the stop code. For development:',
+    'realtime.nearbyBuses': '🚌 Upcoming buses',
+    'realtime.unavailable': 'Arrival times are unavailable right now',
+    'realtime.none': 'No buses expected soon',
+    'realtime.arriving': 'Arriving',
+    'realtime.live': 'Real time',
+    'realtime.scheduled': 'Scheduled',
+    'realtime.lineArrivingNow': 'Line {line} is arriving at the stop now!',
+    'realtime.lineArriving': { one: 'Line {line} arrives at the stop in 1 minute', other: 'Line {line} arrives at the stop in {count} minutes' },
+    'realtime.invalidResponse': 'Invalid SIRI response',
+
+    'sim.title': '🧪 Position source (simulation)',
+    'sim.hint': 'Test tracking and alerts from your desk, without riding a bus',
+    'sim.source': 'Source:',
+    'sim.loadTrack': '📂 Load GPX / GeoJSON',
+    'sim.restart': '⏮️ From the start',
+    'sim.speed': 'Speed:',
+    'sim.noTrack': 'No track loaded',
+    'sim.gps': 'Real GPS',
+    'sim.replay': 'Track replay (GPX/GeoJSON)',
+    'sim.manual': 'Drag on the map',
+    'sim.trackInfo': { one: '{file}: 1 point, {duration}', other: '{file}: {count} points, {duration}' },
+    'sim.trackLoaded': 'Track loaded - press "Start tracking" to play it',
+    'sim.trackError': 'Could not load the track',
+    'sim.noTrackInFile': 'No track found in the file',
+    'sim.invalidGpx': 'Invalid GPX file',
+    'sim.dragHint': 'Drag the blue marker to change the location',
+    'sim.replayFinished': 'Track finished',
+    'sim.replayProgress': 'Playing track: {percent}%',
+
+    'stages.title': '⚙️ Alert zones',
+    'stages.hint': 'Distance in meters, alert text and sound for each stage',
+    'stages.add': '➕ Add stage',
+    'stages.reset': '↺ Defaults',
+    'stages.timeAlert': '⏱️ Time-based alert:',
+    'stages.timeAlertUnit': 'minutes before arrival (0 = off)',
+    'stages.policy': '🔋 Tracking policy:',
+    'stages.distanceTitle': 'Distance in meters',
+    'stages.messageTitle': 'Alert text',
+    'stages.remove': 'Remove stage',
+    'stages.minOne': 'At least one alert stage is required',
+    'stages.defaultMessage': 'Approaching the stop',
+    'stages.prepare': 'Get ready - your stop is coming up',
+    'stages.door': 'Get up and move to the door',
+    'stages.bell': 'Press the bell now!',
+
+    'sound.default': 'Ringtone',
+    'sound.beep': 'Short beep',
+    'sound.urgent': 'Urgent beeps',
+    'sound.none': 'Silent',
+
+    'policy.saver': 'Battery saver',
+    'policy.balanced': 'Balanced',
+    'policy.precise': 'Maximum accuracy',
+
+    'delivery.title': '📣 Alert delivery',
+    'delivery.hint': 'For headphones and noisy buses: repeat until acknowledged, vibration and spoken announcements',
+    'delivery.repeat': 'Repeat the alert with rising volume until "I\'m getting off" is pressed',
+    'delivery.every': '🔁 Every',
+    'delivery.vibration': '📳 Vibration:',
+    'delivery.customVibrationTitle': 'Vibration and pause lengths in milliseconds',
+    'delivery.speech': '🗣️ Spoken announcement ("Your stop, Dizengoff Center, is 300 meters away")',
+    'delivery.uploadRingtone': '🎵 Upload ringtone',
+    'delivery.resetRingtone': '↺ Default ringtone',
+    'delivery.test': '🔔 Test alert',
+    'delivery.ringtoneCustom': 'Ringtone: {name}',
+    'delivery.ringtoneDefault': 'Ringtone: default',
+    'delivery.ringtoneUpdated': 'Ringtone updated',
+    'delivery.ringtoneReset': 'Back to the default ringtone',
+    'delivery.ringtoneResetError': 'Could not go back to the default ringtone',
+    'delivery.ringtoneNotAudio': 'Please choose an audio file',
+    'delivery.ringtoneTooLarge': 'The audio file is too large (up to 5MB)',
+    'delivery.ringtoneMissing': '⚠️ Ringtone file not found - alerts will be visual only',
+    'delivery.sampleStop': 'Dizengoff Center',
+    'delivery.acknowledged': '👍 Good luck! Alert silenced',
+
+    'vibration.none': 'No vibration',
+    'vibration.short': 'Short',
+    'vibration.long': 'Long',
+    'vibration.pulse': 'Pulse',
+    'vibration.custom': 'Custom',
+
+    'speech.announcement': 'Your stop, {name}, is {distance} away',
+    'speech.meters': '{value} meters',
+    'speech.km': '{value} kilometers',
+
+    'tracking.active': 'Tracking active',
+    'tracking.detail': '{mode} · updating every {count} seconds',
+    'tracking.gpsPrecise': 'Precise GPS',
+    'tracking.gpsSaver': 'Power saving',
+    'tracking.simulation': '🧪 Simulation: {source}',
+    'tracking.started': 'Tracking started!',
+    'tracking.stopped': 'Tracking stopped',
+    'tracking.stale': '⚠️ Your position has not updated for {duration} - alerts may be late. Keep the app open or check the GPS',
+    'tracking.wakeLock': '🔆 Keep the screen on while tracking (avoids late alerts, uses more battery)',
+    'tracking.wakeLockUnsupported': 'This browser cannot keep the screen on',
+
+    'results.currentDistance': 'Current distance',
+    'results.yourLocation': 'Your location:',
+    'results.target': 'Target stop:',
+    'results.speed': 'Speed:',
+    'results.lastUpdate': 'Last updated:',
+    'results.alertZone': 'Alert zone!',
+    'results.alertZoneText': 'You are close to the stop',
+
+    'map.nearbyStops': '🚏 Stops near me',
+    'map.pickHint': 'Tap or long-press the map to pick a target',
+    'map.yourLocation': 'Your location',
+    'map.busStop': 'Bus stop',
+    'map.droppedPoint': 'Point on the map',
+    'map.targetHere': '📍 Target at this point',
+    'map.searchingNearest': 'Looking for a nearby stop...',
+    'map.findNearest': '🚏 Find the nearest stop',
+    'map.noStopWithin': 'No stop within {distance}',
+    'map.nearestError': 'Cannot search for stops right now',
+    'map.fromYou': '{distance} from you',
+    'map.selectStop': 'Select this stop',
+    'map.noStopsNearby': 'No stops found within {distance}',
+    'map.nearbyError': 'Could not load nearby stops',
+
+    'legend.you': 'Your location',
+    'legend.accuracy': 'Location accuracy',
+    'legend.target': 'Target stop',
+    'legend.nearby': 'Nearby stops',
+    'legend.alertZonesRadii': 'Alert zones ({radii})',
+
+    'history.title': '📜 Trip history',
+    'history.hint': 'Every tracking session is recorded: route, alerts and closest approach to the stop',
+    'history.clearReplay': '✕ Clear from map',
+    'history.empty': 'No recorded trips yet',
+    'history.alerts': { one: '1 alert', other: '{count} alerts' },
+    'history.closest': 'Closest: {distance}',
+    'history.show': '▶️ Show on map',
+    'history.delete': 'Delete trip',
+    'history.deleteError': 'Could not delete the trip',
+
+    'overlay.getOff': '🚏 I\'m getting off!',
+    'overlay.snooze': '😴 Snooze {count} min',
+
+    'notify.title': 'Bus stop alert',
+    'notify.dismiss': 'Dismiss',
+    'notify.snooze': 'Snooze {count} min',
+    'notify.stageBody': '{message} - you are less than {distance} from the stop',
+    'notify.snoozed': { one: '😴 Reminder in 1 minute', other: '😴 Reminder in {count} minutes' },
+    'notify.visualFallback': '🔔 Alert: you have reached the stop!',
+
+    'alert.transfer': 'Transfer at {stop} - continue to {next} ({progress})',
+    'alert.movingAway': 'You are moving away from {name} - did you board in the wrong direction?',
+    'alert.missedStop': 'You passed your stop, {name}! Get off at the next stop',
+    'alert.time': { one: 'Arriving at the stop in about 1 minute', other: 'Arriving at the stop in about {count} minutes' },
+
+    'movement.unknown': 'Unknown',
+    'movement.stationary': 'Stationary',
+    'movement.walking': 'Walking',
+    'movement.riding': 'Riding',
+
+    'compass.n': 'North',
+    'compass.ne': 'Northeast',
+    'compass.e': 'East',
+    'compass.se': 'Southeast',
+    'compass.s': 'South',
+    'compass.sw': 'Southwest',
+    'compass.w': 'West',
+    'compass.nw': 'Northwest',
+    'bearing.ahead': 'ahead',
+    'bearing.behind': 'behind you',
+    'bearing.left': 'to your left',
+    'bearing.right': 'to your right',
+
+    'a11y.title': '♿ Accessibility',
+    'a11y.hint': 'For screen readers and low vision: distance announcements, high contrast and spoken readout',
+    'a11y.highContrast': '🌓 High contrast and large text',
+    'a11y.announceStep': '📢 Screen reader distance update inside the alert zone, every:',
+    'a11y.readout': '🗣️ Speak the distance while tracking, every:',
+    'a11y.off': 'Off',
+    'a11y.seconds': '{count} seconds',
+    'a11y.distance': '{distance} to {name}',
+
+    'liveShare.title': '📡 Share the trip with a contact',
+    'liveShare.hint': 'Sends tracking progress (started, entered a zone, arrived, passed the stop) to a server you choose. Off until you turn it on.',
+    'liveShare.enable': 'Share the trip while tracking',
+    'liveShare.url': 'Webhook or relay URL:',
+    'liveShare.viewerHint': 'The contact\'s viewer page works with a relay server (server/trip-relay.js)',
+    'liveShare.sendLink': '📤 Send viewer link',
+    'liveShare.active': '📡 Trip shared',
+    'liveShare.lastSent': '📡 Trip shared · last sent at {time}',
+    'liveShare.failing': '📡 Can\'t reach the sharing server, retrying',
+    'liveShare.shareTitle': 'My trip',
+    'liveShare.shareText': 'Follow my trip to {name}',
+    'liveShare.copyPrompt': 'Copy the viewer link:',
+    'viewer.title': 'Following a shared trip',
+    'viewer.heading': 'Your contact\'s trip',
+    'viewer.waiting': 'Waiting for the first update...',
+    'viewer.noSource': 'This link is incomplete - ask for a new viewer link',
+    'viewer.notFound': 'Trip not found. It may not have started yet, or the link is old',
+    'viewer.expired': 'This trip is no longer available',
+    'viewer.unreachable': 'Can\'t reach the sharing server, retrying...',
+    'viewer.events': 'What happened so far',
+    'viewer.rider': 'Rider',
+    'viewer.eta': 'Arriving in about {duration}',
+    'viewer.status.started': 'Started tracking to {name}',
+    'viewer.status.zone': 'Within {distance} of {name}',
+    'viewer.status.arrived': 'Arrived at {name}',
+    'viewer.status.passed': '⚠️ Passed {name}',
+    'viewer.status.stopped': 'Tracking ended',
+
+    'unit.meters': '{value} m',
+    'unit.km': '{value} km',
+    'unit.kmh': '{value} km/h',
+    'unit.accuracy': '±{value} m',
+
+    'time.minutes': { one: '1 minute', other: '{count} minutes' },
+    'time.hours': { one: '1 hour', other: '{count} hours' },
+    'time.hoursMinutes': '{hours} {minutes}',
+    'time.minutesShort': '{count} min',
+
+    'walk.lessThanMinute': 'Less than a minute',
+    'walk.minutes': { one: 'About a minute\'s walk', other: 'About {count} minutes\' walk' },
+    'walk.long': 'About {duration} walking',
+
+    'eta.lessThanMinute': 'Arriving in less than a minute',
+    'eta.minutes': { one: 'Arriving in about a minute', other: 'Arriving in ~{count} minutes' },
+    'eta.long': 'Arriving in ~{duration}',
+
+    'error.geolocationUnsupported': 'This browser does not support location services',
+    'error.loadTrackFirst': 'Load a track to replay first',
+    'error.permissionDenied': 'Location permission is required',
+    'error.positionUnavailable': 'Location information is unavailable',
+    'error.timeout': 'The location request timed out',
+    'error.unknownPosition': 'Could not determine the location'
+};
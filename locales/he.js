@@ -0,0 +1,367 @@
+// Hebrew strings (also the fallback for keys missing in other languages)
+I18N_CATALOGS.he = {
+    'app.title': 'התראת קרבה לתחנת אוטובוס',
+    'app.heading': 'התראת קרבה לתחנה',
+    'app.subtitle': 'קבל התראה אוטומטית כשאתה מתקרב לתחנת האוטובוס שלך',
+    'app.footer': 'האפליקציה עוקבת אחר מיקומך ומתריעה כשאתה מתקרב לתחנה',
+    'app.language': 'שפה',
+    'app.simulationBanner': '🧪 מצב סימולציה - המיקום אינו מה-GPS',
+
+    'search.quickStart': 'התחל מעקב מיד בבחירה מהירה',
+    'search.label': '🔍 חפש תחנת אוטובוס',
+    'search.placeholder': 'לדוגמה: תחנה מרכזית חיפה, רמב"ם חיפה, קניון לב חיפה...',
+    'search.button': 'חפש תחנה',
+    'search.searching': 'מחפש תחנות...',
+    'search.noLocalResults': 'לא נמצאו תחנות במאגר המקומי. נסה שם אחר או קוד תחנה',
+    'search.foundStations': { one: 'נמצאה תחנה אחת', other: 'נמצאו {count} תחנות' },
+    'search.foundResults': { one: 'נמצאה תוצאה אחת', other: 'נמצאו {count} תוצאות' },
+    'search.noResults': 'לא נמצאו תחנות. נסה שם אחר או הוסף "תחנה" לחיפוש',
+    'search.error': 'שגיאה בחיפוש תחנות',
+    'search.enterName': 'הזן שם תחנה',
+    'search.suggestions': 'הצעות לתחנות',
+
+    'trip.addFavorite': '☆ הוסף למועדפים',
+    'trip.inFavorites': '★ במועדפים',
+    'trip.addLeg': '➕ הוסף עצירה (החלפה)',
+    'trip.clear': '🗑️ נקה טיול',
+    'trip.start': 'התחל מעקב',
+    'trip.stop': 'עצור מעקב',
+    'trip.removeLeg': 'הסר עצירה',
+    'trip.legProgress': 'מקטע {current} מתוך {total}',
+    'trip.legAdded': 'נוספה עצירה {count} לטיול',
+    'trip.stationSelected': 'תחנה נבחרה בהצלחה!',
+    'trip.selectFirst': 'בחר תחנה תחילה',
+    'trip.addLegHint': 'חפש ובחר את העצירה הבאה בטיול',
+
+    'share.button': '🔗 שתף',
+    'share.title': 'התראת תחנה: {name}',
+    'share.text': 'קבלו התראה לפני שמגיעים לתחנה {name}',
+    'share.autoStart': 'התחל מעקב אוטומטית בפתיחת הקישור',
+    'share.send': '📤 שלח קישור',
+    'share.print': '🖨️ הדפס QR לתחנה',
+    'share.copied': 'הקישור הועתק',
+    'share.scanHint': 'סרקו כדי לקבל התראה לפני שמגיעים לתחנה',
+    'share.invalidLink': 'הקישור המשותף אינו תקין',
+    'share.opened': 'התחנה וההגדרות נטענו מהקישור',
+    'share.startPrompt': '▶️ להתחיל מעקב אחרי {name}?',
+    'share.notNow': 'לא עכשיו',
+    'share.qrUnavailable': 'קוד QR אינו זמין במצב לא מקוון',
+
+    'schedule.title': '⏰ נסיעות קבועות',
+    'schedule.hint': 'המעקב מתחיל לבד בימים ובשעות שבחרת, כשהאפליקציה פתוחה',
+    'schedule.from': 'משעה',
+    'schedule.to': 'עד',
+    'schedule.radius': 'אזורי התראה (מטרים):',
+    'schedule.originOption': 'התחל רק כשאני יוצא מהמיקום הנוכחי (150 מ\')',
+    'schedule.add': '➕ שמור כנסיעה קבועה',
+    'schedule.forStation': 'לתחנה: {name}',
+    'schedule.empty': 'אין נסיעות קבועות',
+    'schedule.everyDay': 'כל יום',
+    'schedule.fromOrigin': '🏠 ביציאה מהבית',
+    'schedule.enabled': 'פעילה',
+    'schedule.remove': 'מחק נסיעה קבועה',
+    'schedule.incomplete': 'בחר לפחות יום אחד ושעות התחלה וסיום',
+    'schedule.noOrigin': 'המיקום הנוכחי עדיין לא ידוע',
+    'schedule.saved': 'הנסיעה הקבועה נשמרה',
+    'schedule.started': 'נסיעה קבועה: המעקב אחרי {name} התחיל',
+
+    'favorites.added': 'נוסף למועדפים ⭐',
+    'favorites.removed': 'הוסר מהמועדפים',
+    'favorites.nicknamePrompt': 'כינוי לתחנה (למשל "הבית" או "העבודה"):',
+    'favorites.remove': 'הסר',
+
+    'gtfs.title': '🗂️ מאגר תחנות מקומי (GTFS)',
+    'gtfs.import': '📂 ייבא stops.txt',
+    'gtfs.loadBundled': '⬇️ טען מאגר מצורף',
+    'gtfs.clear': '🗑️ מחק מאגר',
+    'gtfs.status': '{count} תחנות במאגר (יובא ב-{date}). החיפוש פועל ללא אינטרנט.',
+    'gtfs.statusEmpty': 'אין מאגר מקומי - החיפוש משתמש ב-Nominatim (דורש אינטרנט).',
+    'gtfs.importing': 'מייבא תחנות...',
+    'gtfs.imported': { one: 'יובאה תחנה אחת', other: 'יובאו {count} תחנות' },
+    'gtfs.cleared': 'המאגר המקומי נמחק',
+    'gtfs.clearError': 'לא ניתן למחוק את המאגר המקומי',
+    'gtfs.errorEmpty': 'קובץ stops.txt ריק',
+    'gtfs.errorInvalid': 'הקובץ אינו stops.txt תקין של GTFS',
+    'gtfs.errorNoStops': 'לא נמצאו תחנות בקובץ',
+    'gtfs.errorNoBundled': 'לא נמצא קובץ stops.txt מצורף',
+    'db.unsupported': 'הדפדפן לא תומך במאגר מקומי',
+
+    'settings.url': 'כתובת:',
+    'settings.apiType': 'סוג API:',
+    'settings.customServer': 'שרת מותאם אישית',
+    'settings.seconds': 'שניות',
+
+    'geocoder.title': '🌐 שירות חיפוש כתובות',
+    'geocoder.hint': 'משמש כשאין מאגר תחנות מקומי. תוצאות נשמרות במטמון לשבוע.',
+    'geocoder.provider': 'ספק:',
+    'geocoder.overpass': 'שרת Overpass (תחנות בסביבה):',
+    'geocoder.clearCache': '🧹 נקה מטמון',
+    'geocoder.cacheCleared': 'מטמון החיפוש נוקה',
+
+    'routing.title': '🚶 מסלול הליכה',
+    'routing.hint': 'מסלול לאורך הרחובות במקום קו ישר. אם השירות לא זמין יוצג קו ישר.',
+    'routing.provider': 'שירות ניתוב:',
+    'routing.none': 'קו ישר (ללא ניתוב)',
+    'routing.osrm': 'OSRM - הליכה (FOSSGIS)',
+    'routing.summary': '🚶 {distance} ברחובות · {time}',
+
+    'tiles.title': '🗺️ מפה לא מקוונת',
+    'tiles.hint': '"הורד מפה לנסיעה" שומר את המפה לאורך הנסיעה, כדי שלא תיעלם במנהרות או בלי חבילת גלישה',
+    'tiles.server': 'שרת מפות:',
+    'tiles.cap': 'גודל מרבי:',
+    'tiles.megabytes': 'MB',
+    'tiles.clear': '🗑️ מחק מפות שמורות',
+    'tiles.download': '⬇️ הורד מפה לנסיעה',
+    'tiles.cancel': '✕ עצור הורדה',
+    'tiles.historyAction': '⬇️ מפה',
+    'tiles.status': 'אריחי מפה שמורים: {count} ({size} מתוך {max} MB)',
+    'tiles.unavailable': 'שמירת מפות אינה זמינה בדפדפן זה',
+    'tiles.progress': '⬇️ מוריד מפה: {done} / {total}',
+    'tiles.done': '🗺️ המפה נשמרה לשימוש ללא אינטרנט ({count} אריחים)',
+    'tiles.doneWithFailures': 'המפה נשמרה חלקית: {count} אריחים, {failed} נכשלו',
+    'tiles.cancelled': 'הורדת המפה הופסקה',
+    'tiles.cleared': 'המפות השמורות נמחקו',
+    'tiles.tooMany': 'האזור גדול מדי ({count} אריחים, עד {limit}). חלק את הנסיעה או השתמש בשרת מפות משלך',
+    'tiles.needsOwnServer': 'שרתי OpenStreetMap אוסרים הורדת מפות לשימוש ללא אינטרנט - להורדה הגדר שרת מפות משלך',
+    'tiles.noPath': 'אין מסלול להורדת מפה',
+
+    'realtime.title': '🚌 זמני הגעה בזמן אמת (SIRI)',
+    'realtime.enable': 'הצג אוטובוסים קרובים לתחנה',
+    'realtime.stopCode': 'קוד תחנה:',
+    'realtime.serviceUrl': 'כתובת שירות:',
+    'realtime.refreshEvery': 'רענון כל',
+    'realtime.alertWhenLine': '🔔 התרע כשקו',
+    'realtime.within': 'במרחק',
+    'realtime.minutesFromStop': 'דקות מהתחנה',
+    'realtime.hintTemplate': 'בכתובת,',
+    'realtime.hintReplaced': 'מוחלף בקוד התחנה. לפיתוח:',
+    'realtime.nearbyBuses': '🚌 אוטובוסים קרובים',
+    'realtime.unavailable': 'לא ניתן לקבל זמני הגעה כרגע',
+    'realtime.none': 'אין אוטובוסים צפויים בקרוב',
+    'realtime.arriving': 'מגיע',
+    'realtime.live': 'זמן אמת',
+    'realtime.scheduled': 'לפי לוח זמנים',
+    'realtime.lineArrivingNow': 'קו {line} מגיע לתחנה עכשיו!',
+    'realtime.lineArriving': { one: 'קו {line} מגיע לתחנה בעוד דקה', other: 'קו {line} מגיע לתחנה בעוד {count} דקות' },
+    'realtime.invalidResponse': 'תשובת SIRI לא תקינה',
+
+    'sim.title': '🧪 מקור מיקום (סימולציה)',
+    'sim.hint': 'לבדיקת המעקב וההתראות מהשולחן, בלי לנסוע באוטובוס',
+    'sim.source': 'מקור:',
+    'sim.loadTrack': '📂 טען GPX / GeoJSON',
+    'sim.restart': '⏮️ מההתחלה',
+    'sim.speed': 'מהירות:',
+    'sim.noTrack': 'לא נטען מסלול',
+    'sim.gps': 'GPS אמיתי',
+    'sim.replay': 'הפעלת מסלול (GPX/GeoJSON)',
+    'sim.manual': 'גרירה ידנית במפה',
+    'sim.trackInfo': { one: '{file}: נקודה אחת, {duration}', other: '{file}: {count} נקודות, {duration}' },
+    'sim.trackLoaded': 'המסלול נטען - לחץ "התחל מעקב" כדי להפעיל אותו',
+    'sim.trackError': 'שגיאה בטעינת המסלול',
+    'sim.noTrackInFile': 'לא נמצא מסלול בקובץ',
+    'sim.invalidGpx': 'קובץ GPX לא תקין',
+    'sim.dragHint': 'גרור את הסמן הכחול כדי לשנות את המיקום',
+    'sim.replayFinished': 'המסלול הסתיים',
+    'sim.replayProgress': 'מפעיל מסלול: {percent}%',
+
+    'stages.title': '⚙️ אזורי התראה',
+    'stages.hint': 'מרחק במטרים, טקסט ההתראה וצליל לכל שלב',
+    'stages.add': '➕ הוסף שלב',
+    'stages.reset': '↺ ברירת מחדל',
+    'stages.timeAlert': '⏱️ התראה לפי זמן:',
+    'stages.timeAlertUnit': 'דקות לפני ההגעה (0 = כבוי)',
+    'stages.policy': '🔋 מדיניות מעקב:',
+    'stages.distanceTitle': 'מרחק במטרים',
+    'stages.messageTitle': 'טקסט ההתראה',
+    'stages.remove': 'הסר שלב',
+    'stages.minOne': 'חייב להישאר לפחות שלב התראה אחד',
+    'stages.defaultMessage': 'מתקרב לתחנה',
+    'stages.prepare': 'התכונן - התחנה מתקרבת',
+    'stages.door': 'קום והתקדם לדלת',
+    'stages.bell': 'לחץ על הפעמון עכשיו!',
+
+    'sound.default': 'צלצול רגיל',
+    'sound.beep': 'צפצוף קצר',
+    'sound.urgent': 'צפצוף דחוף',
+    'sound.none': 'ללא צליל',
+
+    'policy.saver': 'חיסכון בסוללה',
+    'policy.balanced': 'מאוזן',
+    'policy.precise': 'דיוק מרבי',
+
+    'delivery.title': '📣 אופן ההתראה',
+    'delivery.hint': 'לאוזניות ולאוטובוס רועש: חזרה עד אישור, רטט והקראה קולית',
+    'delivery.repeat': 'חזור על ההתראה בעוצמה עולה עד לחיצה על "אני יורד"',
+    'delivery.every': '🔁 כל',
+    'delivery.vibration': '📳 רטט:',
+    'delivery.customVibrationTitle': 'משכי רטט והפסקה במילישניות',
+    'delivery.speech': '🗣️ הקראה קולית ("התחנה שלך, דיזנגוף סנטר, במרחק 300 מטר")',
+    'delivery.uploadRingtone': '🎵 העלה צלצול',
+    'delivery.resetRingtone': '↺ צלצול ברירת מחדל',
+    'delivery.test': '🔔 נסה התראה',
+    'delivery.ringtoneCustom': 'צלצול: {name}',
+    'delivery.ringtoneDefault': 'צלצול: ברירת המחדל',
+    'delivery.ringtoneUpdated': 'הצלצול עודכן',
+    'delivery.ringtoneReset': 'חזרה לצלצול ברירת המחדל',
+    'delivery.ringtoneResetError': 'לא ניתן לחזור לצלצול ברירת המחדל',
+    'delivery.ringtoneNotAudio': 'יש לבחור קובץ שמע',
+    'delivery.ringtoneTooLarge': 'קובץ השמע גדול מדי (עד 5MB)',
+    'delivery.ringtoneMissing': '⚠️ קובץ הצלצול לא נמצא - ישתמשו התראות ויזואליות בלבד',
+    'delivery.sampleStop': 'דיזנגוף סנטר',
+    'delivery.acknowledged': '👍 בהצלחה! ההתראה הושתקה',
+
+    'vibration.none': 'ללא רטט',
+    'vibration.short': 'קצר',
+    'vibration.long': 'ארוך',
+    'vibration.pulse': 'דופק',
+    'vibration.custom': 'מותאם אישית',
+
+    'speech.announcement': 'התחנה שלך, {name}, במרחק {distance}',
+    'speech.meters': '{value} מטר',
+    'speech.km': '{value} קילומטר',
+
+    'tracking.active': 'מעקב פעיל',
+    'tracking.detail': '{mode} · עדכון כל {count} שניות',
+    'tracking.gpsPrecise': 'GPS מדויק',
+    'tracking.gpsSaver': 'מצב חסכוני',
+    'tracking.simulation': '🧪 סימולציה: {source}',
+    'tracking.started': 'מעקב החל בהצלחה!',
+    'tracking.stopped': 'מעקב הופסק',
+    'tracking.stale': '⚠️ המיקום לא התעדכן כבר {duration} - ההתראות עלולות להתעכב. השאר את האפליקציה פתוחה או בדוק את ה-GPS',
+    'tracking.wakeLock': '🔆 השאר את המסך דלוק בזמן מעקב (מונע עיכוב בהתראות, צורך יותר סוללה)',
+    'tracking.wakeLockUnsupported': 'הדפדפן הזה לא תומך בהשארת המסך דלוק',
+
+    'results.currentDistance': 'המרחק הנוכחי',
+    'results.yourLocation': 'המיקום שלך:',
+    'results.target': 'תחנת היעד:',
+    'results.speed': 'מהירות:',
+    'results.lastUpdate': 'מעודכן לאחרונה:',
+    'results.alertZone': 'אזור התראה!',
+    'results.alertZoneText': 'אתה נמצא במרחק קרוב מהתחנה',
+
+    'map.nearbyStops': '🚏 תחנות קרובות אליי',
+    'map.pickHint': 'הקש או לחץ לחיצה ארוכה על המפה כדי לבחור יעד',
+    'map.yourLocation': 'המיקום שלך',
+    'map.busStop': 'תחנת אוטובוס',
+    'map.droppedPoint': 'נקודה במפה',
+    'map.targetHere': '📍 יעד בנקודה זו',
+    'map.searchingNearest': 'מחפש תחנה קרובה...',
+    'map.findNearest': '🚏 מצא את התחנה הקרובה',
+    'map.noStopWithin': 'אין תחנה בטווח {distance}',
+    'map.nearestError': 'לא ניתן לחפש תחנות כרגע',
+    'map.fromYou': '{distance} ממך',
+    'map.selectStop': 'בחר תחנה זו',
+    'map.noStopsNearby': 'לא נמצאו תחנות בטווח {distance}',
+    'map.nearbyError': 'לא ניתן לטעון תחנות בסביבה',
+
+    'legend.you': 'המיקום שלך',
+    'legend.accuracy': 'דיוק המיקום',
+    'legend.target': 'תחנת יעד',
+    'legend.nearby': 'תחנות בסביבה',
+    'legend.alertZonesRadii': 'אזורי התראה ({radii})',
+
+    'history.title': '📜 היסטוריית נסיעות',
+    'history.hint': 'כל מעקב מוקלט: מסלול, התראות והמרחק הקרוב ביותר לתחנה',
+    'history.clearReplay': '✕ נקה הצגה מהמפה',
+    'history.empty': 'עדיין אין נסיעות מוקלטות',
+    'history.alerts': { one: 'התראה אחת', other: '{count} התראות' },
+    'history.closest': 'הכי קרוב: {distance}',
+    'history.show': '▶️ הצג במפה',
+    'history.delete': 'מחק נסיעה',
+    'history.deleteError': 'לא ניתן למחוק את הנסיעה',
+
+    'overlay.getOff': '🚏 אני יורד!',
+    'overlay.snooze': '😴 נודניק {count} דק\'',
+
+    'notify.title': 'התראת קרבה לתחנה',
+    'notify.dismiss': 'סגור',
+    'notify.snooze': 'נודניק {count} דק\'',
+    'notify.stageBody': '{message} - אתה במרחק של פחות מ-{distance} מהתחנה',
+    'notify.snoozed': { one: '😴 תזכורת בעוד דקה', other: '😴 תזכורת בעוד {count} דקות' },
+    'notify.visualFallback': '🔔 התראה: הגעת לתחנה!',
+
+    'alert.transfer': 'החלפה ב{stop} - המשך ל{next} ({progress})',
+    'alert.movingAway': 'אתה מתרחק מהתחנה {name} - אולי עלית לאוטובוס בכיוון ההפוך?',
+    'alert.missedStop': 'עברת את התחנה {name}! רד בתחנה הבאה',
+    'alert.time': { one: 'מגיע לתחנה בעוד כדקה', other: 'מגיע לתחנה בעוד כ-{count} דקות' },
+
+    'movement.unknown': 'לא ידוע',
+    'movement.stationary': 'עומד',
+    'movement.walking': 'הולך',
+    'movement.riding': 'בנסיעה',
+
+    'compass.n': 'צפון',
+    'compass.ne': 'צפון-מזרח',
+    'compass.e': 'מזרח',
+    'compass.se': 'דרום-מזרח',
+    'compass.s': 'דרום',
+    'compass.sw': 'דרום-מערב',
+    'compass.w': 'מערב',
+    'compass.nw': 'צפון-מערב',
+    'bearing.ahead': 'לפניך',
+    'bearing.behind': 'מאחוריך',
+    'bearing.left': 'משמאלך',
+    'bearing.right': 'מימינך',
+
+    'a11y.title': '♿ נגישות',
+    'a11y.hint': 'לקוראי מסך ולראייה ירודה: הודעות מרחק, ניגודיות גבוהה והקראה קולית',
+    'a11y.highContrast': '🌓 ניגודיות גבוהה וטקסט גדול',
+    'a11y.announceStep': '📢 הודעת מרחק לקורא מסך באזור ההתראה, כל:',
+    'a11y.readout': '🗣️ הקראת המרחק בזמן מעקב, כל:',
+    'a11y.off': 'כבוי',
+    'a11y.seconds': '{count} שניות',
+    'a11y.distance': '{distance} עד {name}',
+
+    'liveShare.title': '📡 שיתוף הנסיעה עם איש קשר',
+    'liveShare.hint': 'שולח את התקדמות המעקב (התחלה, כניסה לאזור, הגעה, פספוס התחנה) לשרת שבחרת. כבוי עד שתדליק.',
+    'liveShare.enable': 'שתף את הנסיעה בזמן מעקב',
+    'liveShare.url': 'כתובת Webhook או שרת ממסר:',
+    'liveShare.viewerHint': 'דף הצפייה לאיש הקשר עובד מול שרת ממסר (server/trip-relay.js)',
+    'liveShare.sendLink': '📤 שלח קישור צפייה',
+    'liveShare.active': '📡 הנסיעה משותפת',
+    'liveShare.lastSent': '📡 הנסיעה משותפת · נשלח לאחרונה ב-{time}',
+    'liveShare.failing': '📡 אין חיבור לשרת השיתוף, מנסה שוב',
+    'liveShare.shareTitle': 'הנסיעה שלי',
+    'liveShare.shareText': 'אפשר לעקוב אחרי הנסיעה שלי לתחנה {name}',
+    'liveShare.copyPrompt': 'העתק את קישור הצפייה:',
+    'viewer.title': 'מעקב אחרי נסיעה משותפת',
+    'viewer.heading': 'הנסיעה של איש הקשר שלך',
+    'viewer.waiting': 'ממתין לעדכון ראשון...',
+    'viewer.noSource': 'הקישור לא שלם - בקש קישור צפייה חדש',
+    'viewer.notFound': 'הנסיעה לא נמצאה. ייתכן שעוד לא התחילה או שהקישור ישן',
+    'viewer.expired': 'הנסיעה כבר לא זמינה',
+    'viewer.unreachable': 'אין חיבור לשרת השיתוף, מנסה שוב...',
+    'viewer.events': 'מה קרה עד עכשיו',
+    'viewer.rider': 'הנוסע',
+    'viewer.eta': 'מגיע בעוד כ-{duration}',
+    'viewer.status.started': 'התחיל מעקב לתחנה {name}',
+    'viewer.status.zone': 'במרחק {distance} מהתחנה {name}',
+    'viewer.status.arrived': 'הגיע לתחנה {name}',
+    'viewer.status.passed': '⚠️ עבר את התחנה {name}',
+    'viewer.status.stopped': 'המעקב הסתיים',
+
+    'unit.meters': '{value} מטר',
+    'unit.km': '{value} ק"מ',
+    'unit.kmh': '{value} קמ"ש',
+    'unit.accuracy': '±{value} מ\'',
+
+    'time.minutes': { one: 'דקה', two: 'שתי דקות', other: '{count} דקות' },
+    'time.hours': { one: 'שעה', two: 'שעתיים', other: '{count} שעות' },
+    'time.hoursMinutes': '{hours} ו-{minutes}',
+    'time.minutesShort': '{count} דק\'',
+
+    'walk.lessThanMinute': 'פחות מדקה',
+    'walk.minutes': { one: 'כדקה', other: 'כ-{count} דקות הליכה' },
+    'walk.long': 'כ-{duration} הליכה',
+
+    'eta.lessThanMinute': 'מגיע בעוד פחות מדקה',
+    'eta.minutes': { one: 'מגיע בעוד כדקה', other: 'מגיע בעוד ~{count} דקות' },
+    'eta.long': 'מגיע בעוד ~{duration}',
+
+    'error.geolocationUnsupported': 'הדפדפן לא תומך בשירות מיקום',
+    'error.loadTrackFirst': 'טען מסלול להפעלה תחילה',
+    'error.permissionDenied': 'נדרשת הרשאה לגישה למיקום',
+    'error.positionUnavailable': 'מידע מיקום לא זמין',
+    'error.timeout': 'בקשת מיקום פגה',
+    'error.unknownPosition': 'לא ניתן לאתר את המיקום'
+};
@@ -0,0 +1,427 @@
+// Russian strings
+I18N_CATALOGS.ru = {
+    'app.title': 'Оповещение о приближении к остановке',
+    'app.heading': 'Оповещение об остановке',
+    'app.subtitle': 'Получайте автоматическое оповещение, когда подъезжаете к своей остановке',
+    'app.footer': 'Приложение следит за вашим местоположением и предупреждает при приближении к остановке',
+    'app.language': 'Язык',
+    'app.simulationBanner': '🧪 Режим симуляции - местоположение не из GPS',
+
+    'search.quickStart': 'Начинать отслеживание сразу при быстром выборе',
+    'search.label': '🔍 Найти автобусную остановку',
+    'search.placeholder': 'Например: Центральная станция Хайфа, Рамбам Хайфа, ТЦ Лев Хайфа...',
+    'search.button': 'Найти',
+    'search.searching': 'Поиск остановок...',
+    'search.noLocalResults': 'В локальной базе остановки не найдены. Попробуйте другое название или номер остановки',
+    'search.foundStations': {
+        one: 'Найдена {count} остановка',
+        few: 'Найдено {count} остановки',
+        many: 'Найдено {count} остановок',
+        other: 'Найдено {count} остановки'
+    },
+    'search.foundResults': {
+        one: 'Найден {count} результат',
+        few: 'Найдено {count} результата',
+        many: 'Найдено {count} результатов',
+        other: 'Найдено {count} результата'
+    },
+    'search.noResults': 'Остановки не найдены. Попробуйте другое название или добавьте "остановка" к запросу',
+    'search.error': 'Ошибка поиска остановок',
+    'search.enterName': 'Введите название остановки',
+    'search.suggestions': 'Варианты остановок',
+
+    'trip.addFavorite': '☆ В избранное',
+    'trip.inFavorites': '★ В избранном',
+    'trip.addLeg': '➕ Добавить остановку (пересадка)',
+    'trip.clear': '🗑️ Очистить поездку',
+    'trip.start': 'Начать отслеживание',
+    'trip.stop': 'Остановить отслеживание',
+    'trip.removeLeg': 'Удалить остановку',
+    'trip.legProgress': 'Участок {current} из {total}',
+    'trip.legAdded': 'Остановка {count} добавлена в поездку',
+    'trip.stationSelected': 'Остановка выбрана!',
+    'trip.selectFirst': 'Сначала выберите остановку',
+    'trip.addLegHint': 'Найдите и выберите следующую остановку поездки',
+
+    'share.button': '🔗 Поделиться',
+    'share.title': 'Оповещение об остановке: {name}',
+    'share.text': 'Получите оповещение до прибытия на {name}',
+    'share.autoStart': 'Начинать отслеживание автоматически при открытии ссылки',
+    'share.send': '📤 Отправить ссылку',
+    'share.print': '🖨️ Напечатать QR для остановки',
+    'share.copied': 'Ссылка скопирована',
+    'share.scanHint': 'Отсканируйте, чтобы получить оповещение до прибытия на эту остановку',
+    'share.invalidLink': 'Ссылка недействительна',
+    'share.opened': 'Остановка и настройки загружены из ссылки',
+    'share.startPrompt': '▶️ Начать отслеживание до {name}?',
+    'share.notNow': 'Не сейчас',
+    'share.qrUnavailable': 'QR-код недоступен офлайн',
+
+    'schedule.title': '⏰ Регулярные поездки',
+    'schedule.hint': 'Отслеживание начинается само в выбранные дни и часы, пока приложение открыто',
+    'schedule.from': 'С',
+    'schedule.to': 'до',
+    'schedule.radius': 'Зоны оповещения (метры):',
+    'schedule.originOption': 'Начинать, только когда я покину текущее место (150 м)',
+    'schedule.add': '➕ Сохранить как регулярную поездку',
+    'schedule.forStation': 'Для остановки: {name}',
+    'schedule.empty': 'Нет регулярных поездок',
+    'schedule.everyDay': 'Каждый день',
+    'schedule.fromOrigin': '🏠 При выходе из дома',
+    'schedule.enabled': 'Активна',
+    'schedule.remove': 'Удалить регулярную поездку',
+    'schedule.incomplete': 'Выберите хотя бы один день, время начала и окончания',
+    'schedule.noOrigin': 'Ваше текущее местоположение пока неизвестно',
+    'schedule.saved': 'Регулярная поездка сохранена',
+    'schedule.started': 'Регулярная поездка: отслеживание {name} началось',
+
+    'favorites.added': 'Добавлено в избранное ⭐',
+    'favorites.removed': 'Удалено из избранного',
+    'favorites.nicknamePrompt': 'Название для остановки (например, "Дом" или "Работа"):',
+    'favorites.remove': 'Удалить',
+
+    'gtfs.title': '🗂️ Локальная база остановок (GTFS)',
+    'gtfs.import': '📂 Импорт stops.txt',
+    'gtfs.loadBundled': '⬇️ Загрузить встроенную базу',
+    'gtfs.clear': '🗑️ Удалить базу',
+    'gtfs.status': 'Остановок в базе: {count} (импорт {date}). Поиск работает без интернета.',
+    'gtfs.statusEmpty': 'Локальной базы нет - поиск использует Nominatim (нужен интернет).',
+    'gtfs.importing': 'Импорт остановок...',
+    'gtfs.imported': {
+        one: 'Импортирована {count} остановка',
+        few: 'Импортировано {count} остановки',
+        many: 'Импортировано {count} остановок',
+        other: 'Импортировано {count} остановки'
+    },
+    'gtfs.cleared': 'Локальная база удалена',
+    'gtfs.clearError': 'Не удалось удалить локальную базу',
+    'gtfs.errorEmpty': 'Файл stops.txt пуст',
+    'gtfs.errorInvalid': 'Файл не является корректным stops.txt формата GTFS',
+    'gtfs.errorNoStops': 'В файле не найдены остановки',
+    'gtfs.errorNoBundled': 'Встроенный stops.txt не найден',
+    'db.unsupported': 'Браузер не поддерживает локальную базу данных',
+
+    'settings.url': 'Адрес:',
+    'settings.apiType': 'Тип API:',
+    'settings.customServer': 'Свой сервер',
+    'settings.seconds': 'секунд',
+
+    'geocoder.title': '🌐 Сервис поиска адресов',
+    'geocoder.hint': 'Используется, когда нет локальной базы остановок. Результаты кешируются на неделю.',
+    'geocoder.provider': 'Поставщик:',
+    'geocoder.overpass': 'Сервер Overpass (остановки рядом):',
+    'geocoder.clearCache': '🧹 Очистить кеш',
+    'geocoder.cacheCleared': 'Кеш поиска очищен',
+
+    'routing.title': '🚶 Пеший маршрут',
+    'routing.hint': 'Маршрут по улицам вместо прямой линии. Если сервис недоступен, показывается прямая линия.',
+    'routing.provider': 'Сервис маршрутов:',
+    'routing.none': 'Прямая линия (без маршрутизации)',
+    'routing.osrm': 'OSRM - пешком (FOSSGIS)',
+    'routing.summary': '🚶 {distance} по улицам · {time}',
+
+    'tiles.title': '🗺️ Офлайн-карта',
+    'tiles.hint': '«Скачать карту поездки» сохраняет карту вдоль маршрута, чтобы она не пропадала в тоннелях и без мобильного интернета',
+    'tiles.server': 'Сервер карт:',
+    'tiles.cap': 'Максимальный размер:',
+    'tiles.megabytes': 'МБ',
+    'tiles.clear': '🗑️ Удалить сохранённые карты',
+    'tiles.download': '⬇️ Скачать карту поездки',
+    'tiles.cancel': '✕ Остановить загрузку',
+    'tiles.historyAction': '⬇️ Карта',
+    'tiles.status': 'Сохранено фрагментов карты: {count} ({size} из {max} МБ)',
+    'tiles.unavailable': 'Сохранение карт недоступно в этом браузере',
+    'tiles.progress': '⬇️ Загрузка карты: {done} / {total}',
+    'tiles.done': '🗺️ Карта сохранена для работы без интернета (фрагментов: {count})',
+    'tiles.doneWithFailures': 'Карта сохранена частично: фрагментов {count}, ошибок {failed}',
+    'tiles.cancelled': 'Загрузка карты остановлена',
+    'tiles.cleared': 'Сохранённые карты удалены',
+    'tiles.tooMany': 'Область слишком большая (фрагментов: {count}, максимум {limit}). Разделите поездку или используйте свой сервер карт',
+    'tiles.needsOwnServer': 'Серверы OpenStreetMap не разрешают сохранять карты для офлайн-использования - для загрузки укажите свой сервер тайлов',
+    'tiles.noPath': 'Нет маршрута, для которого можно загрузить карту',
+
+    'realtime.title': '🚌 Прибытие в реальном времени (SIRI)',
+    'realtime.enable': 'Показывать автобусы, подъезжающие к остановке',
+    'realtime.stopCode': 'Номер остановки:',
+    'realtime.serviceUrl': 'Адрес сервиса:',
+    'realtime.refreshEvery': 'Обновлять каждые',
+    'realtime.alertWhenLine': '🔔 Оповестить, когда маршрут',
+    'realtime.within': 'будет в',
+    'realtime.minutesFromStop': 'минутах от остановки',
+    'realtime.hintTemplate': 'В адресе',
+    'realtime.hintReplaced': 'заменяется номером остановки. Для разработки:',
+    'realtime.nearbyBuses': '🚌 Ближайшие автобусы',
+    'realtime.unavailable': 'Время прибытия сейчас недоступно',
+    'realtime.none': 'В ближайшее время автобусов не ожидается',
+    'realtime.arriving': 'Прибывает',
+    'realtime.live': 'Реальное время',
+    'realtime.scheduled': 'По расписанию',
+    'realtime.lineArrivingNow': 'Маршрут {line} прибывает на остановку!',
+    'realtime.lineArriving': {
+        one: 'Маршрут {line} прибудет на остановку через {count} минуту',
+        few: 'Маршрут {line} прибудет на остановку через {count} минуты',
+        many: 'Маршрут {line} прибудет на остановку через {count} минут',
+        other: 'Маршрут {line} прибудет на остановку через {count} минуты'
+    },
+    'realtime.invalidResponse': 'Некорректный ответ SIRI',
+
+    'sim.title': '🧪 Источник местоположения (симуляция)',
+    'sim.hint': 'Проверка отслеживания и оповещений за столом, без поездки на автобусе',
+    'sim.source': 'Источник:',
+    'sim.loadTrack': '📂 Загрузить GPX / GeoJSON',
+    'sim.restart': '⏮️ С начала',
+    'sim.speed': 'Скорость:',
+    'sim.noTrack': 'Трек не загружен',
+    'sim.gps': 'Настоящий GPS',
+    'sim.replay': 'Воспроизведение трека (GPX/GeoJSON)',
+    'sim.manual': 'Перетаскивание на карте',
+    'sim.trackInfo': {
+        one: '{file}: {count} точка, {duration}',
+        few: '{file}: {count} точки, {duration}',
+        many: '{file}: {count} точек, {duration}',
+        other: '{file}: {count} точки, {duration}'
+    },
+    'sim.trackLoaded': 'Трек загружен - нажмите "Начать отслеживание", чтобы воспроизвести его',
+    'sim.trackError': 'Ошибка загрузки трека',
+    'sim.noTrackInFile': 'В файле не найден трек',
+    'sim.invalidGpx': 'Некорректный файл GPX',
+    'sim.dragHint': 'Перетащите синий маркер, чтобы изменить местоположение',
+    'sim.replayFinished': 'Трек завершён',
+    'sim.replayProgress': 'Воспроизведение трека: {percent}%',
+
+    'stages.title': '⚙️ Зоны оповещения',
+    'stages.hint': 'Расстояние в метрах, текст и звук оповещения для каждого этапа',
+    'stages.add': '➕ Добавить этап',
+    'stages.reset': '↺ По умолчанию',
+    'stages.timeAlert': '⏱️ Оповещение по времени:',
+    'stages.timeAlertUnit': 'минут до прибытия (0 = выкл.)',
+    'stages.policy': '🔋 Режим отслеживания:',
+    'stages.distanceTitle': 'Расстояние в метрах',
+    'stages.messageTitle': 'Текст оповещения',
+    'stages.remove': 'Удалить этап',
+    'stages.minOne': 'Должен остаться хотя бы один этап оповещения',
+    'stages.defaultMessage': 'Приближаемся к остановке',
+    'stages.prepare': 'Приготовьтесь - остановка приближается',
+    'stages.door': 'Вставайте и идите к двери',
+    'stages.bell': 'Нажмите кнопку остановки!',
+
+    'sound.default': 'Обычный звонок',
+    'sound.beep': 'Короткий сигнал',
+    'sound.urgent': 'Срочный сигнал',
+    'sound.none': 'Без звука',
+
+    'policy.saver': 'Экономия батареи',
+    'policy.balanced': 'Сбалансированный',
+    'policy.precise': 'Максимальная точность',
+
+    'delivery.title': '📣 Способ оповещения',
+    'delivery.hint': 'Для наушников и шумного автобуса: повтор до подтверждения, вибрация и голосовое объявление',
+    'delivery.repeat': 'Повторять оповещение с нарастающей громкостью до нажатия "Я выхожу"',
+    'delivery.every': '🔁 Каждые',
+    'delivery.vibration': '📳 Вибрация:',
+    'delivery.customVibrationTitle': 'Длительность вибрации и пауз в миллисекундах',
+    'delivery.speech': '🗣️ Голосовое объявление ("Ваша остановка, Дизенгоф-центр, через 300 метров")',
+    'delivery.uploadRingtone': '🎵 Загрузить мелодию',
+    'delivery.resetRingtone': '↺ Мелодия по умолчанию',
+    'delivery.test': '🔔 Проверить оповещение',
+    'delivery.ringtoneCustom': 'Мелодия: {name}',
+    'delivery.ringtoneDefault': 'Мелодия: по умолчанию',
+    'delivery.ringtoneUpdated': 'Мелодия обновлена',
+    'delivery.ringtoneReset': 'Возвращена мелодия по умолчанию',
+    'delivery.ringtoneResetError': 'Не удалось вернуть мелодию по умолчанию',
+    'delivery.ringtoneNotAudio': 'Выберите аудиофайл',
+    'delivery.ringtoneTooLarge': 'Аудиофайл слишком большой (до 5MB)',
+    'delivery.ringtoneMissing': '⚠️ Файл мелодии не найден - оповещения будут только визуальными',
+    'delivery.sampleStop': 'Дизенгоф-центр',
+    'delivery.acknowledged': '👍 Удачи! Оповещение отключено',
+
+    'vibration.none': 'Без вибрации',
+    'vibration.short': 'Короткая',
+    'vibration.long': 'Длинная',
+    'vibration.pulse': 'Пульс',
+    'vibration.custom': 'Своя',
+
+    'speech.announcement': 'Ваша остановка, {name}, через {distance}',
+    'speech.meters': '{value} метров',
+    'speech.km': '{value} километра',
+
+    'tracking.active': 'Отслеживание включено',
+    'tracking.detail': '{mode} · обновление каждые {count} с',
+    'tracking.gpsPrecise': 'Точный GPS',
+    'tracking.gpsSaver': 'Экономный режим',
+    'tracking.simulation': '🧪 Симуляция: {source}',
+    'tracking.started': 'Отслеживание началось!',
+    'tracking.stopped': 'Отслеживание остановлено',
+    'tracking.stale': '⚠️ Местоположение не обновлялось {duration} - оповещения могут запаздывать. Не закрывайте приложение или проверьте GPS',
+    'tracking.wakeLock': '🔆 Не гасить экран во время отслеживания (оповещения не запаздывают, но расходуется больше заряда)',
+    'tracking.wakeLockUnsupported': 'Этот браузер не умеет удерживать экран включённым',
+
+    'results.currentDistance': 'Текущее расстояние',
+    'results.yourLocation': 'Ваше местоположение:',
+    'results.target': 'Остановка назначения:',
+    'results.speed': 'Скорость:',
+    'results.lastUpdate': 'Обновлено:',
+    'results.alertZone': 'Зона оповещения!',
+    'results.alertZoneText': 'Вы близко к остановке',
+
+    'map.nearbyStops': '🚏 Остановки рядом со мной',
+    'map.pickHint': 'Коснитесь карты или удерживайте палец, чтобы выбрать цель',
+    'map.yourLocation': 'Ваше местоположение',
+    'map.busStop': 'Автобусная остановка',
+    'map.droppedPoint': 'Точка на карте',
+    'map.targetHere': '📍 Цель в этой точке',
+    'map.searchingNearest': 'Поиск ближайшей остановки...',
+    'map.findNearest': '🚏 Найти ближайшую остановку',
+    'map.noStopWithin': 'Нет остановок в радиусе {distance}',
+    'map.nearestError': 'Сейчас невозможно искать остановки',
+    'map.fromYou': '{distance} от вас',
+    'map.selectStop': 'Выбрать эту остановку',
+    'map.noStopsNearby': 'Остановки в радиусе {distance} не найдены',
+    'map.nearbyError': 'Не удалось загрузить ближайшие остановки',
+
+    'legend.you': 'Ваше местоположение',
+    'legend.accuracy': 'Точность местоположения',
+    'legend.target': 'Остановка назначения',
+    'legend.nearby': 'Остановки рядом',
+    'legend.alertZonesRadii': 'Зоны оповещения ({radii})',
+
+    'history.title': '📜 История поездок',
+    'history.hint': 'Каждое отслеживание записывается: маршрут, оповещения и наименьшее расстояние до остановки',
+    'history.clearReplay': '✕ Убрать с карты',
+    'history.empty': 'Записанных поездок пока нет',
+    'history.alerts': {
+        one: '{count} оповещение',
+        few: '{count} оповещения',
+        many: '{count} оповещений',
+        other: '{count} оповещения'
+    },
+    'history.closest': 'Ближе всего: {distance}',
+    'history.show': '▶️ Показать на карте',
+    'history.delete': 'Удалить поездку',
+    'history.deleteError': 'Не удалось удалить поездку',
+
+    'overlay.getOff': '🚏 Я выхожу!',
+    'overlay.snooze': '😴 Отложить на {count} мин',
+
+    'notify.title': 'Оповещение об остановке',
+    'notify.dismiss': 'Закрыть',
+    'notify.snooze': 'Отложить на {count} мин',
+    'notify.stageBody': '{message} - до остановки меньше {distance}',
+    'notify.snoozed': {
+        one: '😴 Напоминание через {count} минуту',
+        few: '😴 Напоминание через {count} минуты',
+        many: '😴 Напоминание через {count} минут',
+        other: '😴 Напоминание через {count} минуты'
+    },
+    'notify.visualFallback': '🔔 Внимание: вы у остановки!',
+
+    'alert.transfer': 'Пересадка на {stop} - далее до {next} ({progress})',
+    'alert.movingAway': 'Вы удаляетесь от остановки {name} - возможно, вы сели не в ту сторону?',
+    'alert.missedStop': 'Вы проехали свою остановку, {name}! Выходите на следующей',
+    'alert.time': {
+        one: 'До остановки около {count} минуты',
+        few: 'До остановки около {count} минут',
+        many: 'До остановки около {count} минут',
+        other: 'До остановки около {count} минуты'
+    },
+
+    'movement.unknown': 'Неизвестно',
+    'movement.stationary': 'Стоите',
+    'movement.walking': 'Идёте',
+    'movement.riding': 'В пути',
+
+    'compass.n': 'Север',
+    'compass.ne': 'Северо-восток',
+    'compass.e': 'Восток',
+    'compass.se': 'Юго-восток',
+    'compass.s': 'Юг',
+    'compass.sw': 'Юго-запад',
+    'compass.w': 'Запад',
+    'compass.nw': 'Северо-запад',
+    'bearing.ahead': 'впереди',
+    'bearing.behind': 'позади',
+    'bearing.left': 'слева',
+    'bearing.right': 'справа',
+
+    'a11y.title': '♿ Доступность',
+    'a11y.hint': 'Для экранных дикторов и слабовидящих: сообщения о расстоянии, высокий контраст и озвучивание',
+    'a11y.highContrast': '🌓 Высокий контраст и крупный текст',
+    'a11y.announceStep': '📢 Сообщать расстояние экранному диктору в зоне оповещения, каждые:',
+    'a11y.readout': '🗣️ Озвучивать расстояние во время отслеживания, каждые:',
+    'a11y.off': 'Выкл.',
+    'a11y.seconds': '{count} секунд',
+    'a11y.distance': '{distance} до {name}',
+
+    'liveShare.title': '📡 Поделиться поездкой с близким',
+    'liveShare.hint': 'Отправляет ход отслеживания (начало, вход в зону, прибытие, пропуск остановки) на выбранный вами сервер. Выключено, пока вы не включите.',
+    'liveShare.enable': 'Делиться поездкой во время отслеживания',
+    'liveShare.url': 'Адрес webhook или сервера-ретранслятора:',
+    'liveShare.viewerHint': 'Страница просмотра для близкого работает с сервером-ретранслятором (server/trip-relay.js)',
+    'liveShare.sendLink': '📤 Отправить ссылку для просмотра',
+    'liveShare.active': '📡 Поездка доступна близкому',
+    'liveShare.lastSent': '📡 Поездка доступна близкому · отправлено в {time}',
+    'liveShare.failing': '📡 Нет связи с сервером, повторная попытка',
+    'liveShare.shareTitle': 'Моя поездка',
+    'liveShare.shareText': 'Следи за моей поездкой до остановки {name}',
+    'liveShare.copyPrompt': 'Скопируйте ссылку для просмотра:',
+    'viewer.title': 'Просмотр общей поездки',
+    'viewer.heading': 'Поездка вашего близкого',
+    'viewer.waiting': 'Ожидание первого обновления...',
+    'viewer.noSource': 'Ссылка неполная - попросите новую ссылку для просмотра',
+    'viewer.notFound': 'Поездка не найдена. Возможно, она ещё не началась или ссылка устарела',
+    'viewer.expired': 'Эта поездка больше недоступна',
+    'viewer.unreachable': 'Нет связи с сервером, повторная попытка...',
+    'viewer.events': 'Что уже произошло',
+    'viewer.rider': 'Пассажир',
+    'viewer.eta': 'Прибытие примерно через {duration}',
+    'viewer.status.started': 'Начато отслеживание до остановки {name}',
+    'viewer.status.zone': '{distance} до остановки {name}',
+    'viewer.status.arrived': 'Прибыл на остановку {name}',
+    'viewer.status.passed': '⚠️ Проехал остановку {name}',
+    'viewer.status.stopped': 'Отслеживание завершено',
+
+    'unit.meters': '{value} м',
+    'unit.km': '{value} км',
+    'unit.kmh': '{value} км/ч',
+    'unit.accuracy': '±{value} м',
+
+    'time.minutes': {
+        one: '{count} минута',
+        few: '{count} минуты',
+        many: '{count} минут',
+        other: '{count} минуты'
+    },
+    'time.hours': {
+        one: '{count} час',
+        few: '{count} часа',
+        many: '{count} часов',
+        other: '{count} часа'
+    },
+    'time.hoursMinutes': '{hours} {minutes}',
+    'time.minutesShort': '{count} мин',
+
+    'walk.lessThanMinute': 'Меньше минуты',
+    'walk.minutes': {
+        one: 'Около {count} минуты пешком',
+        few: 'Около {count} минут пешком',
+        many: 'Около {count} минут пешком',
+        other: 'Около {count} минуты пешком'
+    },
+    'walk.long': 'Около {duration} пешком',
+
+    'eta.lessThanMinute': 'Прибытие меньше чем через минуту',
+    'eta.minutes': {
+        one: 'Прибытие примерно через {count} минуту',
+        few: 'Прибытие примерно через {count} минуты',
+        many: 'Прибытие примерно через {count} минут',
+        other: 'Прибытие примерно через {count} минуты'
+    },
+    'eta.long': 'Прибытие примерно через {duration}',
+
+    'error.geolocationUnsupported': 'Браузер не поддерживает определение местоположения',
+    'error.loadTrackFirst': 'Сначала загрузите трек для воспроизведения',
+    'error.permissionDenied': 'Требуется разрешение на доступ к местоположению',
+    'error.positionUnavailable': 'Информация о местоположении недоступна',
+    'error.timeout': 'Время запроса местоположения истекло',
+    'error.unknownPosition': 'Не удалось определить местоположение'
+};
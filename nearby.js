@@ -0,0 +1,276 @@
+// Picking a target straight from the map, and a "stops near me" layer.
+// Stops come from the local GTFS database when imported, otherwise from an Overpass API endpoint.
+const OVERPASS_URL_STORAGE_KEY = 'busStopAlert.overpassUrl';
+const DEFAULT_OVERPASS_URL = 'https://overpass-api.de/api/interpreter';
+const NEARBY_RADIUS = 0.5;       // km - radius of the "stops near me" layer
+const NEARBY_LIMIT = 60;
+const NEARBY_RELOAD_DISTANCE = 0.25; // km - reload the layer after moving this far
+const SNAP_RADIUS = 0.3;         // km - how far a map pick looks for a real stop
+const OVERPASS_MIN_INTERVAL_MS = 1000; // the public endpoint allows only a few requests at a time
+const OVERPASS_CACHE_TTL_MS = 10 * 60 * 1000;
+const OVERPASS_CACHE_MAX_ENTRIES = 50;
+
+let overpassUrl = localStorage.getItem(OVERPASS_URL_STORAGE_KEY) || DEFAULT_OVERPASS_URL;
+let nearbyLayer = null;
+let nearbyCenter = null;         // where the nearby layer was last loaded
+let isNearbyLoading = false;
+// Recent Overpass answers, by endpoint, point and radius; kept in memory for the session
+const overpassCache = new Map();
+let overpassQueue = Promise.resolve();
+let lastOverpassRequestAt = 0;
+
+// Save the Overpass endpoint
+function saveOverpassUrl(url) {
+    overpassUrl = url || DEFAULT_OVERPASS_URL;
+    localStorage.setItem(OVERPASS_URL_STORAGE_KEY, overpassUrl);
+}
+
+// Run an Overpass request through a queue, one at a time and at least a second apart
+function enqueueOverpassRequest(url) {
+    const run = async () => {
+        const wait = lastOverpassRequestAt + OVERPASS_MIN_INTERVAL_MS - Date.now();
+        if (wait > 0) {
+            await new Promise(resolve => setTimeout(resolve, wait));
+        }
+
+        lastOverpassRequestAt = Date.now();
+        const response = await fetch(url);
+        if (!response.ok) {
+            throw new Error(`Overpass responded ${response.status}`);
+        }
+        return response.json();
+    };
+
+    const request = overpassQueue.then(run);
+    // Keep the queue going even when one request fails
+    overpassQueue = request.catch(() => {});
+    return request;
+}
+
+// The Overpass answer for a query, from the cache when it is recent
+async function queryOverpass(query) {
+    const url = `${overpassUrl}?data=${encodeURIComponent(query)}`;
+    const cached = overpassCache.get(url);
+    if (cached && Date.now() - cached.t < OVERPASS_CACHE_TTL_MS) {
+        return cached.json;
+    }
+
+    const json = await enqueueOverpassRequest(url);
+    overpassCache.delete(url);
+    overpassCache.set(url, { t: Date.now(), json });
+    // A Map keeps insertion order, so the first key is the oldest
+    if (overpassCache.size > OVERPASS_CACHE_MAX_ENTRIES) {
+        overpassCache.delete(overpassCache.keys().next().value);
+    }
+    return json;
+}
+
+// Fetch bus stops around a point from Overpass, as Nominatim-shaped results.
+// The point is rounded to about 10 m so nearby picks share a cache entry.
+async function fetchOverpassStops(lat, lng, radius) {
+    const meters = Math.round(radius * 1000);
+    const around = `${meters},${lat.toFixed(4)},${lng.toFixed(4)}`;
+    const query = '[out:json][timeout:15];(' +
+        `node["highway"="bus_stop"](around:${around});` +
+        `node["public_transport"="platform"]["bus"="yes"](around:${around});` +
+        ');out body;';
+
+    const json = await queryOverpass(query);
+    const seen = new Set();
+    return (json.elements || [])
+        .filter(element => {
+            if (seen.has(element.id)) return false;
+            seen.add(element.id);
+            return true;
+        })
+        .map(element => {
+            const tags = element.tags || {};
+            const name = tags[`name:${currentLanguage}`] || tags.name || t('map.busStop');
+            return {
+                display_name: tags.ref ? `${name} (${tags.ref})` : name,
+                lat: String(element.lat),
+                lon: String(element.lon),
+                type: 'bus_stop',
+                class: 'highway',
+                stop_code: tags.ref || '',
+                distance: calculateDistance(lat, lng, element.lat, element.lon)
+            };
+        });
+}
+
+// Bus stops within radius km of a point, nearest first
+async function findStopsNear(lat, lng, radius, limit = NEARBY_LIMIT) {
+    if (await hasGtfsStops()) {
+        return findGtfsStopsNear(lat, lng, radius, limit);
+    }
+
+    const stops = await fetchOverpassStops(lat, lng, radius);
+    return stops.sort((a, b) => a.distance - b.distance).slice(0, limit);
+}
+
+// Build a popup button
+function createPopupButton(text, onClick) {
+    const button = document.createElement('button');
+    button.type = 'button';
+    button.className = 'btn btn-secondary popup-btn';
+    button.textContent = text;
+    button.addEventListener('click', () => {
+        map.closePopup();
+        onClick();
+    });
+    return button;
+}
+
+// Look up the real stop nearest to a picked point and offer it in the popup
+async function showNearestStop(latlng, placeholder) {
+    placeholder.textContent = t('map.searchingNearest');
+    try {
+        const [stop] = await findStopsNear(latlng.lat, latlng.lng, SNAP_RADIUS, 1);
+        if (!stop) {
+            placeholder.textContent = t('map.noStopWithin', { distance: formatDistance(SNAP_RADIUS) });
+            return;
+        }
+        placeholder.replaceWith(createPopupButton(
+            `🚏 ${stop.display_name.split(',')[0]} (${formatDistance(stop.distance)})`,
+            () => selectStation(stop)
+        ));
+    } catch (error) {
+        console.warn('Nearest stop lookup error:', error);
+        placeholder.textContent = t('map.nearestError');
+    }
+}
+
+// Offer the picked map point as a target, or the nearest real stop around it.
+// The local stop database is searched right away; Overpass only when the user asks.
+async function showMapPickPopup(latlng) {
+    const content = document.createElement('div');
+    content.className = 'map-pick-popup';
+
+    const dropped = {
+        display_name: `${t('map.droppedPoint')}, ${latlng.lat.toFixed(5)}, ${latlng.lng.toFixed(5)}`,
+        lat: String(latlng.lat),
+        lon: String(latlng.lng)
+    };
+    content.appendChild(createPopupButton(t('map.targetHere'), () => selectStation(dropped)));
+
+    const nearest = document.createElement('p');
+    nearest.className = 'popup-hint';
+    content.appendChild(nearest);
+
+    L.popup().setLatLng(latlng).setContent(content).openOn(map);
+
+    if (await hasGtfsStops().catch(() => false)) {
+        showNearestStop(latlng, nearest);
+        return;
+    }
+
+    const findButton = document.createElement('button');
+    findButton.type = 'button';
+    findButton.className = 'btn btn-secondary popup-btn';
+    findButton.textContent = t('map.findNearest');
+    findButton.addEventListener('click', () => {
+        const placeholder = document.createElement('p');
+        placeholder.className = 'popup-hint';
+        findButton.replaceWith(placeholder);
+        showNearestStop(latlng, placeholder);
+    });
+    nearest.replaceWith(findButton);
+}
+
+// Let the user pick a target with a long-press on touch screens or a right-click on desktop.
+// Plain taps stay free for panning and closing popups.
+function initMapPicking() {
+    map.on('contextmenu', (e) => showMapPickPopup(e.latlng));
+}
+
+// Draw the stops as clickable markers that select the stop
+function drawNearbyStops(stops) {
+    nearbyLayer.clearLayers();
+
+    stops.forEach(stop => {
+        const marker = L.circleMarker([parseFloat(stop.lat), parseFloat(stop.lon)], {
+            radius: 7,
+            color: '#FFFFFF',
+            weight: 2,
+            fillColor: '#004E89',
+            fillOpacity: 0.9,
+            bubblingMouseEvents: false
+        });
+
+        const content = document.createElement('div');
+        content.className = 'map-pick-popup';
+        const title = document.createElement('strong');
+        title.textContent = stop.display_name.split(',')[0];
+        const distance = document.createElement('p');
+        distance.className = 'popup-hint';
+        distance.textContent = t('map.fromYou', { distance: formatDistance(stop.distance) });
+        content.appendChild(title);
+        content.appendChild(distance);
+        content.appendChild(createPopupButton(t('map.selectStop'), () => selectStation(stop)));
+
+        marker.bindPopup(content);
+        marker.bindTooltip(stop.display_name.split(',')[0]);
+        nearbyLayer.addLayer(marker);
+    });
+}
+
+// Load the stops around the user into the nearby layer. Only a load the user asked for
+// reports "no stops" or a failure, so reloads while moving don't cover the tracking status.
+async function loadNearbyStops({ announce = false } = {}) {
+    if (isNearbyLoading || !userLocation) return;
+
+    isNearbyLoading = true;
+    nearbyCenter = { lat: userLocation.lat, lng: userLocation.lng };
+    try {
+        const stops = await findStopsNear(nearbyCenter.lat, nearbyCenter.lng, NEARBY_RADIUS);
+        if (nearbyLayer) {
+            drawNearbyStops(stops);
+        }
+        if (stops.length === 0 && announce) {
+            showStatus(t('map.noStopsNearby', { distance: formatDistance(NEARBY_RADIUS) }), 'info');
+        }
+    } catch (error) {
+        console.warn('Nearby stops error:', error);
+        if (announce) {
+            showStatus(t('map.nearbyError'), 'error');
+        }
+    } finally {
+        isNearbyLoading = false;
+    }
+}
+
+// Reload the nearby layer once the user has moved far enough
+function refreshNearbyStops() {
+    if (!nearbyLayer || !userLocation || !nearbyCenter) return;
+
+    const moved = calculateDistance(nearbyCenter.lat, nearbyCenter.lng, userLocation.lat, userLocation.lng);
+    if (moved > NEARBY_RELOAD_DISTANCE) {
+        loadNearbyStops();
+    }
+}
+
+// Show or hide the "stops near me" layer; returns whether it is now shown
+async function toggleNearbyStops() {
+    if (nearbyLayer) {
+        map.removeLayer(nearbyLayer);
+        nearbyLayer = null;
+        nearbyCenter = null;
+        return false;
+    }
+
+    nearbyLayer = L.layerGroup().addTo(map);
+    if (!userLocation) {
+        try {
+            await getUserLocation();
+        } catch (error) {
+            map.removeLayer(nearbyLayer);
+            nearbyLayer = null;
+            throw error;
+        }
+    }
+    if (nearbyLayer) {
+        map.setView([userLocation.lat, userLocation.lng], 16);
+        await loadNearbyStops({ announce: true });
+    }
+    return Boolean(nearbyLayer);
+}
@@ -0,0 +1,266 @@
+// Pluggable position sources. Each source mirrors the navigator.geolocation API
+// (getCurrentPosition / watchPosition / clearWatch), so the tracking pipeline
+// runs unchanged on real GPS, a replayed GPX/GeoJSON track or a dragged marker.
+const REPLAY_TICK_MS = 250; // wall-clock time between replay steps
+const SIMULATED_ACCURACY = 5; // m - accuracy reported for simulated fixes
+const UNTIMED_TRACK_SPEED = 30; // km/h - assumed when a track has no timestamps
+
+// Build a Position-like object
+function createPosition(lat, lng, timestamp, accuracy = SIMULATED_ACCURACY) {
+    return {
+        coords: {
+            latitude: lat,
+            longitude: lng,
+            accuracy,
+            altitude: null,
+            altitudeAccuracy: null,
+            heading: null,
+            speed: null
+        },
+        timestamp
+    };
+}
+
+// Real device GPS
+function createGpsSource() {
+    return {
+        name: 'gps',
+        labelKey: 'sim.gps',
+        isAvailable: () => Boolean(navigator.geolocation),
+        getCurrentPosition: (success, error, options) => navigator.geolocation.getCurrentPosition(success, error, options),
+        watchPosition: (success, error, options) => navigator.geolocation.watchPosition(success, error, options),
+        clearWatch: (id) => navigator.geolocation.clearWatch(id)
+    };
+}
+
+// Replay of a recorded track at adjustable speed. Timestamps run on a simulated
+// clock, so speed estimation and throttling behave as they did on the real trip.
+function createReplaySource() {
+    const watchers = new Map();
+    let nextWatchId = 1;
+    let track = [];
+    let index = 0;          // start of the segment being replayed
+    let trackTime = 0;      // current time within the track
+    let clockStart = 0;     // wall-clock time matching the start of the track
+    let speed = 10;
+    let timer = null;
+    let onProgress = () => {};
+
+    // Interpolate the position at the current track time
+    const currentPosition = () => {
+        const from = track[index];
+        const to = track[Math.min(index + 1, track.length - 1)];
+        const ratio = to.t > from.t ? Math.min(1, (trackTime - from.t) / (to.t - from.t)) : 1;
+        return createPosition(
+            from.lat + (to.lat - from.lat) * ratio,
+            from.lng + (to.lng - from.lng) * ratio,
+            clockStart + (trackTime - track[0].t)
+        );
+    };
+
+    const isFinished = () => trackTime >= track[track.length - 1].t;
+
+    // Advance the track clock by one tick and emit the new position
+    const tick = () => {
+        trackTime = Math.min(trackTime + REPLAY_TICK_MS * speed, track[track.length - 1].t);
+        while (index < track.length - 2 && track[index + 1].t <= trackTime) {
+            index++;
+        }
+
+        const position = currentPosition();
+        watchers.forEach(watcher => watcher.success(position));
+        onProgress(trackTime - track[0].t, track[track.length - 1].t - track[0].t);
+
+        if (isFinished()) {
+            pause();
+        }
+    };
+
+    // Anchor the simulated clock so the current track time maps to now
+    const syncClock = () => {
+        clockStart = Date.now() - (trackTime - track[0].t);
+    };
+
+    const play = () => {
+        if (timer || track.length === 0 || isFinished()) return;
+        syncClock();
+        timer = setInterval(tick, REPLAY_TICK_MS);
+    };
+
+    const pause = () => {
+        clearInterval(timer);
+        timer = null;
+    };
+
+    const rewind = () => {
+        index = 0;
+        trackTime = track.length > 0 ? track[0].t : 0;
+    };
+
+    return {
+        name: 'replay',
+        labelKey: 'sim.replay',
+        isAvailable: () => track.length > 0,
+        getCurrentPosition: (success, error) => {
+            if (track.length === 0) {
+                error({ code: 2, POSITION_UNAVAILABLE: 2, message: 'No track loaded' });
+                return;
+            }
+            if (!timer) syncClock();
+            setTimeout(() => success(currentPosition()), 0);
+        },
+        watchPosition: (success, error) => {
+            const id = nextWatchId++;
+            watchers.set(id, { success, error });
+            play();
+            return id;
+        },
+        clearWatch: (id) => {
+            watchers.delete(id);
+            // Tier changes clear and re-add a watch in one go; only pause when nobody is left
+            setTimeout(() => {
+                if (watchers.size === 0) pause();
+            }, 0);
+        },
+        loadTrack: (points) => {
+            pause();
+            track = points;
+            rewind();
+        },
+        restart: () => {
+            pause();
+            rewind();
+            if (watchers.size > 0) play();
+        },
+        setSpeed: (value) => {
+            speed = value;
+        },
+        onProgress: (callback) => {
+            onProgress = callback;
+        },
+        getTrack: () => track
+    };
+}
+
+// Marker dragged by hand on the map
+function createManualSource() {
+    const watchers = new Map();
+    let nextWatchId = 1;
+    let position = null;
+
+    return {
+        name: 'manual',
+        labelKey: 'sim.manual',
+        draggable: true,
+        unthrottled: true,
+        isAvailable: () => true,
+        getCurrentPosition: (success) => {
+            if (!position) {
+                // Start where the user was last seen, or at the map center
+                const start = userLocation || map.getCenter();
+                position = createPosition(start.lat, start.lng, Date.now());
+            }
+            setTimeout(() => success(position), 0);
+        },
+        watchPosition: (success, error) => {
+            const id = nextWatchId++;
+            watchers.set(id, { success, error });
+            return id;
+        },
+        clearWatch: (id) => {
+            watchers.delete(id);
+        },
+        moveTo: (lat, lng) => {
+            position = createPosition(lat, lng, Date.now());
+            watchers.forEach(watcher => watcher.success(position));
+        }
+    };
+}
+
+const positionSources = {
+    gps: createGpsSource(),
+    replay: createReplaySource(),
+    manual: createManualSource()
+};
+
+let positionSource = positionSources.gps;
+
+// Parse a GPX or GeoJSON track into timed points ({ lat, lng, t })
+function parseTrackFile(text) {
+    const trimmed = text.trim();
+    const points = trimmed.startsWith('{') ? parseGeoJsonTrack(JSON.parse(trimmed)) : parseGpxTrack(trimmed);
+
+    if (points.length < 2) {
+        throw new Error(t('sim.noTrackInFile'));
+    }
+    return fillMissingTimes(points);
+}
+
+// Read track points (or route points, or waypoints) from GPX
+function parseGpxTrack(text) {
+    const doc = new DOMParser().parseFromString(text, 'application/xml');
+    if (doc.getElementsByTagName('parsererror').length > 0) {
+        throw new Error(t('sim.invalidGpx'));
+    }
+
+    let nodes = doc.getElementsByTagName('trkpt');
+    if (nodes.length === 0) nodes = doc.getElementsByTagName('rtept');
+    if (nodes.length === 0) nodes = doc.getElementsByTagName('wpt');
+
+    return Array.from(nodes).map(node => {
+        const time = node.getElementsByTagName('time')[0];
+        return {
+            lat: parseFloat(node.getAttribute('lat')),
+            lng: parseFloat(node.getAttribute('lon')),
+            t: time ? Date.parse(time.textContent) : NaN
+        };
+    }).filter(point => Number.isFinite(point.lat) && Number.isFinite(point.lng));
+}
+
+// Read the first LineString (with optional coordTimes) or a run of timed Points from GeoJSON
+function parseGeoJsonTrack(geojson) {
+    const features = geojson.type === 'FeatureCollection' ? geojson.features
+        : geojson.type === 'Feature' ? [geojson]
+            : [{ type: 'Feature', geometry: geojson, properties: {} }];
+
+    const line = features.find(f => f.geometry && f.geometry.type === 'LineString');
+    if (line) {
+        const times = (line.properties && line.properties.coordTimes) || [];
+        return line.geometry.coordinates.map((coord, i) => ({
+            lat: coord[1],
+            lng: coord[0],
+            t: times[i] ? Date.parse(times[i]) : NaN
+        }));
+    }
+
+    return features
+        .filter(f => f.geometry && f.geometry.type === 'Point')
+        .map(f => ({
+            lat: f.geometry.coordinates[1],
+            lng: f.geometry.coordinates[0],
+            t: f.properties && f.properties.time ? Date.parse(f.properties.time) : NaN
+        }));
+}
+
+// Give untimed tracks timestamps at a constant speed, and drop out-of-order points
+function fillMissingTimes(points) {
+    if (points.every(point => Number.isFinite(point.t))) {
+        // Compare with the last point kept, so a time that jumps back after a dropped point goes too
+        const kept = [];
+        points.forEach(point => {
+            if (kept.length === 0 || point.t > kept[kept.length - 1].t) {
+                kept.push(point);
+            }
+        });
+        return kept;
+    }
+
+    let elapsed = 0;
+    return points.map((point, i) => {
+        if (i > 0) {
+            const km = calculateDistance(points[i - 1].lat, points[i - 1].lng, point.lat, point.lng);
+            elapsed += Math.max(1000, km / UNTIMED_TRACK_SPEED * 3600000);
+        }
+        return { lat: point.lat, lng: point.lng, t: elapsed };
+    });
+}
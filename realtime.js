@@ -0,0 +1,199 @@
+// Real-time bus arrivals from a SIRI-SM (stop monitoring) style endpoint
+const REALTIME_SETTINGS_STORAGE_KEY = 'busStopAlert.realtime';
+const REALTIME_MAX_ARRIVALS = 6;
+
+const DEFAULT_REALTIME_SETTINGS = {
+    enabled: false,
+    // {stopCode} is replaced with the code of the selected stop
+    urlTemplate: 'http://localhost:8090/siri/sm?MonitoringRef={stopCode}',
+    refreshSeconds: 30,
+    line: '',          // the line the user is waiting for
+    alertMinutes: 5    // alert when that line is this many minutes away
+};
+
+let realtimeSettings = loadRealtimeSettings();
+let realtimeStopCode = '';
+let realtimeTimer = null;
+let realtimeAlertedJourneys = new Set();
+
+// Load the real-time settings from local storage
+function loadRealtimeSettings() {
+    try {
+        const saved = JSON.parse(localStorage.getItem(REALTIME_SETTINGS_STORAGE_KEY));
+        return { ...DEFAULT_REALTIME_SETTINGS, ...(saved || {}) };
+    } catch (err) {
+        console.warn('Could not load real-time settings:', err);
+        return { ...DEFAULT_REALTIME_SETTINGS };
+    }
+}
+
+// Save the real-time settings
+function saveRealtimeSettings(settings) {
+    realtimeSettings = { ...realtimeSettings, ...settings };
+    localStorage.setItem(REALTIME_SETTINGS_STORAGE_KEY, JSON.stringify(realtimeSettings));
+}
+
+// Build the stop monitoring request URL for a stop
+function buildStopMonitoringUrl(stopCode) {
+    return realtimeSettings.urlTemplate.replace('{stopCode}', encodeURIComponent(stopCode));
+}
+
+// Wrap a SIRI value that may be a single object or an array
+function asArray(value) {
+    if (value === undefined || value === null) return [];
+    return Array.isArray(value) ? value : [value];
+}
+
+// Read a SIRI text value, which may be a plain string or { value } / [{ value }]
+function siriText(value) {
+    const first = asArray(value)[0];
+    if (first === undefined) return '';
+    return typeof first === 'object' ? String(first.value || '') : String(first);
+}
+
+// Parse a SIRI-SM JSON response into arrivals sorted by time
+function parseStopMonitoring(json, now = Date.now()) {
+    const delivery = json && json.Siri && json.Siri.ServiceDelivery;
+    if (!delivery) {
+        throw new Error(t('realtime.invalidResponse'));
+    }
+
+    const visits = asArray(delivery.StopMonitoringDelivery)
+        .flatMap(stopDelivery => asArray(stopDelivery.MonitoredStopVisit));
+
+    return visits
+        .map(visit => {
+            const journey = visit.MonitoredVehicleJourney || {};
+            const call = journey.MonitoredCall || {};
+            const time = Date.parse(call.ExpectedArrivalTime || call.AimedArrivalTime ||
+                call.ExpectedDepartureTime || call.AimedDepartureTime);
+
+            return {
+                line: siriText(journey.PublishedLineName) || siriText(journey.LineRef),
+                destination: siriText(journey.DestinationName) || siriText(journey.DestinationRef),
+                journeyRef: siriText(journey.FramedVehicleJourneyRef && journey.FramedVehicleJourneyRef.DatedVehicleJourneyRef) ||
+                    siriText(journey.VehicleRef),
+                isRealtime: Boolean(call.ExpectedArrivalTime || call.ExpectedDepartureTime),
+                time,
+                minutes: Math.max(0, Math.round((time - now) / 60000))
+            };
+        })
+        .filter(arrival => Number.isFinite(arrival.time) && arrival.time >= now - 60000)
+        .sort((a, b) => a.time - b.time);
+}
+
+// Fetch upcoming arrivals for a stop
+async function fetchStopArrivals(stopCode) {
+    const response = await fetch(buildStopMonitoringUrl(stopCode));
+    if (!response.ok) {
+        throw new Error(`SIRI responded ${response.status}`);
+    }
+    return parseStopMonitoring(await response.json());
+}
+
+// Show the upcoming arrivals in the results card
+function renderArrivals(arrivals, error) {
+    const panel = document.getElementById('realtime-arrivals');
+    const list = document.getElementById('realtime-arrivals-list');
+
+    panel.style.display = realtimeSettings.enabled && realtimeStopCode ? 'block' : 'none';
+    list.innerHTML = '';
+
+    if (error) {
+        list.innerHTML = `<p class="arrivals-empty">${t('realtime.unavailable')}</p>`;
+        return;
+    }
+    if (arrivals.length === 0) {
+        list.innerHTML = `<p class="arrivals-empty">${t('realtime.none')}</p>`;
+        return;
+    }
+
+    arrivals.slice(0, REALTIME_MAX_ARRIVALS).forEach(arrival => {
+        const row = document.createElement('div');
+        row.className = 'arrival-row';
+        if (realtimeSettings.line && arrival.line === realtimeSettings.line) {
+            row.classList.add('watched');
+        }
+
+        const line = document.createElement('span');
+        line.className = 'arrival-line';
+        line.textContent = arrival.line;
+
+        const destination = document.createElement('span');
+        destination.className = 'arrival-destination';
+        destination.textContent = arrival.destination;
+
+        const eta = document.createElement('span');
+        eta.className = 'arrival-eta';
+        eta.textContent = (arrival.minutes === 0 ? t('realtime.arriving') : t('time.minutesShort', { count: arrival.minutes })) + (arrival.isRealtime ? ' 📡' : '');
+        eta.title = t(arrival.isRealtime ? 'realtime.live' : 'realtime.scheduled');
+
+        row.appendChild(line);
+        row.appendChild(destination);
+        row.appendChild(eta);
+        list.appendChild(row);
+    });
+
+    document.getElementById('realtime-updated').textContent = formatTime(Date.now());
+}
+
+// Alert once per journey when the watched line gets close enough
+function checkLineAlert(arrivals) {
+    const { line, alertMinutes } = realtimeSettings;
+    if (!line) return;
+
+    arrivals
+        .filter(arrival => arrival.line === line && arrival.minutes <= alertMinutes)
+        .forEach(arrival => {
+            const key = arrival.journeyRef || `${arrival.line}@${arrival.time}`;
+            if (realtimeAlertedJourneys.has(key)) return;
+
+            realtimeAlertedJourneys.add(key);
+            const message = arrival.minutes === 0
+                ? t('realtime.lineArrivingNow', { line })
+                : t('realtime.lineArriving', { line, count: arrival.minutes });
+            triggerAlert('bus', message, { icon: '🚌' });
+        });
+}
+
+// Fetch and show arrivals for the current stop
+async function refreshRealtime() {
+    if (!realtimeSettings.enabled || !realtimeStopCode) {
+        renderArrivals([]);
+        return;
+    }
+
+    try {
+        const arrivals = await fetchStopArrivals(realtimeStopCode);
+        renderArrivals(arrivals);
+        if (isTracking) {
+            checkLineAlert(arrivals);
+        }
+    } catch (error) {
+        console.warn('Real-time update error:', error);
+        renderArrivals([], error);
+    }
+}
+
+// Set the stop whose arrivals are monitored
+function setRealtimeStop(stopCode) {
+    realtimeStopCode = (stopCode || '').trim();
+    realtimeAlertedJourneys.clear();
+    document.getElementById('realtime-stop-input').value = realtimeStopCode;
+    refreshRealtime();
+}
+
+// Poll arrivals while tracking
+function startRealtimePolling() {
+    stopRealtimePolling();
+    if (!realtimeSettings.enabled) return;
+
+    refreshRealtime();
+    realtimeTimer = setInterval(refreshRealtime, Math.max(10, realtimeSettings.refreshSeconds) * 1000);
+}
+
+// Stop polling arrivals
+function stopRealtimePolling() {
+    clearInterval(realtimeTimer);
+    realtimeTimer = null;
+}
@@ -0,0 +1,258 @@
+// Street-following walking routes from an OSRM or Valhalla compatible routing service.
+// The route is kept while the user stays on it and re-requested only when they drift off.
+const ROUTING_SETTINGS_STORAGE_KEY = 'busStopAlert.routing';
+const ROUTE_OFF_DISTANCE = 0.04; // km - farther than this from the path means off-route
+const ROUTE_RETRY_MS = 15000;    // minimum gap between route requests
+
+// Request and response formats of the supported routing APIs.
+// `parse` returns { points: [[lat, lng], ...], distance: km, duration: minutes }.
+const ROUTING_APIS = {
+    osrm: {
+        buildUrl: (baseUrl, from, to) =>
+            `${baseUrl}/route/v1/foot/${from.lng},${from.lat};${to.lng},${to.lat}?` +
+            `overview=full&` +
+            `geometries=geojson`,
+        parse: (json) => {
+            const route = json.code === 'Ok' && json.routes && json.routes[0];
+            if (!route) {
+                throw new Error(`OSRM: ${json.message || json.code}`);
+            }
+            return {
+                points: route.geometry.coordinates.map(coord => [coord[1], coord[0]]),
+                distance: route.distance / 1000,
+                duration: route.duration / 60
+            };
+        }
+    },
+    valhalla: {
+        buildUrl: (baseUrl, from, to) =>
+            `${baseUrl}/route?json=` + encodeURIComponent(JSON.stringify({
+                locations: [{ lat: from.lat, lon: from.lng }, { lat: to.lat, lon: to.lng }],
+                costing: 'pedestrian',
+                units: 'kilometers'
+            })),
+        parse: (json) => {
+            const trip = json.trip;
+            if (!trip || !trip.legs || trip.legs.length === 0) {
+                throw new Error(`Valhalla: ${json.error || 'no route'}`);
+            }
+            return {
+                points: trip.legs.flatMap(leg => decodePolyline(leg.shape, 6)),
+                distance: trip.summary.length,
+                duration: trip.summary.time / 60
+            };
+        }
+    }
+};
+
+// Routing providers. 'none' keeps the straight line.
+const ROUTING_PROVIDERS = {
+    none: {
+        labelKey: 'routing.none',
+        api: null,
+        baseUrl: null
+    },
+    osrm: {
+        labelKey: 'routing.osrm',
+        api: 'osrm',
+        baseUrl: 'https://routing.openstreetmap.de/routed-foot'
+    },
+    valhalla: {
+        label: 'Valhalla (FOSSGIS)',
+        api: 'valhalla',
+        baseUrl: 'https://valhalla1.openstreetmap.de'
+    },
+    custom: {
+        labelKey: 'settings.customServer',
+        api: null, // chosen in settings
+        baseUrl: null // chosen in settings
+    }
+};
+
+const DEFAULT_ROUTING_SETTINGS = {
+    provider: 'none',
+    customUrl: 'http://localhost:5000',
+    customApi: 'osrm'
+};
+
+let routingSettings = loadRoutingSettings();
+let walkingRoute = null;     // { points, distance, duration, target } of the last route
+let routeRequest = null;     // the route request in flight, if any
+let lastRouteRequestAt = 0;
+
+// Load the routing settings from local storage
+function loadRoutingSettings() {
+    try {
+        const saved = JSON.parse(localStorage.getItem(ROUTING_SETTINGS_STORAGE_KEY));
+        if (saved && ROUTING_PROVIDERS[saved.provider]) {
+            return { ...DEFAULT_ROUTING_SETTINGS, ...saved };
+        }
+    } catch (err) {
+        console.warn('Could not load routing settings:', err);
+    }
+    return { ...DEFAULT_ROUTING_SETTINGS };
+}
+
+// Save the routing settings and forget the current route
+function saveRoutingSettings(settings) {
+    routingSettings = { ...routingSettings, ...settings };
+    localStorage.setItem(ROUTING_SETTINGS_STORAGE_KEY, JSON.stringify(routingSettings));
+    clearWalkingRoute();
+}
+
+// Resolve the active provider into { name, api, baseUrl }, or null when routing is off
+function getActiveRouter() {
+    const name = routingSettings.provider;
+    const provider = ROUTING_PROVIDERS[name];
+
+    if (name === 'none') {
+        return null;
+    }
+    if (name === 'custom') {
+        return {
+            name,
+            api: ROUTING_APIS[routingSettings.customApi] ? routingSettings.customApi : 'osrm',
+            baseUrl: routingSettings.customUrl.replace(/\/+$/, '')
+        };
+    }
+    return { name, api: provider.api, baseUrl: provider.baseUrl };
+}
+
+// Decode an encoded polyline (precision 5 for Google/OSRM, 6 for Valhalla) into [lat, lng] pairs
+function decodePolyline(encoded, precision = 5) {
+    const factor = Math.pow(10, precision);
+    const points = [];
+    let index = 0;
+    let lat = 0;
+    let lng = 0;
+
+    // Read one zig-zag encoded signed value
+    const readValue = () => {
+        let result = 0;
+        let shift = 0;
+        let byte;
+        do {
+            byte = encoded.charCodeAt(index++) - 63;
+            result |= (byte & 0x1f) << shift;
+            shift += 5;
+        } while (byte >= 0x20);
+        return (result & 1) ? ~(result >> 1) : (result >> 1);
+    };
+
+    while (index < encoded.length) {
+        lat += readValue();
+        lng += readValue();
+        points.push([lat / factor, lng / factor]);
+    }
+    return points;
+}
+
+// Request a walking route from the active provider
+async function fetchWalkingRoute(from, to) {
+    const router = getActiveRouter();
+    const api = ROUTING_APIS[router.api];
+
+    const response = await fetch(api.buildUrl(router.baseUrl, from, to));
+    if (!response.ok) {
+        throw new Error(`Router responded ${response.status}`);
+    }
+    return api.parse(await response.json());
+}
+
+// Find where a location falls on the route: { offset: km from the path, remaining: km left along it, index }
+function locateOnRoute(location, route) {
+    // Flat projection around the location is accurate enough at walking distances
+    const kmPerLat = 110.574;
+    const kmPerLng = 111.32 * Math.cos(toRad(location.lat));
+    const project = ([lat, lng]) => ({
+        x: (lng - location.lng) * kmPerLng,
+        y: (lat - location.lat) * kmPerLat
+    });
+
+    let best = { offset: Infinity, index: 0, point: route.points[0] };
+    for (let i = 0; i < route.points.length - 1; i++) {
+        const a = project(route.points[i]);
+        const b = project(route.points[i + 1]);
+        const dx = b.x - a.x;
+        const dy = b.y - a.y;
+        const lengthSq = dx * dx + dy * dy;
+        const t = lengthSq > 0 ? Math.max(0, Math.min(1, -(a.x * dx + a.y * dy) / lengthSq)) : 0;
+        const offset = Math.hypot(a.x + t * dx, a.y + t * dy);
+
+        if (offset < best.offset) {
+            const [lat1, lng1] = route.points[i];
+            const [lat2, lng2] = route.points[i + 1];
+            best = { offset, index: i, point: [lat1 + (lat2 - lat1) * t, lng1 + (lng2 - lng1) * t] };
+        }
+    }
+
+    let remaining = 0;
+    let previous = best.point;
+    route.points.slice(best.index + 1).forEach(point => {
+        remaining += calculateDistance(previous[0], previous[1], point[0], point[1]);
+        previous = point;
+    });
+
+    return { ...best, remaining };
+}
+
+// Forget the current route
+function clearWalkingRoute() {
+    walkingRoute = null;
+    lastRouteRequestAt = 0;
+}
+
+// Whether the route leads to the given target
+function isRouteTo(route, target) {
+    return route.target.lat === target.lat && route.target.lng === target.lng;
+}
+
+// The part of the route still ahead of the user, or null when there is no usable route.
+// Requests a new route in the background when the user has no route or drifted off it.
+function getWalkingRouteAhead(from, target) {
+    if (!getActiveRouter()) {
+        return null;
+    }
+
+    if (walkingRoute && isRouteTo(walkingRoute, target)) {
+        const position = locateOnRoute(from, walkingRoute);
+        const tolerance = Math.max(ROUTE_OFF_DISTANCE, (from.accuracy || 0) / 1000);
+        if (position.offset <= tolerance) {
+            return {
+                points: [position.point, ...walkingRoute.points.slice(position.index + 1)],
+                distance: position.remaining,
+                duration: walkingRoute.distance > 0
+                    ? walkingRoute.duration * position.remaining / walkingRoute.distance
+                    : 0
+            };
+        }
+    }
+
+    requestWalkingRoute(from, target);
+    return null;
+}
+
+// Fetch a new route unless one is already on its way or we asked too recently
+function requestWalkingRoute(from, target) {
+    if (routeRequest || Date.now() - lastRouteRequestAt < ROUTE_RETRY_MS) {
+        return;
+    }
+
+    lastRouteRequestAt = Date.now();
+    const to = { lat: target.lat, lng: target.lng };
+    routeRequest = fetchWalkingRoute(from, to)
+        .then(route => {
+            walkingRoute = { ...route, target: to };
+            // Show the new route right away rather than on the next position update
+            if (userLocation && selectedStation && isRouteTo(walkingRoute, selectedStation)) {
+                updateDistanceDisplay(getCurrentDistance());
+            }
+        })
+        .catch(error => {
+            // Keep showing the straight line until the next attempt
+            console.warn('Routing error:', error);
+        })
+        .finally(() => {
+            routeRequest = null;
+        });
+}
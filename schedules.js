@@ -0,0 +1,340 @@
+// Scheduled commutes: a saved stop, weekdays and a time window that start tracking by themselves
+// while the app is open, optionally only once the user leaves a saved origin.
+const SCHEDULES_STORAGE_KEY = 'busStopAlert.schedules';
+const SCHEDULE_CHECK_INTERVAL_MS = 30 * 1000;
+const SCHEDULE_ORIGIN_RADIUS = 0.15; // km around the origin; leaving it starts the trip
+// The origin check runs all through the window, so it takes a cheap network fix and accepts
+// one a couple of minutes old rather than keeping the GPS on before the trip starts
+const SCHEDULE_ORIGIN_FIX_OPTIONS = { enableHighAccuracy: false, timeout: 15000, maximumAge: 2 * 60 * 1000 };
+const DEFAULT_SCHEDULE_DAYS = [0, 1, 2, 3, 4]; // Sunday to Thursday
+
+let schedules = loadSchedules();
+let isCheckingSchedules = false;
+// Schedule ids that were seen inside their origin during the current window
+const schedulesInsideOrigin = new Set();
+
+// Load the saved schedules from local storage
+function loadSchedules() {
+    try {
+        const saved = JSON.parse(localStorage.getItem(SCHEDULES_STORAGE_KEY));
+        return Array.isArray(saved) ? saved : [];
+    } catch (err) {
+        console.warn('Could not load schedules:', err);
+        return [];
+    }
+}
+
+// Save the schedules and redraw their list
+function saveSchedules(list) {
+    schedules = list;
+    try {
+        localStorage.setItem(SCHEDULES_STORAGE_KEY, JSON.stringify(schedules));
+    } catch (err) {
+        console.warn('Could not save schedules:', err);
+    }
+    renderSchedules();
+}
+
+// Minutes after midnight of an "HH:MM" string
+function parseTimeOfDay(value) {
+    const [hours, minutes] = value.split(':').map(Number);
+    return hours * 60 + minutes;
+}
+
+// The window of a schedule that contains `now`, as { start, end } dates, or null.
+// A window that ends before it starts runs past midnight and belongs to the day it starts on.
+function getScheduleWindow(schedule, now = new Date()) {
+    const startMinutes = parseTimeOfDay(schedule.start);
+    let endMinutes = parseTimeOfDay(schedule.end);
+    if (endMinutes <= startMinutes) {
+        endMinutes += 24 * 60;
+    }
+
+    for (const daysBack of [0, 1]) {
+        const day = new Date(now.getFullYear(), now.getMonth(), now.getDate() - daysBack);
+        if (!schedule.days.includes(day.getDay())) continue;
+
+        // Built from parts rather than by adding milliseconds, so DST changes keep the wall-clock time
+        const start = new Date(day.getFullYear(), day.getMonth(), day.getDate(), 0, startMinutes);
+        const end = new Date(day.getFullYear(), day.getMonth(), day.getDate(), 0, endMinutes);
+        if (now >= start && now < end) {
+            return { start, end };
+        }
+    }
+    return null;
+}
+
+// Describe the weekdays of a schedule, e.g. "Sun–Thu" or "Mon, Wed"
+function formatScheduleDays(days) {
+    if (days.length === 7) {
+        return t('schedule.everyDay');
+    }
+
+    const sorted = days.slice().sort((a, b) => a - b);
+    const runs = [];
+    sorted.forEach(day => {
+        const run = runs[runs.length - 1];
+        if (run && day === run[run.length - 1] + 1) {
+            run.push(day);
+        } else {
+            runs.push([day]);
+        }
+    });
+
+    return runs
+        .map(run => run.length >= 3
+            ? `${formatWeekday(run[0])}–${formatWeekday(run[run.length - 1])}`
+            : run.map(formatWeekday).join(', '))
+        .join(', ');
+}
+
+// Start the trip of a schedule: its stop, its alert rings for this trip only, then tracking
+function runSchedule(schedule) {
+    saveSchedules(schedules.map(s => s.id === schedule.id ? { ...s, lastRunAt: Date.now() } : s));
+    schedulesInsideOrigin.delete(schedule.id);
+
+    isAddingLeg = false;
+    document.getElementById('add-leg-btn').classList.remove('active');
+    selectStation({
+        display_name: schedule.station.address || schedule.station.name,
+        lat: schedule.station.lat,
+        lon: schedule.station.lng,
+        stop_code: schedule.station.code
+    });
+    applyAlertRadii(schedule.radii);
+
+    startTracking().then(() => {
+        if (isTracking) {
+            // Without a user gesture the browser may keep the sound muted; the next tap arms it
+            document.addEventListener('pointerdown', armAlertSound, { once: true });
+            const message = t('schedule.started', { name: schedule.station.name });
+            showStatus(message, 'success');
+            showBrowserNotification(message);
+        }
+    });
+}
+
+// Whether the user is putting together a trip with changes, which a schedule must not replace
+function isBuildingItinerary() {
+    return isAddingLeg || itinerary.length > 1;
+}
+
+// A low-accuracy fix for the origin check, outside the tracking engine
+function getScheduleOriginFix() {
+    return new Promise((resolve, reject) => {
+        if (!positionSource.isAvailable()) {
+            reject(new Error(t('error.geolocationUnsupported')));
+            return;
+        }
+        positionSource.getCurrentPosition(
+            ({ coords }) => resolve({ lat: coords.latitude, lng: coords.longitude, accuracy: coords.accuracy }),
+            reject,
+            SCHEDULE_ORIGIN_FIX_OPTIONS
+        );
+    });
+}
+
+// Start any schedule whose window is open and that hasn't run in it yet.
+// While the user builds a trip the schedule waits; it runs once they are done if its window is still open.
+async function checkSchedules() {
+    if (isTracking || isCheckingSchedules || isBuildingItinerary()) return;
+
+    const now = new Date();
+    const due = schedules
+        .filter(schedule => schedule.enabled)
+        .map(schedule => ({ schedule, activeWindow: getScheduleWindow(schedule, now) }))
+        .filter(({ schedule, activeWindow }) => activeWindow && !(schedule.lastRunAt >= activeWindow.start.getTime()));
+
+    // Forget origin visits of windows that closed
+    schedulesInsideOrigin.forEach(id => {
+        if (!due.some(({ schedule }) => schedule.id === id)) {
+            schedulesInsideOrigin.delete(id);
+        }
+    });
+
+    const timed = due.find(({ schedule }) => !schedule.origin);
+    if (timed) {
+        runSchedule(timed.schedule);
+        return;
+    }
+
+    const geofenced = due.filter(({ schedule }) => schedule.origin);
+    if (geofenced.length === 0) return;
+
+    // Geofenced schedules start once the user was at the origin and has left it
+    isCheckingSchedules = true;
+    try {
+        const location = await getScheduleOriginFix();
+        const accuracy = (location.accuracy || 0) / 1000;
+
+        // A rough fix only counts as having left once even its error margin is outside the origin
+        const left = geofenced.find(({ schedule }) => {
+            const distance = calculateDistance(location.lat, location.lng, schedule.origin.lat, schedule.origin.lng);
+            if (distance <= schedule.origin.radius) {
+                schedulesInsideOrigin.add(schedule.id);
+                return false;
+            }
+            return schedulesInsideOrigin.has(schedule.id) && distance - accuracy > schedule.origin.radius;
+        });
+        if (left && !isTracking && !isBuildingItinerary()) {
+            runSchedule(left.schedule);
+        }
+    } catch (err) {
+        console.warn('Could not check schedule origins:', err);
+    } finally {
+        isCheckingSchedules = false;
+    }
+}
+
+// Save a schedule for the selected station from the form
+function addSchedule() {
+    if (!selectedStation) {
+        showStatus(t('trip.selectFirst'), 'error');
+        return;
+    }
+
+    const days = [...document.querySelectorAll('#schedule-days input:checked')].map(input => Number(input.value));
+    const start = document.getElementById('schedule-start-input').value;
+    const end = document.getElementById('schedule-end-input').value;
+    if (days.length === 0 || !start || !end) {
+        showStatus(t('schedule.incomplete'), 'error');
+        return;
+    }
+
+    const radii = document.getElementById('schedule-radius-input').value
+        .split(',')
+        .map(value => parseFloat(value) / 1000)
+        .filter(km => Number.isFinite(km) && km > 0);
+
+    let origin = null;
+    if (document.getElementById('schedule-origin-checkbox').checked) {
+        if (!userLocation) {
+            showStatus(t('schedule.noOrigin'), 'error');
+            return;
+        }
+        origin = { lat: userLocation.lat, lng: userLocation.lng, radius: SCHEDULE_ORIGIN_RADIUS };
+    }
+
+    const { name, address, lat, lng, code } = selectedStation;
+    saveSchedules(schedules.concat({
+        id: Date.now().toString(36),
+        enabled: true,
+        station: { name, address, lat, lng, code },
+        days: days.sort((a, b) => a - b),
+        start,
+        end,
+        radii: radii.length > 0 ? radii : alertStages.map(stage => stage.distance),
+        origin,
+        lastRunAt: 0
+    }));
+    showStatus(t('schedule.saved'), 'success');
+}
+
+// Render the saved schedules with an on/off switch and a delete button
+function renderSchedules() {
+    const list = document.getElementById('schedule-list');
+    list.innerHTML = '';
+
+    if (schedules.length === 0) {
+        list.innerHTML = `<p class="settings-hint">${t('schedule.empty')}</p>`;
+        return;
+    }
+
+    schedules.forEach(schedule => {
+        const row = document.createElement('div');
+        row.className = 'schedule-row';
+
+        const toggle = document.createElement('input');
+        toggle.type = 'checkbox';
+        toggle.checked = schedule.enabled;
+        toggle.title = t('schedule.enabled');
+        toggle.addEventListener('change', () => {
+            saveSchedules(schedules.map(s => s.id === schedule.id ? { ...s, enabled: toggle.checked } : s));
+            checkSchedules();
+        });
+
+        const text = document.createElement('div');
+        text.className = 'schedule-text';
+        const title = document.createElement('div');
+        title.className = 'schedule-title';
+        title.textContent = schedule.station.name;
+        const details = document.createElement('div');
+        details.className = 'trip-details';
+        details.textContent = [
+            formatScheduleDays(schedule.days),
+            `${schedule.start}–${schedule.end}`,
+            formatDistance(Math.min(...schedule.radii)),
+            schedule.origin ? t('schedule.fromOrigin') : null
+        ].filter(Boolean).join(' · ');
+        text.append(title, details);
+
+        const removeBtn = document.createElement('button');
+        removeBtn.type = 'button';
+        removeBtn.className = 'btn btn-secondary';
+        removeBtn.textContent = '🗑️';
+        removeBtn.title = t('schedule.remove');
+        removeBtn.setAttribute('aria-label', t('schedule.remove'));
+        removeBtn.addEventListener('click', () => {
+            saveSchedules(schedules.filter(s => s.id !== schedule.id));
+        });
+
+        row.append(toggle, text, removeBtn);
+        list.appendChild(row);
+    });
+}
+
+// Render the weekday checkboxes of the form, keeping what is ticked
+function renderScheduleDays() {
+    const container = document.getElementById('schedule-days');
+    const checked = container.children.length > 0
+        ? [...container.querySelectorAll('input:checked')].map(input => Number(input.value))
+        : DEFAULT_SCHEDULE_DAYS;
+
+    container.innerHTML = '';
+    for (let day = 0; day < 7; day++) {
+        const label = document.createElement('label');
+        label.className = 'schedule-day';
+        const input = document.createElement('input');
+        input.type = 'checkbox';
+        input.value = String(day);
+        input.checked = checked.includes(day);
+        const name = document.createElement('span');
+        name.textContent = formatWeekday(day);
+        label.append(input, name);
+        container.appendChild(label);
+    }
+}
+
+// Show which station the form would save, and prefill its alert radius
+function updateScheduleForm() {
+    document.getElementById('schedule-station').textContent = selectedStation
+        ? t('schedule.forStation', { name: selectedStation.name })
+        : t('trip.selectFirst');
+    document.getElementById('schedule-add-btn').disabled = !selectedStation;
+    document.getElementById('schedule-radius-input').placeholder =
+        alertStages.map(stage => Math.round(stage.distance * 1000)).join(',');
+}
+
+// Wire the schedule settings and check the schedules while the app is open
+function initSchedules() {
+    renderScheduleDays();
+    renderSchedules();
+    updateScheduleForm();
+    document.getElementById('schedule-add-btn').addEventListener('click', addSchedule);
+    document.getElementById('schedule-settings').addEventListener('toggle', updateScheduleForm);
+
+    onLanguageChange(() => {
+        renderScheduleDays();
+        renderSchedules();
+        updateScheduleForm();
+    });
+
+    // Timers are throttled in the background, so check again when the app comes back
+    document.addEventListener('visibilitychange', () => {
+        if (!document.hidden) {
+            checkSchedules();
+        }
+    });
+    setInterval(checkSchedules, SCHEDULE_CHECK_INTERVAL_MS);
+    checkSchedules();
+}
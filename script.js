@@ -1,29 +1,123 @@
 // Global variables
 let map;
 let userMarker;
+let accuracyCircle;
 let stationMarker;
 let routeLine;
-let alertCircle;
+let alertCircles = [];
 let userLocation = null;
 let selectedStation = null;
-let trackingInterval = null;
+let itinerary = [];
+let currentLegIndex = 0;
+let isAddingLeg = false;
+let itineraryLayer;
 let isTracking = false;
-let hasAlerted = false;
 let alertSound = null;
-
-const ALERT_DISTANCE = 5; // km
-const TRACKING_INTERVAL = 5000; // 5 seconds
+let audioContext = null;
+let movement = createMovement();
+let hasTimeAlerted = false;
+let swRegistration = null;
+let snoozeTimeout = null;
+let statusTimeout = null;
+
+const TRACKING_POLICY_STORAGE_KEY = 'busStopAlert.trackingPolicy';
+
+// Adaptive tracking policies. Tiers are keyed by the gap (km) between the
+// projected position and the outermost alert ring; the first tier whose
+// `beyond` is exceeded wins, the last one applies inside the ring.
+const TRACKING_POLICIES = {
+    saver: {
+        labelKey: 'policy.saver',
+        lookaheadMinutes: 2,
+        tiers: [
+            { beyond: 20, interval: 120000, highAccuracy: false, maximumAge: 120000 },
+            { beyond: 5, interval: 45000, highAccuracy: false, maximumAge: 30000 },
+            { beyond: 1, interval: 15000, highAccuracy: true, maximumAge: 10000 },
+            { beyond: -Infinity, interval: 5000, highAccuracy: true, maximumAge: 3000 }
+        ]
+    },
+    balanced: {
+        labelKey: 'policy.balanced',
+        lookaheadMinutes: 3,
+        tiers: [
+            { beyond: 20, interval: 60000, highAccuracy: false, maximumAge: 60000 },
+            { beyond: 5, interval: 20000, highAccuracy: false, maximumAge: 15000 },
+            { beyond: 1, interval: 8000, highAccuracy: true, maximumAge: 5000 },
+            { beyond: -Infinity, interval: 3000, highAccuracy: true, maximumAge: 0 }
+        ]
+    },
+    precise: {
+        labelKey: 'policy.precise',
+        lookaheadMinutes: 5,
+        tiers: [
+            { beyond: 10, interval: 10000, highAccuracy: true, maximumAge: 5000 },
+            { beyond: -Infinity, interval: 2000, highAccuracy: true, maximumAge: 0 }
+        ]
+    }
+};
+const ALERT_STAGES_STORAGE_KEY = 'busStopAlert.alertStages';
+const LEG_ARRIVAL_DISTANCE = 0.05; // km - close enough to count as reaching a stop
+const LEG_PASSED_MARGIN = 0.1; // km - moving this far back out means the stop was passed
+const COMPASS_POINTS = ['n', 'ne', 'e', 'se', 's', 'sw', 'w', 'nw'];
+
+const SNOOZE_MINUTES = 2;
+const RECENT_STATIONS_STORAGE_KEY = 'busStopAlert.recentStations';
+const FAVORITE_STATIONS_STORAGE_KEY = 'busStopAlert.favoriteStations';
+const QUICK_START_STORAGE_KEY = 'busStopAlert.quickStart';
+const MAX_RECENT_STATIONS = 5;
+const SAME_STATION_DISTANCE = 0.05; // km - closer than this counts as the same station
+const TIME_ALERT_STORAGE_KEY = 'busStopAlert.timeAlertMinutes';
+
+// Movement modes shown next to the speed
+const MOVEMENT_MODES = {
+    unknown: { icon: '❔', labelKey: 'movement.unknown' },
+    stationary: { icon: '⏸️', labelKey: 'movement.stationary' },
+    walking: { icon: '🚶', labelKey: 'movement.walking' },
+    riding: { icon: '🚌', labelKey: 'movement.riding' }
+};
+
+// Escalating alert stages, ordered from the outermost ring inwards (distance in km)
+const DEFAULT_ALERT_STAGES = [
+    { distance: 2, messageKey: 'stages.prepare', sound: 'beep' },
+    { distance: 0.5, messageKey: 'stages.door', sound: 'default' },
+    { distance: 0.15, messageKey: 'stages.bell', sound: 'urgent' }
+];
+
+// Sounds a stage can use: the ringtone file, synthesized tones or silence
+const ALERT_SOUND_OPTIONS = [
+    { value: 'default', labelKey: 'sound.default' },
+    { value: 'beep', labelKey: 'sound.beep' },
+    { value: 'urgent', labelKey: 'sound.urgent' },
+    { value: 'none', labelKey: 'sound.none' }
+];
+
+// Ring colors from the outermost stage to the innermost
+const STAGE_COLORS = ['#F59E0B', '#F97316', '#EF4444', '#B91C1C'];
+
+let alertStages = loadAlertStages();
+let userAlertStages = null; // the saved stages while a shared link or a schedule sets the rings for one trip
+let timeAlertMinutes = parseFloat(localStorage.getItem(TIME_ALERT_STORAGE_KEY)) || 0;
+let trackingPolicyName = TRACKING_POLICIES[localStorage.getItem(TRACKING_POLICY_STORAGE_KEY)]
+    ? localStorage.getItem(TRACKING_POLICY_STORAGE_KEY)
+    : 'balanced';
+
+// Filtering, distance, alert zones and sampling; the page subscribes in initTrackingEngine()
+const trackingEngine = createTrackingEngine({
+    source: positionSource,
+    stages: alertStages,
+    policy: TRACKING_POLICIES[trackingPolicyName]
+});
 
 // Initialize map
 function initMap() {
     // Center map on Israel by default
     map = L.map('map').setView([32.0853, 34.7818], 8);
     
-    // Add OpenStreetMap tiles
-    L.tileLayer('https://{s}.tile.openstreetmap.org/{z}/{x}/{y}.png', {
-        attribution: '&copy; <a href="https://www.openstreetmap.org/copyright">OpenStreetMap</a>',
-        maxZoom: 19
-    }).addTo(map);
+    // Map tiles, served from the offline cache when they were downloaded
+    createOfflineTileLayer().addTo(map);
+
+    // Layer for the legs of a multi-stop trip
+    itineraryLayer = L.layerGroup().addTo(map);
 }
 
 // Initialize alert sound
@@ -52,57 +146,267 @@ function initAlertSound() {
     // Test if audio file exists
     alertSound.addEventListener('error', (e) => {
         console.warn('Alert sound file not found or could not be loaded:', e);
-        showStatus('⚠️ קובץ הצלצול לא נמצא - ישתמשו התראות ויזואליות בלבד', 'warning');
+        showStatus(t('delivery.ringtoneMissing'), 'warning');
     });
 }
 
-// Get user's current location
-function getUserLocation() {
-    return new Promise((resolve, reject) => {
-        if (!navigator.geolocation) {
-            reject(new Error('הדפדפן לא תומך בשירות מיקום'));
-            return;
+// Load alert stages from local storage, falling back to the defaults
+function loadAlertStages() {
+    try {
+        const saved = JSON.parse(localStorage.getItem(ALERT_STAGES_STORAGE_KEY));
+        if (Array.isArray(saved)) {
+            const stages = normalizeAlertStages(saved);
+            if (stages.length > 0) {
+                return stages;
+            }
         }
+    } catch (err) {
+        console.warn('Could not load saved alert stages:', err);
+    }
+    return getDefaultAlertStages();
+}
 
-        navigator.geolocation.getCurrentPosition(
-            (position) => {
-                userLocation = {
-                    lat: position.coords.latitude,
-                    lng: position.coords.longitude,
-                    accuracy: position.coords.accuracy
-                };
-                
-                updateUserMarker();
-                resolve(userLocation);
-            },
-            (error) => {
-                let errorMessage = 'לא ניתן לאתר את המיקום';
-                switch (error.code) {
-                    case error.PERMISSION_DENIED:
-                        errorMessage = 'נדרשת הרשאה לגישה למיקום';
-                        break;
-                    case error.POSITION_UNAVAILABLE:
-                        errorMessage = 'מידע מיקום לא זמין';
-                        break;
-                    case error.TIMEOUT:
-                        errorMessage = 'בקשת מיקום פגה';
-                        break;
-                }
-                reject(new Error(errorMessage));
-            },
-            {
-                enableHighAccuracy: true,
-                timeout: 10000,
-                maximumAge: 0
-            }
-        );
+// The default stages, with messages in the current language
+function getDefaultAlertStages() {
+    return normalizeAlertStages(DEFAULT_ALERT_STAGES.map(({ messageKey, ...stage }) => ({
+        ...stage,
+        message: t(messageKey)
+    })));
+}
+
+// Whether the user kept the default stages, so their messages follow the language
+function hasCustomAlertStages() {
+    return localStorage.getItem(ALERT_STAGES_STORAGE_KEY) !== null;
+}
+
+// Drop invalid stages and sort them from the outermost ring inwards
+function normalizeAlertStages(stages) {
+    return stages
+        .filter(stage => stage && Number.isFinite(stage.distance) && stage.distance > 0)
+        .map(stage => ({
+            distance: stage.distance,
+            message: stage.message || t('stages.defaultMessage'),
+            sound: ALERT_SOUND_OPTIONS.some(option => option.value === stage.sound) ? stage.sound : 'default'
+        }))
+        .sort((a, b) => b.distance - a.distance);
+}
+
+// Persist alert stages and re-arm every stage
+function saveAlertStages(stages) {
+    const normalized = normalizeAlertStages(stages);
+    if (normalized.length === 0) {
+        showStatus(t('stages.minOne'), 'error');
+        return;
+    }
+
+    alertStages = normalized;
+    userAlertStages = null; // an edit makes the rings on screen the user's own
+    trackingEngine.setStages(alertStages);
+
+    try {
+        localStorage.setItem(ALERT_STAGES_STORAGE_KEY, JSON.stringify(alertStages));
+    } catch (err) {
+        console.warn('Could not save alert stages:', err);
+    }
+
+    if (selectedStation) {
+        drawAlertCircles();
+    }
+    updateAlertLegend();
+    updateSharePanel();
+}
+
+// Switch to alert rings at the given distances (km) for this trip only, keeping this device's
+// messages and sounds by position. The user's saved stages come back when the trip ends.
+function applyAlertRadii(radii) {
+    const stages = normalizeAlertStages(radii
+        .slice()
+        .sort((a, b) => b - a)
+        .map((distance, index) => ({
+            message: t('stages.defaultMessage'),
+            sound: 'default',
+            ...alertStages[index],
+            distance
+        })));
+
+    const isSameSetup = stages.length === alertStages.length &&
+        stages.every((stage, index) => Math.abs(stage.distance - alertStages[index].distance) < 0.001);
+    if (stages.length === 0 || isSameSetup) return;
+
+    if (!userAlertStages) {
+        userAlertStages = alertStages;
+    }
+    useAlertStages(stages);
+}
+
+// Bring back the user's own stages after a trip that used rings from a link or a schedule
+function restoreUserAlertStages() {
+    if (!userAlertStages) return;
+
+    const stages = userAlertStages;
+    userAlertStages = null;
+    useAlertStages(stages);
+}
+
+// Arm the given stages and redraw them, without saving them
+function useAlertStages(stages) {
+    alertStages = stages;
+    trackingEngine.setStages(alertStages);
+    if (selectedStation) {
+        drawAlertCircles();
+    }
+    renderAlertStages();
+    updateAlertLegend();
+    updateSharePanel();
+}
+
+// Get the ring color for a stage
+function getStageColor(index) {
+    return STAGE_COLORS[Math.min(index, STAGE_COLORS.length - 1)];
+}
+
+// Render the editable list of alert stages
+function renderAlertStages() {
+    const list = document.getElementById('alert-stages-list');
+    list.innerHTML = '';
+
+    alertStages.forEach((stage, index) => {
+        const row = document.createElement('div');
+        row.className = 'alert-stage-row';
+        row.style.borderColor = getStageColor(index);
+
+        const distanceInput = document.createElement('input');
+        distanceInput.type = 'number';
+        distanceInput.min = '50';
+        distanceInput.step = '50';
+        distanceInput.className = 'input-field stage-distance';
+        distanceInput.value = Math.round(stage.distance * 1000);
+        distanceInput.title = t('stages.distanceTitle');
+
+        const messageInput = document.createElement('input');
+        messageInput.type = 'text';
+        messageInput.className = 'input-field stage-message';
+        messageInput.value = stage.message;
+        messageInput.title = t('stages.messageTitle');
+
+        const soundSelect = document.createElement('select');
+        soundSelect.className = 'input-field stage-sound';
+        ALERT_SOUND_OPTIONS.forEach(option => {
+            const optionEl = document.createElement('option');
+            optionEl.value = option.value;
+            optionEl.textContent = translateLabel(option);
+            soundSelect.appendChild(optionEl);
+        });
+        soundSelect.value = stage.sound;
+
+        const removeBtn = document.createElement('button');
+        removeBtn.type = 'button';
+        removeBtn.className = 'stage-remove-btn';
+        removeBtn.textContent = '✕';
+        removeBtn.title = t('stages.remove');
+        removeBtn.setAttribute('aria-label', `${t('stages.remove')}: ${formatDistance(stage.distance)}`);
+        removeBtn.disabled = alertStages.length === 1;
+
+        const commit = () => {
+            const stages = alertStages.slice();
+            stages[index] = {
+                distance: parseFloat(distanceInput.value) / 1000,
+                message: messageInput.value.trim(),
+                sound: soundSelect.value
+            };
+            saveAlertStages(stages);
+            renderAlertStages();
+        };
+
+        distanceInput.addEventListener('change', commit);
+        messageInput.addEventListener('change', commit);
+        soundSelect.addEventListener('change', commit);
+        removeBtn.addEventListener('click', () => {
+            saveAlertStages(alertStages.filter((_, i) => i !== index));
+            renderAlertStages();
+        });
+
+        row.appendChild(distanceInput);
+        row.appendChild(messageInput);
+        row.appendChild(soundSelect);
+        row.appendChild(removeBtn);
+        list.appendChild(row);
+    });
+}
+
+// Add a new stage halfway inside the innermost one
+function addAlertStage() {
+    const innermost = alertStages[alertStages.length - 1];
+    const distance = innermost ? Math.max(innermost.distance / 2, 0.05) : 1;
+    saveAlertStages(alertStages.concat({ distance, message: t('stages.defaultMessage'), sound: 'default' }));
+    renderAlertStages();
+}
+
+// Update the map legend with the configured stage radii
+function updateAlertLegend() {
+    const legendText = document.getElementById('legend-alert-text');
+    const radii = alertStages.map(stage => formatDistance(stage.distance)).join(' / ');
+    legendText.textContent = t('legend.alertZonesRadii', { radii });
+}
+
+// Draw one ring per alert stage around the selected station
+function drawAlertCircles() {
+    alertCircles.forEach(circle => map.removeLayer(circle));
+
+    alertCircles = alertStages.map((stage, index) => L.circle([selectedStation.lat, selectedStation.lng], {
+        radius: stage.distance * 1000,
+        color: getStageColor(index),
+        fillColor: getStageColor(index),
+        fillOpacity: 0.08,
+        weight: 2,
+        dashArray: '10, 10'
+    }).bindTooltip(stage.message).addTo(map));
+}
+
+
+// Get user's current location
+function getUserLocation() {
+    if (!positionSource.isAvailable()) {
+        return Promise.reject(new Error(t(positionSource.name === 'gps' ? 'error.geolocationUnsupported' : 'error.loadTrackFirst')));
+    }
+    return trackingEngine.locate().catch(error => {
+        throw new Error(getPositionErrorMessage(error));
     });
 }
 
+// Translate a geolocation error into a user-facing message
+function getPositionErrorMessage(error) {
+    switch (error.code) {
+        case error.PERMISSION_DENIED:
+            return t('error.permissionDenied');
+        case error.POSITION_UNAVAILABLE:
+            return t('error.positionUnavailable');
+        case error.TIMEOUT:
+            return t('error.timeout');
+        default:
+            return t('error.unknownPosition');
+    }
+}
+
 // Update user marker on map
 function updateUserMarker() {
     if (!userLocation) return;
 
+    // Accuracy circle around the user
+    if (accuracyCircle) {
+        accuracyCircle.setLatLng([userLocation.lat, userLocation.lng]);
+        accuracyCircle.setRadius(userLocation.accuracy || 0);
+    } else {
+        accuracyCircle = L.circle([userLocation.lat, userLocation.lng], {
+            radius: userLocation.accuracy || 0,
+            color: '#3B82F6',
+            fillColor: '#3B82F6',
+            fillOpacity: 0.1,
+            weight: 1,
+            interactive: false
+        }).addTo(map);
+    }
+
     if (userMarker) {
         userMarker.setLatLng([userLocation.lat, userLocation.lng]);
     } else {
@@ -113,54 +417,66 @@ function updateUserMarker() {
                 iconSize: [32, 32],
                 iconAnchor: [16, 16]
             }),
-            title: 'המיקום שלך'
+            title: t('map.yourLocation'),
+            draggable: Boolean(positionSource.draggable)
         }).addTo(map);
 
+        // In manual simulation mode, dragging the marker is the position source
+        userMarker.on('dragend', () => {
+            if (positionSource.moveTo) {
+                const latLng = userMarker.getLatLng();
+                positionSource.moveTo(latLng.lat, latLng.lng);
+            }
+        });
+
         // Center map on user if no station selected
         if (!selectedStation) {
             map.setView([userLocation.lat, userLocation.lng], 14);
         }
     }
+
+    refreshNearbyStops();
 }
 
-// Enhanced search for bus stations using multiple strategies
-async function searchBusStation(query) {
+// Enhanced search for bus stations using multiple strategies.
+// `typeahead` searches are quiet and send only the plain query; `signal` cancels them.
+async function searchBusStation(query, { signal, typeahead = false } = {}) {
+    const report = typeahead ? () => {} : showStatus;
     try {
-        showStatus('מחפש תחנות...', 'info');
+        report(t('search.searching'), 'info');
+
+        // Prefer the offline GTFS database: real stops only, no network needed
+        if (await hasGtfsStops()) {
+            const localResults = rankSearchResults(await searchGtfsStops(query), query);
+            if (localResults.length === 0) {
+                report(t('search.noLocalResults'), 'warning');
+            } else {
+                report(t('search.foundStations', { count: localResults.length }), 'success');
+            }
+            return localResults;
+        }
         
         // Strategy 1: Direct search with "bus stop" or "bus station"
-        const searches = [
+        const searches = typeahead ? [query] : [
             `${query} bus stop`,
             `${query} תחנה`,
             `${query} תחנת אוטובוס`,
             query  // Original query as fallback
         ];
         
+        // All variants go through the shared geocoder queue, which handles rate limits and caching
+        const responses = await Promise.allSettled(searches.map(searchQuery => geocode(searchQuery, signal)));
+        if (signal && signal.aborted) {
+            throw new DOMException('Aborted', 'AbortError');
+        }
         let allResults = [];
-        
-        for (const searchQuery of searches) {
-            try {
-                const response = await fetch(
-                    `https://nominatim.openstreetmap.org/search?` +
-                    `format=json&` +
-                    `q=${encodeURIComponent(searchQuery)}&` +
-                    `limit=15&` +
-                    `countrycodes=il&` +
-                    `addressdetails=1&` +
-                    `bounded=0`
-                );
-
-                if (response.ok) {
-                    const results = await response.json();
-                    allResults = allResults.concat(results);
-                }
-                
-                // Small delay to respect API rate limits
-                await new Promise(resolve => setTimeout(resolve, 500));
-            } catch (err) {
-                console.warn(`Search failed for: ${searchQuery}`, err);
+        responses.forEach((response, index) => {
+            if (response.status === 'fulfilled') {
+                allResults = allResults.concat(response.value);
+            } else {
+                console.warn(`Search failed for: ${searches[index]}`, response.reason);
             }
-        }
+        });
         
         // Remove duplicates based on coordinates (within 50 meters)
         const uniqueResults = [];
@@ -180,96 +496,259 @@ async function searchBusStation(query) {
             }
         });
         
-        // Filter and prioritize results
-        const filteredResults = uniqueResults
-            .filter(result => {
-                const name = result.display_name.toLowerCase();
-                const type = (result.type || '').toLowerCase();
-                const category = (result.class || '').toLowerCase();
-                
-                // Prioritize bus stops, stations, and public transport
-                return (
-                    type.includes('bus_stop') ||
-                    type.includes('station') ||
-                    category.includes('highway') ||
-                    category.includes('public_transport') ||
-                    name.includes('תחנ') ||
-                    name.includes('bus') ||
-                    name.includes('station')
-                );
-            })
-            .slice(0, 10); // Limit to top 10
+        // Keep bus stops, stations and public transport, best matches first
+        const filteredResults = rankSearchResults(
+            uniqueResults.filter(result => getStopConfidence(result) > 0),
+            query
+        ).slice(0, 10); // Limit to top 10
         
         if (filteredResults.length === 0 && uniqueResults.length > 0) {
             // If no filtered results, show all unique results
-            showStatus(`נמצאו ${Math.min(uniqueResults.length, 10)} תוצאות`, 'success');
-            return uniqueResults.slice(0, 10);
+            const results = rankSearchResults(uniqueResults, query).slice(0, 10);
+            report(t('search.foundResults', { count: results.length }), 'success');
+            return results;
         }
         
         if (filteredResults.length === 0) {
-            showStatus('לא נמצאו תחנות. נסה שם אחר או הוסף "תחנה" לחיפוש', 'warning');
+            report(t('search.noResults'), 'warning');
             return [];
         }
 
-        showStatus(`נמצאו ${filteredResults.length} תחנות`, 'success');
+        report(t('search.foundStations', { count: filteredResults.length }), 'success');
         return filteredResults;
 
     } catch (error) {
+        if (error.name === 'AbortError') {
+            throw error; // a newer search replaced this one
+        }
         console.error('Search error:', error);
-        showStatus('שגיאה בחיפוש תחנות', 'error');
+        report(t('search.error'), 'error');
         return [];
     }
 }
 
-// Display search suggestions
-function displaySuggestions(results) {
-    const suggestionsList = document.getElementById('suggestions-list');
-    suggestionsList.innerHTML = '';
+// Read a saved station list from local storage
+function loadStationList(key) {
+    try {
+        const saved = JSON.parse(localStorage.getItem(key));
+        return Array.isArray(saved) ? saved : [];
+    } catch (err) {
+        console.warn(`Could not load ${key}:`, err);
+        return [];
+    }
+}
 
-    if (results.length === 0) {
-        suggestionsList.classList.remove('show');
-        return;
+// Write a station list to local storage
+function saveStationList(key, stations) {
+    try {
+        localStorage.setItem(key, JSON.stringify(stations));
+    } catch (err) {
+        console.warn(`Could not save ${key}:`, err);
     }
+}
 
-    results.forEach(result => {
-        const item = document.createElement('div');
-        item.className = 'suggestion-item';
-        
-        const name = document.createElement('div');
-        name.className = 'suggestion-name';
-        // Extract station name more intelligently
-        const displayParts = result.display_name.split(',');
-        const stationName = displayParts[0];
-        name.textContent = stationName;
-        
-        const address = document.createElement('div');
-        address.className = 'suggestion-address';
-        // Show city and area for context
-        address.textContent = displayParts.slice(1, 3).join(', ') || result.display_name;
-        
-        item.appendChild(name);
-        item.appendChild(address);
-        
-        item.addEventListener('click', () => {
-            selectStation(result);
-            suggestionsList.classList.remove('show');
+// Check whether two saved stations are the same place
+function isSameStation(a, b) {
+    return calculateDistance(a.lat, a.lng, b.lat, b.lng) < SAME_STATION_DISTANCE;
+}
+
+// Remember a selected station at the top of the recent list
+function addRecentStation(stop) {
+    const recent = loadStationList(RECENT_STATIONS_STORAGE_KEY).filter(s => !isSameStation(s, stop));
+    recent.unshift({ name: stop.name, address: stop.address, lat: stop.lat, lng: stop.lng, code: stop.code });
+    saveStationList(RECENT_STATIONS_STORAGE_KEY, recent.slice(0, MAX_RECENT_STATIONS));
+    renderQuickPicks();
+}
+
+// Find the favorite saved for a station, if any
+function findFavorite(stop) {
+    return loadStationList(FAVORITE_STATIONS_STORAGE_KEY).find(s => isSameStation(s, stop)) || null;
+}
+
+// Star or un-star the current station
+function toggleFavorite() {
+    if (!selectedStation) return;
+
+    const favorites = loadStationList(FAVORITE_STATIONS_STORAGE_KEY);
+    const existing = findFavorite(selectedStation);
+
+    if (existing) {
+        saveStationList(FAVORITE_STATIONS_STORAGE_KEY, favorites.filter(s => !isSameStation(s, existing)));
+        showStatus(t('favorites.removed'), 'info');
+    } else {
+        const nickname = prompt(t('favorites.nicknamePrompt'), selectedStation.name);
+        if (nickname === null) return;
+
+        favorites.push({
+            nickname: nickname.trim() || selectedStation.name,
+            name: selectedStation.name,
+            address: selectedStation.address,
+            lat: selectedStation.lat,
+            lng: selectedStation.lng,
+            code: selectedStation.code
         });
-        
-        suggestionsList.appendChild(item);
+        saveStationList(FAVORITE_STATIONS_STORAGE_KEY, favorites);
+        showStatus(t('favorites.added'), 'success');
+    }
+
+    updateFavoriteButton();
+    renderQuickPicks();
+}
+
+// Reflect the favorite state of the current station on the star button
+function updateFavoriteButton() {
+    const favoriteBtn = document.getElementById('favorite-btn');
+    const isFavorite = selectedStation && findFavorite(selectedStation);
+    favoriteBtn.textContent = t(isFavorite ? 'trip.inFavorites' : 'trip.addFavorite');
+    favoriteBtn.classList.toggle('active', Boolean(isFavorite));
+}
+
+// Render favorites and recent stations as quick-pick chips above the search box
+function renderQuickPicks() {
+    const container = document.getElementById('quick-picks');
+    const favorites = loadStationList(FAVORITE_STATIONS_STORAGE_KEY);
+    const recent = loadStationList(RECENT_STATIONS_STORAGE_KEY)
+        .filter(stop => !favorites.some(fav => isSameStation(fav, stop)));
+
+    container.innerHTML = '';
+    container.style.display = favorites.length + recent.length > 0 ? '' : 'none';
+
+    const addChip = (stop, label, key) => {
+        const chip = document.createElement('div');
+        chip.className = 'quick-pick-chip';
+        chip.title = stop.address;
+
+        const selectBtn = document.createElement('button');
+        selectBtn.type = 'button';
+        selectBtn.className = 'chip-select';
+        selectBtn.textContent = label;
+        selectBtn.addEventListener('click', () => quickSelectStation(stop));
+
+        const removeBtn = document.createElement('button');
+        removeBtn.type = 'button';
+        removeBtn.className = 'chip-remove';
+        removeBtn.textContent = '✕';
+        removeBtn.title = t('favorites.remove');
+        removeBtn.setAttribute('aria-label', `${t('favorites.remove')}: ${label}`);
+        removeBtn.addEventListener('click', () => {
+            saveStationList(key, loadStationList(key).filter(s => !isSameStation(s, stop)));
+            renderQuickPicks();
+            updateFavoriteButton();
+        });
+
+        chip.appendChild(selectBtn);
+        chip.appendChild(removeBtn);
+        container.appendChild(chip);
+    };
+
+    favorites.forEach(stop => addChip(stop, `⭐ ${stop.nickname}`, FAVORITE_STATIONS_STORAGE_KEY));
+    recent.forEach(stop => addChip(stop, `🕘 ${stop.name}`, RECENT_STATIONS_STORAGE_KEY));
+}
+
+// Select a saved station with one tap, optionally starting to track right away
+function quickSelectStation(stop) {
+    selectStation({
+        display_name: stop.address,
+        lat: stop.lat,
+        lon: stop.lng,
+        stop_code: stop.code
     });
 
-    suggestionsList.classList.add('show');
+    if (document.getElementById('quick-start-checkbox').checked && !isTracking) {
+        startTracking();
+    }
+}
+
+// Show how many stops the local GTFS database holds
+async function updateGtfsStatus() {
+    const statusEl = document.getElementById('gtfs-status');
+    let info = null;
+    try {
+        info = await getGtfsInfo();
+    } catch (err) {
+        console.warn('Could not read the local stop database:', err);
+    }
+
+    if (info) {
+        statusEl.textContent = t('gtfs.status', { count: info.count, date: formatDate(info.importedAt) });
+    } else {
+        statusEl.textContent = t('gtfs.statusEmpty');
+    }
+    document.getElementById('gtfs-clear-btn').disabled = !info;
+}
+
+// Run a GTFS import and report the result
+async function runGtfsImport(importFn) {
+    showStatus(t('gtfs.importing'), 'info');
+    try {
+        const count = await importFn();
+        showStatus(t('gtfs.imported', { count }), 'success');
+    } catch (error) {
+        console.error('GTFS import error:', error);
+        showStatus(error.message, 'error');
+    }
+    updateGtfsStatus();
 }
 
-// Select a station
+// Show which ringtone the "default" sound plays
+function updateRingtoneStatus(name) {
+    document.getElementById('ringtone-status').textContent = name
+        ? t('delivery.ringtoneCustom', { name })
+        : t('delivery.ringtoneDefault');
+    document.getElementById('ringtone-reset-btn').disabled = !name;
+}
+
+// Select a station: starts a new trip, or appends a leg when adding a stop
 function selectStation(station) {
-    selectedStation = {
+    const stop = {
         name: station.display_name.split(',')[0],
         address: station.display_name,
         lat: parseFloat(station.lat),
-        lng: parseFloat(station.lon)
+        lng: parseFloat(station.lon),
+        code: station.stop_code || ''
     };
 
+    addRecentStation(stop);
+
+    if (isAddingLeg && itinerary.length > 0) {
+        itinerary.push(stop);
+        isAddingLeg = false;
+        document.getElementById('add-leg-btn').classList.remove('active');
+        renderItinerary();
+        drawItinerary();
+        showStatus(t('trip.legAdded', { count: itinerary.length }), 'success');
+        return;
+    }
+
+    // A new trip goes back to the user's own rings
+    if (!isTracking) {
+        restoreUserAlertStages();
+    }
+    hideShareStartPrompt();
+    itinerary = [stop];
+    setCurrentLeg(0);
+
+    // Fit map to show both points if user location exists
+    if (userLocation) {
+        const bounds = L.latLngBounds(
+            [userLocation.lat, userLocation.lng],
+            [selectedStation.lat, selectedStation.lng]
+        );
+        map.fitBounds(bounds, { padding: [50, 50] });
+    } else {
+        map.setView([selectedStation.lat, selectedStation.lng], 14);
+    }
+
+    showStatus(t('trip.stationSelected'), 'success');
+}
+
+// Make the given itinerary stop the current tracking target
+function setCurrentLeg(index) {
+    currentLegIndex = index;
+    selectedStation = itinerary[index];
+    hasTimeAlerted = false;
+    clearWalkingRoute();
+
     // Update UI
     document.getElementById('station-name').textContent = selectedStation.name;
     document.getElementById('station-address').textContent = selectedStation.address;
@@ -287,82 +766,243 @@ function selectStation(station) {
                 iconSize: [32, 32],
                 iconAnchor: [16, 16]
             }),
-            title: 'תחנת אוטובוס'
+            title: t('map.busStop')
         }).addTo(map);
     }
 
-    // Add alert circle (1.5km radius)
-    if (alertCircle) {
-        map.removeLayer(alertCircle);
+    // Add one alert circle per stage
+    drawAlertCircles();
+
+    updateFavoriteButton();
+    setRealtimeStop(selectedStation.code);
+    renderItinerary();
+    drawItinerary();
+    updateSharePanel();
+    updateScheduleForm();
+
+    // While tracking, this measures the new target right away
+    trackingEngine.setTarget(selectedStation);
+}
+
+// Render the ordered list of trip stops in the selected station card
+function renderItinerary() {
+    const list = document.getElementById('itinerary-list');
+    list.innerHTML = '';
+    list.style.display = itinerary.length > 1 ? '' : 'none';
+
+    itinerary.forEach((stop, index) => {
+        const item = document.createElement('li');
+        item.className = 'itinerary-item';
+        if (index < currentLegIndex) item.classList.add('done');
+        if (index === currentLegIndex) item.classList.add('current');
+
+        const name = document.createElement('span');
+        name.textContent = stop.name;
+
+        const removeBtn = document.createElement('button');
+        removeBtn.type = 'button';
+        removeBtn.className = 'stage-remove-btn';
+        removeBtn.textContent = '✕';
+        removeBtn.title = t('trip.removeLeg');
+        removeBtn.setAttribute('aria-label', `${t('trip.removeLeg')}: ${stop.name}`);
+        removeBtn.addEventListener('click', () => removeLeg(index));
+
+        item.appendChild(name);
+        item.appendChild(removeBtn);
+        list.appendChild(item);
+    });
+}
+
+// Remove a stop from the trip, keeping the current target where possible
+function removeLeg(index) {
+    itinerary.splice(index, 1);
+
+    if (itinerary.length === 0) {
+        clearItinerary();
+        return;
     }
-    alertCircle = L.circle([selectedStation.lat, selectedStation.lng], {
-        radius: ALERT_DISTANCE * 1000,
-        color: '#F59E0B',
-        fillColor: '#FEF3C7',
-        fillOpacity: 0.2,
-        weight: 2,
-        dashArray: '10, 10'
-    }).addTo(map);
 
-    // Fit map to show both points if user location exists
-    if (userLocation) {
-        const bounds = L.latLngBounds(
-            [userLocation.lat, userLocation.lng],
-            [selectedStation.lat, selectedStation.lng]
-        );
-        map.fitBounds(bounds, { padding: [50, 50] });
+    if (index < currentLegIndex) {
+        currentLegIndex--;
+        renderItinerary();
+        drawItinerary();
+    } else if (index === currentLegIndex) {
+        setCurrentLeg(Math.min(index, itinerary.length - 1));
     } else {
-        map.setView([selectedStation.lat, selectedStation.lng], 14);
+        renderItinerary();
+        drawItinerary();
+    }
+}
+
+// Forget the whole trip
+function clearItinerary() {
+    if (isTracking) {
+        stopTracking();
     }
 
-    showStatus('תחנה נבחרה בהצלחה!', 'success');
+    itinerary = [];
+    currentLegIndex = 0;
+    selectedStation = null;
+    trackingEngine.setTarget(null);
+
+    if (stationMarker) {
+        map.removeLayer(stationMarker);
+        stationMarker = null;
+    }
+    if (routeLine) {
+        map.removeLayer(routeLine);
+        routeLine = null;
+    }
+    clearWalkingRoute();
+    alertCircles.forEach(circle => map.removeLayer(circle));
+    alertCircles = [];
+    itineraryLayer.clearLayers();
+
+    document.getElementById('selected-station').style.display = 'none';
+    document.getElementById('results-section').style.display = 'none';
+    updateScheduleForm();
 }
 
-// Calculate distance using Haversine formula
-function calculateDistance(lat1, lon1, lat2, lon2) {
-    const R = 6371; // Earth's radius in kilometers
-    const dLat = toRad(lat2 - lat1);
-    const dLon = toRad(lon2 - lon1);
-    
-    const a = 
-        Math.sin(dLat / 2) * Math.sin(dLat / 2) +
-        Math.cos(toRad(lat1)) * Math.cos(toRad(lat2)) *
-        Math.sin(dLon / 2) * Math.sin(dLon / 2);
-    
-    const c = 2 * Math.atan2(Math.sqrt(a), Math.sqrt(1 - a));
-    const distance = R * c;
-    
-    return distance;
+// Draw every leg of the trip: numbered stop markers joined by a line
+function drawItinerary() {
+    itineraryLayer.clearLayers();
+
+    if (itinerary.length < 2) {
+        return;
+    }
+
+    L.polyline(itinerary.map(stop => [stop.lat, stop.lng]), {
+        color: '#004E89',
+        weight: 3,
+        opacity: 0.6
+    }).addTo(itineraryLayer);
+
+    itinerary.forEach((stop, index) => {
+        if (index === currentLegIndex) return;
+
+        L.marker([stop.lat, stop.lng], {
+            icon: L.divIcon({
+                className: 'custom-marker',
+                html: `<div class="leg-marker ${index < currentLegIndex ? 'done' : ''}">${index + 1}</div>`,
+                iconSize: [26, 26],
+                iconAnchor: [13, 13]
+            }),
+            title: stop.name
+        }).addTo(itineraryLayer);
+    });
 }
 
-// Convert degrees to radians
-function toRad(degrees) {
-    return degrees * (Math.PI / 180);
+// Update the "leg N of M" indicator on the results card
+function updateLegProgress() {
+    const legProgress = document.getElementById('leg-progress');
+
+    if (itinerary.length > 1) {
+        legProgress.textContent = t('trip.legProgress', { current: currentLegIndex + 1, total: itinerary.length });
+        legProgress.style.display = 'block';
+    } else {
+        legProgress.style.display = 'none';
+    }
 }
 
-// Format distance for display
-function formatDistance(km) {
-    if (km < 1) {
-        return `${Math.round(km * 1000)} מטר`;
+// Advance to the next leg once the current stop is reached or passed
+function checkLegProgress(distance) {
+    const { closestDistance } = trackingEngine.getState();
+    const innermostStage = alertStages[alertStages.length - 1];
+    const reached = distance <= LEG_ARRIVAL_DISTANCE;
+    const passed = closestDistance <= innermostStage.distance &&
+        distance > closestDistance + LEG_PASSED_MARGIN;
+
+    if (!(reached || passed) || currentLegIndex >= itinerary.length - 1) {
+        return false;
     }
-    return `${km.toFixed(2)} ק"מ`;
+
+    const arrivedAt = selectedStation;
+    reportLiveShareEvent(reached ? 'arrived' : 'passed', { target: arrivedAt });
+    setCurrentLeg(currentLegIndex + 1);
+
+    const message = t('alert.transfer', {
+        stop: arrivedAt.name,
+        next: selectedStation.name,
+        progress: t('trip.legProgress', { current: currentLegIndex + 1, total: itinerary.length })
+    });
+    triggerAlert('transfer', message, { icon: '🔁' });
+    return true;
 }
 
 // Calculate walking time
 function calculateWalkingTime(km) {
-    const hours = km / 5;
-    const minutes = Math.round(hours * 60);
-    
+    return formatWalkingMinutes(km / 5 * 60);
+}
+
+// Describe a walk of the given minutes
+function formatWalkingMinutes(totalMinutes) {
+    const minutes = Math.round(totalMinutes);
+
     if (minutes < 1) {
-        return 'פחות מדקה';
-    } else if (minutes === 1) {
-        return 'כדקה';
+        return t('walk.lessThanMinute');
     } else if (minutes < 60) {
-        return `כ-${minutes} דקות הליכה`;
-    } else {
-        const hrs = Math.floor(minutes / 60);
-        const mins = minutes % 60;
-        return `כ-${hrs} שעות ו-${mins} דקות הליכה`;
+        return t('walk.minutes', { count: minutes });
+    }
+    return t('walk.long', { duration: formatDuration(minutes) });
+}
+
+// Estimate minutes until arrival at the current speed, or null when not moving
+function estimateArrivalMinutes(km) {
+    if (movement.speed === null || movement.speed < STATIONARY_MAX_SPEED) {
+        return null;
+    }
+    return km / movement.speed * 60;
+}
+
+// Format an ETA in minutes
+function formatArrivalTime(minutes) {
+    const rounded = Math.round(minutes);
+
+    if (rounded < 1) {
+        return t('eta.lessThanMinute');
+    } else if (rounded < 60) {
+        return t('eta.minutes', { count: rounded });
+    }
+    return t('eta.long', { duration: formatDuration(rounded) });
+}
+
+// Format the current speed and movement mode
+function formatMovement() {
+    const mode = MOVEMENT_MODES[movement.mode];
+    if (movement.speed === null) {
+        return `${mode.icon} ${translateLabel(mode)}`;
+    }
+    return `${mode.icon} ${translateLabel(mode)} · ${t('unit.kmh', { value: Math.round(movement.speed) })}`;
+}
+
+// Fire the time-based alert when the ETA drops below the configured minutes
+function checkTimeAlert(etaMinutes) {
+    if (timeAlertMinutes <= 0 || etaMinutes === null) {
+        return;
+    }
+
+    if (etaMinutes <= timeAlertMinutes && !hasTimeAlerted) {
+        hasTimeAlerted = true;
+        const message = t('alert.time', { count: Math.max(1, Math.round(etaMinutes)) });
+        triggerAlert('time', message, { icon: '⏱️' });
+    } else if (etaMinutes > timeAlertMinutes * 1.5) {
+        // Re-arm only once clearly outside the window, so speed jitter doesn't ring twice
+        hasTimeAlerted = false;
+    }
+}
+
+// Fill a select with one option per settings table entry, keeping the current choice
+function fillSelectOptions(select, table) {
+    const value = select.value;
+    select.innerHTML = '';
+    Object.entries(table).forEach(([name, entry]) => {
+        const option = document.createElement('option');
+        option.value = name;
+        option.textContent = translateLabel(entry);
+        select.appendChild(option);
+    });
+    if (value) {
+        select.value = value;
     }
 }
 
@@ -371,30 +1011,42 @@ function showStatus(message, type = 'info') {
     const statusEl = document.getElementById('status-message');
     statusEl.textContent = message;
     statusEl.className = `status-message ${type} show`;
-    
-    setTimeout(() => {
+    announce(message, { assertive: type === 'warning' || type === 'error' });
+
+    // A newer message gets its full time on screen
+    clearTimeout(statusTimeout);
+    statusTimeout = setTimeout(() => {
         statusEl.classList.remove('show');
-    }, 3000);
+    }, getStatusDuration());
 }
 
-// Draw route line
-function drawRouteLine() {
+// Draw route line: the walking route when there is one, otherwise a dashed straight line
+function drawRouteLine(route) {
     if (!userLocation || !selectedStation) return;
 
     if (routeLine) {
         map.removeLayer(routeLine);
     }
 
-    routeLine = L.polyline(
-        [[userLocation.lat, userLocation.lng], [selectedStation.lat, selectedStation.lng]],
-        {
-            color: '#FF6B35',
-            weight: 4,
-            opacity: 0.7,
-            dashArray: '10, 10',
-            lineJoin: 'round'
-        }
-    ).addTo(map);
+    const points = route
+        ? [[userLocation.lat, userLocation.lng], ...route.points]
+        : [[userLocation.lat, userLocation.lng], [selectedStation.lat, selectedStation.lng]];
+
+    routeLine = L.polyline(points, {
+        color: '#FF6B35',
+        weight: 4,
+        opacity: route ? 0.85 : 0.7,
+        dashArray: route ? null : '10, 10',
+        lineJoin: 'round'
+    }).addTo(map);
+}
+
+// Describe the walking route ahead: its length and walking time
+function formatRouteSummary(route) {
+    return t('routing.summary', {
+        distance: formatDistance(route.distance),
+        time: formatWalkingMinutes(route.duration)
+    });
 }
 
 // Update distance display
@@ -408,39 +1060,151 @@ function updateDistanceDisplay(distance) {
     const resultCard = document.getElementById('result-card');
     const alertZone = document.getElementById('alert-zone');
 
+    const etaMinutes = estimateArrivalMinutes(distance);
+    const route = getWalkingRouteAhead(userLocation, selectedStation);
+
     distanceValue.textContent = formatDistance(distance);
-    walkingTime.textContent = calculateWalkingTime(distance);
-    userLocationEl.textContent = `${userLocation.lat.toFixed(6)}, ${userLocation.lng.toFixed(6)}`;
+    if (etaMinutes !== null) {
+        walkingTime.textContent = formatArrivalTime(etaMinutes);
+    } else {
+        walkingTime.textContent = route ? formatRouteSummary(route) : calculateWalkingTime(distance);
+    }
+    document.getElementById('movement-info').textContent = formatMovement();
+    userLocationEl.textContent = `${userLocation.lat.toFixed(6)}, ${userLocation.lng.toFixed(6)}` +
+        (Number.isFinite(userLocation.accuracy) ? ` (${t('unit.accuracy', { value: Math.round(userLocation.accuracy) })})` : '');
     stationLocationEl.textContent = `${selectedStation.lat.toFixed(6)}, ${selectedStation.lng.toFixed(6)}`;
-    lastUpdateEl.textContent = new Date().toLocaleTimeString('he-IL');
+    lastUpdateEl.textContent = formatTime(Date.now());
 
     resultsSection.style.display = 'block';
+    updateLegProgress();
 
-    // Check if in alert zone
-    if (distance <= ALERT_DISTANCE) {
+    // Highlight the alert zone we are in
+    const stageIndex = trackingEngine.getState().activeStageIndex;
+    if (stageIndex !== -1) {
         resultCard.classList.add('alert-active');
         alertZone.style.display = 'block';
-        
-        // Play alert sound only once when entering zone
-        if (!hasAlerted) {
-            playAlertSound();
-            hasAlerted = true;
-            showStatus('⚠️ הגעת לאזור ההתראה! קרוב לתחנה!', 'warning');
-            
-            // Also trigger browser notification if permitted
-            showBrowserNotification();
-        }
+        document.getElementById('alert-stage-message').textContent = alertStages[stageIndex].message;
     } else {
         resultCard.classList.remove('alert-active');
         alertZone.style.display = 'none';
-        hasAlerted = false; // Reset for next time
     }
 
-    drawRouteLine();
+    updateBearingIndicator(trackingEngine.getState().bearing);
+    drawRouteLine(route);
+}
+
+// Point the arrow on the results card at the station (north up, like the map),
+// and say whether it lies ahead of or behind the direction of travel
+function updateBearingIndicator(bearing) {
+    const indicator = document.getElementById('bearing-indicator');
+    if (bearing === null) {
+        indicator.style.display = 'none';
+        return;
+    }
+
+    indicator.style.display = '';
+    document.getElementById('bearing-arrow').style.transform = `rotate(${Math.round(bearing)}deg)`;
+
+    const parts = [t(`compass.${COMPASS_POINTS[Math.round(bearing / 45) % 8]}`)];
+    if (movement.heading !== null && movement.mode !== 'stationary') {
+        const offset = (bearing - movement.heading + 360) % 360;
+        const side = offset <= 45 || offset >= 315 ? 'ahead'
+            : offset >= 135 && offset <= 225 ? 'behind'
+            : offset < 180 ? 'right' : 'left';
+        parts.push(t(`bearing.${side}`));
+    }
+    document.getElementById('bearing-label').textContent = parts.join(' · ');
+}
+
+// Switch the position source used by tracking
+function setPositionSource(name) {
+    if (isTracking) {
+        stopTracking();
+    }
+
+    positionSource = positionSources[name];
+    trackingEngine.setSource(positionSource);
+
+    if (userMarker) {
+        if (positionSource.draggable) {
+            userMarker.dragging.enable();
+        } else {
+            userMarker.dragging.disable();
+        }
+    }
+
+    document.getElementById('simulation-banner').style.display = name === 'gps' ? 'none' : 'block';
+    document.getElementById('replay-controls').style.display = name === 'replay' ? '' : 'none';
+
+    if (name === 'manual') {
+        // Make sure there is a marker to drag
+        getUserLocation().then(() => {
+            userMarker.dragging.enable();
+            showStatus(t('sim.dragHint'), 'info');
+        });
+    }
+}
+
+// Load a GPX/GeoJSON file into the replay source
+async function loadReplayFile(file) {
+    try {
+        const points = parseTrackFile(await file.text());
+        positionSources.replay.loadTrack(points);
+
+        const minutes = Math.round((points[points.length - 1].t - points[0].t) / 60000);
+        const replayStatus = document.getElementById('replay-status');
+        delete replayStatus.dataset.i18n; // now shows the loaded track, not the static placeholder
+        replayStatus.textContent = t('sim.trackInfo', {
+            file: file.name,
+            count: points.length,
+            duration: t('time.minutesShort', { count: minutes })
+        });
+        showStatus(t('sim.trackLoaded'), 'success');
+
+        // Show where the track goes
+        const bounds = L.latLngBounds(points.map(p => [p.lat, p.lng]));
+        map.fitBounds(bounds, { padding: [50, 50] });
+    } catch (error) {
+        console.error('Track load error:', error);
+        showStatus(error.message || t('sim.trackError'), 'error');
+    }
+}
+
+// Ring, show and notify an alert, and log it on the trip recording
+function triggerAlert(type, message, options = {}) {
+    startAlertEscalation({
+        message,
+        stage: options.stage,
+        spoken: options.spoken || message,
+        notificationBody: options.notificationBody || message
+    });
+    showStatus(`${options.icon || '⚠️'} ${message}`, 'warning');
+
+    // Also trigger browser notification if permitted
+    showBrowserNotification(options.notificationBody || message);
+
+    recordTripAlert(type, message, userLocation, getCurrentDistance());
+}
+
+// Distance from the user to the current target, or null when unknown
+function getCurrentDistance() {
+    if (!userLocation || !selectedStation) return null;
+    return calculateDistance(userLocation.lat, userLocation.lng, selectedStation.lat, selectedStation.lng);
 }
 
-// Play alert sound
-function playAlertSound() {
+// Play the sound configured for an alert stage, at a volume from 0 to 1
+function playAlertSound(stage, volume = 1) {
+    const sound = stage ? stage.sound : 'default';
+
+    if (sound === 'none') {
+        return;
+    }
+
+    if (sound === 'beep' || sound === 'urgent') {
+        playTone(sound === 'urgent' ? 3 : 1, volume);
+        return;
+    }
+
     if (!alertSound) {
         console.warn('Alert sound not initialized');
         return;
@@ -448,6 +1212,7 @@ function playAlertSound() {
     
     // Reset to start and play
     alertSound.currentTime = 0;
+    alertSound.volume = volume;
     
     // Try to play with error handling
     const playPromise = alertSound.play();
@@ -460,22 +1225,103 @@ function playAlertSound() {
             .catch(error => {
                 console.warn('Could not play alert sound:', error);
                 // Show visual alert if sound fails
-                showStatus('🔔 התראה: הגעת לתחנה!', 'warning');
+                showStatus(t('notify.visualFallback'), 'warning');
             });
     }
 }
 
-// Show browser notification
-function showBrowserNotification() {
-    if ('Notification' in window && Notification.permission === 'granted') {
-        new Notification('התראת קרבה לתחנה', {
-            body: `אתה במרחק של פחות מ-${ALERT_DISTANCE} ק"מ מהתחנה!`,
-            icon: 'data:image/svg+xml,<svg xmlns="http://www.w3.org/2000/svg" viewBox="0 0 100 100"><text y="75" font-size="75">🔔</text></svg>',
-            vibrate: [200, 100, 200]
+// Play a synthesized beep sequence through the Web Audio API
+function playTone(beeps, volume = 1) {
+    if (!audioContext) {
+        console.warn('Audio context not initialized');
+        showStatus(t('notify.visualFallback'), 'warning');
+        return;
+    }
+
+    const start = audioContext.currentTime;
+    for (let i = 0; i < beeps; i++) {
+        const oscillator = audioContext.createOscillator();
+        const gain = audioContext.createGain();
+        const beepStart = start + i * 0.3;
+
+        oscillator.type = 'square';
+        oscillator.frequency.value = beeps > 1 ? 1200 : 880;
+        gain.gain.setValueAtTime(0.3 * volume, beepStart);
+        gain.gain.exponentialRampToValueAtTime(0.001, beepStart + 0.25);
+
+        oscillator.connect(gain);
+        gain.connect(audioContext.destination);
+        oscillator.start(beepStart);
+        oscillator.stop(beepStart + 0.25);
+    }
+}
+
+// Show browser notification, through the service worker when available so it
+// keeps working (with Dismiss/Snooze actions) while the page is in the background
+function showBrowserNotification(body) {
+    if (!('Notification' in window) || Notification.permission !== 'granted') {
+        return;
+    }
+
+    const options = {
+        body,
+        icon: 'icons/icon.svg',
+        badge: 'icons/icon.svg',
+        vibrate: getVibrationPattern(),
+        tag: 'bus-stop-alert',
+        renotify: true,
+        requireInteraction: true,
+        actions: [
+            { action: 'dismiss', title: t('notify.dismiss') },
+            { action: 'snooze', title: t('notify.snooze', { count: SNOOZE_MINUTES }) }
+        ]
+    };
+
+    if (swRegistration) {
+        swRegistration.showNotification(t('notify.title'), options).catch(err => {
+            console.warn('Service worker notification failed:', err);
         });
+    } else {
+        // Actions are only supported on service worker notifications
+        delete options.actions;
+        new Notification(t('notify.title'), options);
     }
 }
 
+// Register the service worker (offline app shell + background notifications)
+function registerServiceWorker() {
+    if (!('serviceWorker' in navigator)) {
+        return;
+    }
+
+    navigator.serviceWorker.register('sw.js')
+        .then(registration => {
+            swRegistration = registration;
+        })
+        .catch(err => {
+            console.warn('Service worker registration failed:', err);
+        });
+
+    // "Snooze" pressed on a notification: alert again after a while
+    navigator.serviceWorker.addEventListener('message', (event) => {
+        if (event.data && event.data.type === 'snooze') {
+            snoozeAlert(event.data.body);
+        }
+    });
+}
+
+// Repeat an alert after the snooze delay, if still tracking
+function snoozeAlert(body) {
+    stopAlertEscalation();
+    clearTimeout(snoozeTimeout);
+    showStatus(t('notify.snoozed', { count: SNOOZE_MINUTES }), 'info');
+
+    snoozeTimeout = setTimeout(() => {
+        if (!isTracking) return;
+        triggerAlert('snooze', body);
+    }, SNOOZE_MINUTES * 60 * 1000);
+}
+
 // Request notification permission
 function requestNotificationPermission() {
     if ('Notification' in window && Notification.permission === 'default') {
@@ -489,6 +1335,15 @@ function requestNotificationPermission() {
 
 
 function armAlertSound() {
+    // Tones need an audio context created or resumed inside a user gesture
+    const AudioContextClass = window.AudioContext || window.webkitAudioContext;
+    if (!audioContext && AudioContextClass) {
+        audioContext = new AudioContextClass();
+    }
+    if (audioContext && audioContext.state === 'suspended') {
+        audioContext.resume();
+    }
+
     if (!alertSound) return;
 
     alertSound.volume = 0;       // שקט
@@ -506,10 +1361,76 @@ function armAlertSound() {
         });
 }
 
+// Connect the page to the tracking engine: the marker, the distance card, the alerts
+// and the trip log are all just subscribers to its events
+function initTrackingEngine() {
+    trackingEngine.on('position', (fix) => {
+        userLocation = fix.location;
+        movement = fix.movement;
+        updateUserMarker();
+    });
+    trackingEngine.on('distance', ({ distance }) => {
+        updateDistanceDisplay(distance);
+        checkTimeAlert(estimateArrivalMinutes(distance));
+        recordTripPosition(userLocation, distance, selectedStation.name);
+
+        // Moving on to the next leg sets a new target, which the engine measures right away
+        checkLegProgress(distance);
+    });
+    trackingEngine.on('enterZone', ({ stage, distance }) => {
+        reportLiveShareEvent('zone', { detail: { message: stage.message, radius: stage.distance } });
+        triggerAlert('stage', stage.message, {
+            stage,
+            spoken: buildStopAnnouncement(selectedStation.name, distance),
+            notificationBody: t('notify.stageBody', { message: stage.message, distance: formatDistance(stage.distance) })
+        });
+    });
+    trackingEngine.on('movingAway', () => {
+        triggerAlert('movingAway', t('alert.movingAway', { name: selectedStation.name }), {
+            icon: '↩️',
+            stage: { sound: 'beep' }
+        });
+    });
+    trackingEngine.on('missedStop', () => {
+        // Passing a transfer stop moves on to the next leg instead (see checkLegProgress)
+        if (currentLegIndex < itinerary.length - 1) return;
+
+        reportLiveShareEvent('passed');
+        triggerAlert('missedStop', t('alert.missedStop', { name: selectedStation.name }), {
+            icon: '🚨',
+            stage: { sound: 'urgent' }
+        });
+    });
+    // The tracking card shows the current sampling mode and interval
+    trackingEngine.on('tier', updateTrackingDetail);
+    trackingEngine.on('error', ({ error }) => {
+        console.error('Tracking update error:', error);
+        showStatus(getPositionErrorMessage(error), 'error');
+    });
+}
+
+// Describe how the position is tracked: GPS mode and update interval, or the simulated source
+function updateTrackingDetail() {
+    const { tier } = trackingEngine.getState();
+    document.getElementById('tracking-detail').textContent = positionSource.name === 'gps'
+        ? t('tracking.detail', {
+            mode: t(tier.highAccuracy ? 'tracking.gpsPrecise' : 'tracking.gpsSaver'),
+            count: Math.round(tier.interval / 1000)
+        })
+        : t('tracking.simulation', { source: translateLabel(positionSource) });
+}
+
+// Keep keyboard focus when the focused button is swapped for its counterpart
+function moveFocusFromHidden(hiddenId, shownId) {
+    if (document.activeElement === document.getElementById(hiddenId)) {
+        document.getElementById(shownId).focus();
+    }
+}
+
 // Start tracking
 async function startTracking() {
     if (!selectedStation) {
-        showStatus('בחר תחנה תחילה', 'error');
+        showStatus(t('trip.selectFirst'), 'error');
         return;
     }
 
@@ -525,18 +1446,22 @@ async function startTracking() {
         await getUserLocation();
         
         isTracking = true;
+        hideShareStartPrompt();
         document.getElementById('start-tracking-btn').style.display = 'none';
         document.getElementById('stop-tracking-btn').style.display = 'block';
         document.getElementById('tracking-section').style.display = 'block';
+        moveFocusFromHidden('start-tracking-btn', 'stop-tracking-btn');
+        resetTrackingAnnouncements();
 
-        // Initial calculation
-        const distance = calculateDistance(
-            userLocation.lat,
-            userLocation.lng,
-            selectedStation.lat,
-            selectedStation.lng
-        );
-        updateDistanceDisplay(distance);
+        // Record this session for the history log
+        stopReplay();
+        startTripRecording(itinerary.slice(currentLegIndex));
+
+        // Start continuous tracking, adapted to how far away the stop is.
+        // The engine measures the first distance right away.
+        await trackingEngine.start();
+        startTrackingWatchdog();
+        startLiveShare();
 
         // Fit map to show both points
         const bounds = L.latLngBounds(
@@ -545,25 +1470,10 @@ async function startTracking() {
         );
         map.fitBounds(bounds, { padding: [50, 50] });
 
-        // Start continuous tracking
-        trackingInterval = setInterval(async () => {
-            try {
-                await getUserLocation();
-                
-                const distance = calculateDistance(
-                    userLocation.lat,
-                    userLocation.lng,
-                    selectedStation.lat,
-                    selectedStation.lng
-                );
-                
-                updateDistanceDisplay(distance);
-            } catch (error) {
-                console.error('Tracking update error:', error);
-            }
-        }, TRACKING_INTERVAL);
+        // Real-time arrivals at the target stop
+        startRealtimePolling();
 
-        showStatus('מעקב החל בהצלחה!', 'success');
+        showStatus(t('tracking.started'), 'success');
 
     } catch (error) {
         showStatus(error.message, 'error');
@@ -572,68 +1482,346 @@ async function startTracking() {
 
 // Stop tracking
 function stopTracking() {
-    if (trackingInterval) {
-        clearInterval(trackingInterval);
-        trackingInterval = null;
-    }
+    trackingEngine.stop();
+    stopTrackingWatchdog();
+    stopRealtimePolling();
+    stopAlertEscalation();
+    stopLiveShare();
+    restoreUserAlertStages();
 
     isTracking = false;
-    hasAlerted = false;
+    clearTimeout(snoozeTimeout);
+    hasTimeAlerted = false;
+    movement = createMovement();
+    finishTripRecording().then(renderTripHistory);
     document.getElementById('start-tracking-btn').style.display = 'block';
     document.getElementById('stop-tracking-btn').style.display = 'none';
     document.getElementById('tracking-section').style.display = 'none';
+    moveFocusFromHidden('stop-tracking-btn', 'start-tracking-btn');
 
-    showStatus('מעקב הופסק', 'info');
+    showStatus(t('tracking.stopped'), 'info');
 }
 
 // Event listeners
 document.addEventListener('DOMContentLoaded', () => {
+    // Language
+    applyTranslations();
+    const languageSelect = document.getElementById('language-select');
+    Object.entries(LANGUAGES).forEach(([code, language]) => {
+        const option = document.createElement('option');
+        option.value = code;
+        option.textContent = language.label;
+        languageSelect.appendChild(option);
+    });
+    languageSelect.value = currentLanguage;
+    languageSelect.addEventListener('change', () => setLanguage(languageSelect.value));
+
     // Initialize map
     initMap();
+    initTrackingEngine();
+    initMapPicking();
     
     // Initialize alert sound
     initAlertSound();
+    loadCustomRingtone().then(updateRingtoneStatus);
+
+    // Offline support and background notifications
+    registerServiceWorker();
+
+    // Alert stage settings
+    renderAlertStages();
+    updateAlertLegend();
+    document.getElementById('add-stage-btn').addEventListener('click', addAlertStage);
+    const timeAlertInput = document.getElementById('time-alert-input');
+    timeAlertInput.value = timeAlertMinutes;
+    timeAlertInput.addEventListener('change', () => {
+        timeAlertMinutes = Math.max(0, parseFloat(timeAlertInput.value) || 0);
+        timeAlertInput.value = timeAlertMinutes;
+        hasTimeAlerted = false;
+        localStorage.setItem(TIME_ALERT_STORAGE_KEY, String(timeAlertMinutes));
+    });
+    document.getElementById('reset-stages-btn').addEventListener('click', () => {
+        saveAlertStages(getDefaultAlertStages());
+        localStorage.removeItem(ALERT_STAGES_STORAGE_KEY);
+        renderAlertStages();
+    });
+
+    // Local GTFS stop database
+    updateGtfsStatus();
+    document.getElementById('gtfs-file-input').addEventListener('change', (e) => {
+        const file = e.target.files[0];
+        if (file) {
+            runGtfsImport(async () => importGtfsStops(await file.text(), file.name));
+        }
+        e.target.value = '';
+    });
+    document.getElementById('gtfs-bundled-btn').addEventListener('click', () => {
+        runGtfsImport(importBundledGtfsStops);
+    });
+    document.getElementById('gtfs-clear-btn').addEventListener('click', async () => {
+        try {
+            await clearGtfsStops();
+            showStatus(t('gtfs.cleared'), 'info');
+        } catch (error) {
+            console.error('GTFS clear error:', error);
+            showStatus(t('gtfs.clearError'), 'error');
+        }
+        updateGtfsStatus();
+    });
 
     // Try to get user location on load
     getUserLocation().catch(err => {
         console.log('Could not get initial location:', err.message);
     });
 
-    // Search button
-    const searchBtn = document.getElementById('search-btn');
-    const stationInput = document.getElementById('station-input');
+    // Station search with as-you-type suggestions
+    initTypeahead();
+
+    // Tracking policy
+    const trackingPolicySelect = document.getElementById('tracking-policy-select');
+    fillSelectOptions(trackingPolicySelect, TRACKING_POLICIES);
+    trackingPolicySelect.value = trackingPolicyName;
+    trackingPolicySelect.addEventListener('change', () => {
+        trackingPolicyName = trackingPolicySelect.value;
+        localStorage.setItem(TRACKING_POLICY_STORAGE_KEY, trackingPolicyName);
+
+        // Applies right away when tracking
+        trackingEngine.setPolicy(TRACKING_POLICIES[trackingPolicyName]);
+    });
 
-    searchBtn.addEventListener('click', async () => {
-        const query = stationInput.value.trim();
-        if (!query) {
-            showStatus('הזן שם תחנה', 'error');
-            return;
+    // Position source (real GPS or simulation)
+    const positionSourceSelect = document.getElementById('position-source-select');
+    fillSelectOptions(positionSourceSelect, positionSources);
+    positionSourceSelect.addEventListener('change', () => setPositionSource(positionSourceSelect.value));
+    document.getElementById('replay-file-input').addEventListener('change', (e) => {
+        const file = e.target.files[0];
+        if (file) {
+            loadReplayFile(file);
         }
+        e.target.value = '';
+    });
+    const replaySpeedSelect = document.getElementById('replay-speed-select');
+    positionSources.replay.setSpeed(parseFloat(replaySpeedSelect.value));
+    replaySpeedSelect.addEventListener('change', () => {
+        positionSources.replay.setSpeed(parseFloat(replaySpeedSelect.value));
+    });
+    document.getElementById('replay-restart-btn').addEventListener('click', () => positionSources.replay.restart());
+    positionSources.replay.onProgress((elapsed, total) => {
+        const percent = total > 0 ? Math.round(elapsed / total * 100) : 100;
+        document.getElementById('replay-status').textContent = percent >= 100
+            ? t('sim.replayFinished')
+            : t('sim.replayProgress', { percent });
+    });
 
-        searchBtn.classList.add('loading');
-        searchBtn.disabled = true;
+    // Geocoder provider
+    const geocoderSelect = document.getElementById('geocoder-select');
+    const geocoderUrlInput = document.getElementById('geocoder-url-input');
+    const geocoderApiSelect = document.getElementById('geocoder-api-select');
+    fillSelectOptions(geocoderSelect, GEOCODER_PROVIDERS);
+    const updateGeocoderFields = () => {
+        document.getElementById('custom-geocoder-fields').style.display = geocoderSettings.provider === 'custom' ? '' : 'none';
+    };
+    geocoderSelect.value = geocoderSettings.provider;
+    geocoderUrlInput.value = geocoderSettings.customUrl;
+    geocoderApiSelect.value = geocoderSettings.customApi;
+    updateGeocoderFields();
+    geocoderSelect.addEventListener('change', () => {
+        saveGeocoderSettings({ provider: geocoderSelect.value });
+        updateGeocoderFields();
+    });
+    geocoderUrlInput.addEventListener('change', () => {
+        saveGeocoderSettings({ customUrl: geocoderUrlInput.value.trim() });
+    });
+    geocoderApiSelect.addEventListener('change', () => {
+        saveGeocoderSettings({ customApi: geocoderApiSelect.value });
+    });
+    const overpassUrlInput = document.getElementById('overpass-url-input');
+    overpassUrlInput.value = overpassUrl;
+    overpassUrlInput.addEventListener('change', () => {
+        saveOverpassUrl(overpassUrlInput.value.trim());
+        overpassUrlInput.value = overpassUrl;
+    });
+    document.getElementById('clear-geocode-cache-btn').addEventListener('click', () => {
+        clearGeocodeCache();
+        showStatus(t('geocoder.cacheCleared'), 'info');
+    });
 
-        const results = await searchBusStation(query);
-        displaySuggestions(results);
+    // Stops near me
+    const nearbyBtn = document.getElementById('nearby-stops-btn');
+    nearbyBtn.addEventListener('click', async () => {
+        nearbyBtn.disabled = true;
+        try {
+            nearbyBtn.classList.toggle('active', await toggleNearbyStops());
+        } catch (error) {
+            showStatus(error.message, 'error');
+        } finally {
+            nearbyBtn.disabled = false;
+        }
+    });
 
-        searchBtn.classList.remove('loading');
-        searchBtn.disabled = false;
+    // Walking route provider
+    const routingSelect = document.getElementById('routing-select');
+    const routingUrlInput = document.getElementById('routing-url-input');
+    const routingApiSelect = document.getElementById('routing-api-select');
+    fillSelectOptions(routingSelect, ROUTING_PROVIDERS);
+    const updateRoutingFields = () => {
+        document.getElementById('custom-routing-fields').style.display = routingSettings.provider === 'custom' ? '' : 'none';
+    };
+    // Redraw with the new provider (or the straight line) without waiting for the next fix
+    const refreshRouteDisplay = () => {
+        if (document.getElementById('results-section').style.display === 'block' && userLocation && selectedStation) {
+            updateDistanceDisplay(getCurrentDistance());
+        }
+    };
+    routingSelect.value = routingSettings.provider;
+    routingUrlInput.value = routingSettings.customUrl;
+    routingApiSelect.value = routingSettings.customApi;
+    updateRoutingFields();
+    routingSelect.addEventListener('change', () => {
+        saveRoutingSettings({ provider: routingSelect.value });
+        updateRoutingFields();
+        refreshRouteDisplay();
+    });
+    routingUrlInput.addEventListener('change', () => {
+        saveRoutingSettings({ customUrl: routingUrlInput.value.trim() });
+        refreshRouteDisplay();
+    });
+    routingApiSelect.addEventListener('change', () => {
+        saveRoutingSettings({ customApi: routingApiSelect.value });
+        refreshRouteDisplay();
     });
 
-    // Enter key in search input
-    stationInput.addEventListener('keypress', async (e) => {
-        if (e.key === 'Enter') {
-            searchBtn.click();
+    // Real-time arrivals
+    const realtimeEnabledCheckbox = document.getElementById('realtime-enabled-checkbox');
+    const realtimeFields = {
+        urlTemplate: document.getElementById('realtime-url-input'),
+        refreshSeconds: document.getElementById('realtime-refresh-input'),
+        line: document.getElementById('realtime-line-input'),
+        alertMinutes: document.getElementById('realtime-minutes-input')
+    };
+    realtimeEnabledCheckbox.checked = realtimeSettings.enabled;
+    Object.entries(realtimeFields).forEach(([key, input]) => {
+        input.value = realtimeSettings[key];
+        input.addEventListener('change', () => {
+            const value = input.type === 'number' ? Math.max(0, parseFloat(input.value) || 0) : input.value.trim();
+            saveRealtimeSettings({ [key]: value });
+            realtimeAlertedJourneys.clear();
+            if (realtimeTimer) startRealtimePolling();
+        });
+    });
+    realtimeEnabledCheckbox.addEventListener('change', () => {
+        saveRealtimeSettings({ enabled: realtimeEnabledCheckbox.checked });
+        if (isTracking && realtimeSettings.enabled) {
+            startRealtimePolling();
+        } else {
+            stopRealtimePolling();
+            refreshRealtime();
         }
     });
+    document.getElementById('realtime-stop-input').addEventListener('change', (e) => {
+        if (selectedStation) {
+            selectedStation.code = e.target.value.trim();
+        }
+        setRealtimeStop(e.target.value);
+    });
 
-    // Hide suggestions when clicking outside
-    document.addEventListener('click', (e) => {
-        const suggestionsList = document.getElementById('suggestions-list');
-        if (!e.target.closest('.input-group')) {
-            suggestionsList.classList.remove('show');
+    // Alert delivery: repeating, vibration, speech and ringtone
+    const repeatCheckbox = document.getElementById('escalation-repeat-checkbox');
+    const repeatInput = document.getElementById('escalation-interval-input');
+    const vibrationSelect = document.getElementById('vibration-select');
+    const customVibrationInput = document.getElementById('custom-vibration-input');
+    const speechCheckbox = document.getElementById('speech-checkbox');
+    fillSelectOptions(vibrationSelect, VIBRATION_PATTERNS);
+    const updateVibrationFields = () => {
+        customVibrationInput.style.display = escalationSettings.vibration === 'custom' ? '' : 'none';
+    };
+    repeatCheckbox.checked = escalationSettings.repeat;
+    repeatInput.value = escalationSettings.repeatSeconds;
+    vibrationSelect.value = escalationSettings.vibration;
+    customVibrationInput.value = escalationSettings.customVibration;
+    speechCheckbox.checked = escalationSettings.speech;
+    updateVibrationFields();
+    repeatCheckbox.addEventListener('change', () => {
+        saveEscalationSettings({ repeat: repeatCheckbox.checked });
+    });
+    repeatInput.addEventListener('change', () => {
+        saveEscalationSettings({ repeatSeconds: Math.max(5, parseFloat(repeatInput.value) || DEFAULT_ESCALATION_SETTINGS.repeatSeconds) });
+        repeatInput.value = escalationSettings.repeatSeconds;
+    });
+    vibrationSelect.addEventListener('change', () => {
+        saveEscalationSettings({ vibration: vibrationSelect.value });
+        updateVibrationFields();
+        vibrateAlert();
+    });
+    customVibrationInput.addEventListener('change', () => {
+        saveEscalationSettings({ customVibration: parseVibrationPattern(customVibrationInput.value).join(',') });
+        customVibrationInput.value = escalationSettings.customVibration;
+        vibrateAlert();
+    });
+    speechCheckbox.addEventListener('change', () => {
+        saveEscalationSettings({ speech: speechCheckbox.checked });
+    });
+    document.getElementById('test-alert-btn').addEventListener('click', () => {
+        armAlertSound();
+        const stage = alertStages[alertStages.length - 1];
+        const name = selectedStation ? selectedStation.name : t('delivery.sampleStop');
+        startAlertEscalation({
+            message: stage.message,
+            stage,
+            spoken: buildStopAnnouncement(name, stage.distance),
+            notificationBody: stage.message
+        });
+    });
+    document.getElementById('ringtone-file-input').addEventListener('change', async (e) => {
+        const file = e.target.files[0];
+        e.target.value = '';
+        if (!file) return;
+        try {
+            await saveCustomRingtone(file);
+            updateRingtoneStatus(file.name);
+            showStatus(t('delivery.ringtoneUpdated'), 'success');
+        } catch (error) {
+            console.error('Ringtone error:', error);
+            showStatus(error.message, 'error');
+        }
+    });
+    document.getElementById('ringtone-reset-btn').addEventListener('click', async () => {
+        try {
+            await clearCustomRingtone();
+            updateRingtoneStatus(null);
+            showStatus(t('delivery.ringtoneReset'), 'info');
+        } catch (error) {
+            console.error('Ringtone reset error:', error);
+            showStatus(t('delivery.ringtoneResetError'), 'error');
         }
     });
+    document.getElementById('ack-alert-btn').addEventListener('click', acknowledgeAlert);
+    document.getElementById('snooze-alert-btn').addEventListener('click', snoozeActiveAlert);
+    document.getElementById('snooze-alert-btn').textContent = t('overlay.snooze', { count: SNOOZE_MINUTES });
+
+    // Trip history
+    renderTripHistory();
+    document.getElementById('clear-replay-btn').addEventListener('click', stopReplay);
+
+    // Favorites and recent stations
+    renderQuickPicks();
+    document.getElementById('favorite-btn').addEventListener('click', toggleFavorite);
+    const quickStartCheckbox = document.getElementById('quick-start-checkbox');
+    quickStartCheckbox.checked = localStorage.getItem(QUICK_START_STORAGE_KEY) === 'true';
+    quickStartCheckbox.addEventListener('change', () => {
+        localStorage.setItem(QUICK_START_STORAGE_KEY, String(quickStartCheckbox.checked));
+    });
+
+    // Multi-stop trip controls
+    document.getElementById('add-leg-btn').addEventListener('click', (e) => {
+        isAddingLeg = !isAddingLeg;
+        e.currentTarget.classList.toggle('active', isAddingLeg);
+        if (isAddingLeg) {
+            resetStationSearch();
+            showStatus(t('trip.addLegHint'), 'info');
+        }
+    });
+    document.getElementById('clear-trip-btn').addEventListener('click', clearItinerary);
 
     // Start tracking button
     const startTrackingBtn = document.getElementById('start-tracking-btn');
@@ -642,19 +1830,66 @@ document.addEventListener('DOMContentLoaded', () => {
     // Stop tracking button
     const stopTrackingBtn = document.getElementById('stop-tracking-btn');
     stopTrackingBtn.addEventListener('click', stopTracking);
-});
 
-// Stop tracking when page is closed/hidden
-document.addEventListener('visibilitychange', () => {
-    if (document.hidden && isTracking) {
-        // Keep tracking in background if possible
-        console.log('Page hidden, tracking continues in background');
-    }
+    // Re-render everything built in code after a language switch
+    onLanguageChange(() => {
+        fillSelectOptions(trackingPolicySelect, TRACKING_POLICIES);
+        fillSelectOptions(positionSourceSelect, positionSources);
+        fillSelectOptions(geocoderSelect, GEOCODER_PROVIDERS);
+        fillSelectOptions(routingSelect, ROUTING_PROVIDERS);
+        fillSelectOptions(vibrationSelect, VIBRATION_PATTERNS);
+        document.getElementById('snooze-alert-btn').textContent = t('overlay.snooze', { count: SNOOZE_MINUTES });
+
+        if (!hasCustomAlertStages()) {
+            if (userAlertStages) {
+                userAlertStages = getDefaultAlertStages();
+            } else {
+                alertStages = getDefaultAlertStages();
+                trackingEngine.setStages(alertStages);
+            }
+        }
+        renderAlertStages();
+        updateAlertLegend();
+        updateFavoriteButton();
+        renderQuickPicks();
+        renderItinerary();
+        updateLegProgress();
+        updateGtfsStatus();
+        updateRingtoneStatus(customRingtoneName);
+        renderTripHistory();
+        refreshRealtime();
+        updateSharePanel();
+
+        if (isTracking) {
+            updateTrackingDetail();
+        }
+        if (userLocation && selectedStation) {
+            updateDistanceDisplay(getCurrentDistance());
+        }
+    });
+
+    // Shared links and QR codes; opens a station passed in the URL hash
+    initSharing();
+
+    // Scheduled commutes that start tracking by themselves
+    initSchedules();
+
+    // Offline map tiles
+    initOfflineTiles();
+
+    // Wake lock and catch-up after the page was asleep
+    initTrackingWatchdog();
+
+    // Screen reader announcements, high contrast and spoken readout
+    initAccessibility();
+
+    // Live trip progress for a contact, when opted in
+    initLiveShare();
 });
 
 // Handle page unload
 window.addEventListener('beforeunload', () => {
-    if (trackingInterval) {
-        clearInterval(trackingInterval);
-    }
+    trackingEngine.stop();
+    stopLiveShare();
+    finishTripRecording();
 });
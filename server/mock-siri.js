@@ -0,0 +1,92 @@
+// Local stand-in for a SIRI-SM stop monitoring endpoint, for development.
+// Usage: node server/mock-siri.js [port]
+// Then set the real-time URL to http://localhost:8090/siri/sm?MonitoringRef={stopCode}
+const http = require('http');
+
+const PORT = Number(process.argv[2]) || 8090;
+
+// Fake lines that serve every stop, with their headway in minutes
+const LINES = [
+    { line: '5', destination: 'תחנה מרכזית', headway: 8 },
+    { line: '18', destination: 'קניון עזריאלי', headway: 12 },
+    { line: '61', destination: 'רידינג', headway: 15 },
+    { line: '142', destination: 'חיפה - מרכזית המפרץ', headway: 25 }
+];
+
+// Build deterministic upcoming visits for a stop, so repeated requests count down
+function buildVisits(stopCode, now) {
+    const seed = Array.from(stopCode).reduce((sum, char) => sum + char.charCodeAt(0), 0);
+    const visits = [];
+
+    LINES.forEach((entry, index) => {
+        const headwayMs = entry.headway * 60000;
+        const offset = ((seed * (index + 3)) % entry.headway) * 60000;
+        let next = Math.ceil((now - offset) / headwayMs) * headwayMs + offset;
+
+        for (let i = 0; i < 3; i++, next += headwayMs) {
+            const aimed = new Date(next);
+            const expected = new Date(next + ((seed + i) % 3 - 1) * 60000);
+            visits.push({
+                RecordedAtTime: new Date(now).toISOString(),
+                MonitoringRef: stopCode,
+                MonitoredVehicleJourney: {
+                    LineRef: entry.line,
+                    PublishedLineName: entry.line,
+                    DestinationName: entry.destination,
+                    FramedVehicleJourneyRef: {
+                        DataFrameRef: aimed.toISOString().slice(0, 10),
+                        DatedVehicleJourneyRef: `${entry.line}-${next}`
+                    },
+                    MonitoredCall: {
+                        StopPointRef: stopCode,
+                        AimedArrivalTime: aimed.toISOString(),
+                        ExpectedArrivalTime: expected.toISOString()
+                    }
+                }
+            });
+        }
+    });
+
+    return visits;
+}
+
+const server = http.createServer((req, res) => {
+    const url = new URL(req.url, `http://localhost:${PORT}`);
+    const headers = {
+        'Content-Type': 'application/json; charset=utf-8',
+        'Access-Control-Allow-Origin': '*'
+    };
+
+    if (url.pathname !== '/siri/sm') {
+        res.writeHead(404, headers);
+        res.end(JSON.stringify({ error: 'Not found' }));
+        return;
+    }
+
+    const stopCode = url.searchParams.get('MonitoringRef');
+    if (!stopCode) {
+        res.writeHead(400, headers);
+        res.end(JSON.stringify({ error: 'MonitoringRef is required' }));
+        return;
+    }
+
+    const now = Date.now();
+    res.writeHead(200, headers);
+    res.end(JSON.stringify({
+        Siri: {
+            ServiceDelivery: {
+                ResponseTimestamp: new Date(now).toISOString(),
+                StopMonitoringDelivery: [{
+                    version: '2.8',
+                    ResponseTimestamp: new Date(now).toISOString(),
+                    Status: 'true',
+                    MonitoredStopVisit: buildVisits(stopCode, now)
+                }]
+            }
+        }
+    }));
+});
+
+server.listen(PORT, () => {
+    console.log(`Mock SIRI-SM server on http://localhost:${PORT}/siri/sm?MonitoringRef=<stopCode>`);
+});
@@ -0,0 +1,205 @@
+// Local stand-in for a live trip sharing relay, for development.
+// Usage: node server/trip-relay.js [port]
+// Then set the sharing URL to http://localhost:8091/trips
+//   POST /trips            - an event from the app; the first one of a trip fixes its write token
+//   GET  /trips/<tripId>   - the latest state of a trip, for the read-only viewer page
+const http = require('http');
+
+const PORT = Number(process.argv[2]) || 8091;
+const MAX_BODY_BYTES = 16 * 1024;
+const MAX_EVENTS_PER_TRIP = 20;
+const TRIP_TTL_MS = 24 * 60 * 60 * 1000; // forget trips a day after their last event
+const TRIP_ID_PATTERN = /^[0-9a-f]{16,64}$/;
+const EVENT_TYPES = ['started', 'position', 'zone', 'arrived', 'passed', 'stopped'];
+
+const CORS_HEADERS = {
+    'Content-Type': 'application/json; charset=utf-8',
+    'Access-Control-Allow-Origin': '*',
+    'Access-Control-Allow-Methods': 'GET, POST, OPTIONS',
+    'Access-Control-Allow-Headers': 'Content-Type',
+    'Cache-Control': 'no-store'
+};
+
+// tripId -> { token, state }
+const trips = new Map();
+
+// Drop trips that went quiet
+function pruneTrips(now) {
+    trips.forEach((trip, id) => {
+        if (now - trip.state.updatedAt > TRIP_TTL_MS) {
+            trips.delete(id);
+        }
+    });
+}
+
+// Read a JSON request body, refusing anything too large
+function readJsonBody(req) {
+    return new Promise((resolve, reject) => {
+        let body = '';
+        req.on('data', chunk => {
+            body += chunk;
+            if (body.length > MAX_BODY_BYTES) {
+                reject(new Error('Body too large'));
+                req.destroy();
+            }
+        });
+        req.on('end', () => {
+            try {
+                resolve(JSON.parse(body));
+            } catch (err) {
+                reject(new Error('Invalid JSON'));
+            }
+        });
+        req.on('error', reject);
+    });
+}
+
+// A {lat, lng} point with finite numbers, or null
+function readPoint(value) {
+    if (!value || typeof value !== 'object' || !Number.isFinite(value.lat) || !Number.isFinite(value.lng)) {
+        return null;
+    }
+    return { lat: value.lat, lng: value.lng };
+}
+
+// A finite number, or null
+function readNumber(value) {
+    return Number.isFinite(value) ? value : null;
+}
+
+// Keep only the fields the viewer reads, in the shapes it expects; anything else is dropped
+function sanitizeEvent(event) {
+    const rider = readPoint(event.rider);
+    const targetPoint = readPoint(event.target);
+    const target = targetPoint && typeof event.target.name === 'string'
+        ? { ...targetPoint, name: event.target.name.slice(0, 200), code: typeof event.target.code === 'string' ? event.target.code.slice(0, 50) : '' }
+        : null;
+    const leg = event.leg && typeof event.leg === 'object' && Number.isInteger(event.leg.current) && Number.isInteger(event.leg.total)
+        ? { current: event.leg.current, total: event.leg.total }
+        : null;
+    const detail = event.detail && typeof event.detail === 'object' ? event.detail : {};
+    const radius = readNumber(detail.radius);
+
+    return {
+        type: event.type,
+        time: readNumber(event.time),
+        rider: rider && { ...rider, accuracy: readNumber(event.rider.accuracy) },
+        target,
+        distance: event.distance === undefined ? undefined : readNumber(event.distance),
+        etaMinutes: event.etaMinutes === undefined ? undefined : readNumber(event.etaMinutes),
+        leg,
+        detail: radius === null ? null : { radius, message: typeof detail.message === 'string' ? detail.message.slice(0, 200) : '' }
+    };
+}
+
+// Fold an event into the trip state the viewer reads. The token never leaves the relay.
+function applyEvent(state, event, now) {
+    const { type, time, rider, target, distance, etaMinutes, leg, detail } = event;
+    const next = {
+        ...state,
+        rider: rider || state.rider,
+        target: target || state.target,
+        distance: distance === undefined ? state.distance : distance,
+        etaMinutes: etaMinutes === undefined ? state.etaMinutes : etaMinutes,
+        leg: leg || state.leg,
+        updatedAt: now
+    };
+
+    // Positions only move the marker; everything else is part of the story of the trip
+    if (type !== 'position') {
+        next.status = type;
+        next.events = state.events
+            .concat({ type, time: time || now, target: target ? target.name : null, detail: detail || null })
+            .slice(-MAX_EVENTS_PER_TRIP);
+    }
+    if (type === 'stopped') {
+        next.ended = true;
+    }
+    return next;
+}
+
+// Answer one request
+async function handleRequest(req, res, send) {
+    const url = new URL(req.url, `http://localhost:${PORT}`);
+    const now = Date.now();
+    pruneTrips(now);
+
+    if (req.method === 'OPTIONS') {
+        res.writeHead(204, CORS_HEADERS);
+        res.end();
+        return;
+    }
+
+    if (req.method === 'POST' && url.pathname === '/trips') {
+        let event;
+        try {
+            event = await readJsonBody(req);
+        } catch (err) {
+            send(400, { error: err.message });
+            return;
+        }
+
+        if (!event || typeof event !== 'object' || Array.isArray(event)) {
+            send(400, { error: 'The body must be a JSON object' });
+            return;
+        }
+        if (!TRIP_ID_PATTERN.test(event.tripId || '') || typeof event.token !== 'string' || !EVENT_TYPES.includes(event.type)) {
+            send(400, { error: 'tripId, token and a known type are required' });
+            return;
+        }
+
+        let trip = trips.get(event.tripId);
+        if (!trip) {
+            trip = {
+                token: event.token,
+                state: { tripId: event.tripId, status: null, rider: null, target: null, distance: null, etaMinutes: null, leg: null, events: [], ended: false, updatedAt: now }
+            };
+            trips.set(event.tripId, trip);
+        } else if (trip.token !== event.token) {
+            send(403, { error: 'Wrong token for this trip' });
+            return;
+        }
+
+        trip.state = applyEvent(trip.state, sanitizeEvent(event), now);
+        console.log(`${new Date(now).toISOString()} ${event.tripId.slice(0, 8)} ${event.type}` +
+            (Number.isFinite(event.distance) ? ` ${Math.round(event.distance * 1000)} m` : ''));
+        send(200, { ok: true });
+        return;
+    }
+
+    const match = url.pathname.match(/^\/trips\/([^/]+)$/);
+    if (req.method === 'GET' && match) {
+        const trip = trips.get(match[1]);
+        if (!trip) {
+            send(404, { error: 'Unknown trip' });
+            return;
+        }
+        send(200, trip.state);
+        return;
+    }
+
+    send(404, { error: 'Not found' });
+}
+
+const server = http.createServer(async (req, res) => {
+    const send = (status, body) => {
+        res.writeHead(status, CORS_HEADERS);
+        res.end(JSON.stringify(body));
+    };
+
+    // A bug in one request must not take down every shared trip
+    try {
+        await handleRequest(req, res, send);
+    } catch (err) {
+        console.error('Request failed:', err);
+        if (!res.headersSent) {
+            send(500, { error: 'Internal error' });
+        } else {
+            res.end();
+        }
+    }
+});
+
+server.listen(PORT, () => {
+    console.log(`Trip relay on http://localhost:${PORT}/trips (viewer reads /trips/<tripId>)`);
+});
@@ -0,0 +1,194 @@
+// Shareable deep links: the target stop and alert radii travel in the URL hash
+// (#stop=...&lat=...&lng=...&code=...&radius=2000,500,150&start=1), with a Share
+// button and a QR code for printing at the stop.
+const SHARE_QR_CELL_SIZE = 6;
+const SHARE_QR_MARGIN = 4;
+
+// The link for the selected station and the current alert stages
+function buildShareUrl(station, { autoStart = false } = {}) {
+    const params = new URLSearchParams({
+        stop: station.name,
+        lat: station.lat.toFixed(6),
+        lng: station.lng.toFixed(6)
+    });
+    if (station.code) {
+        params.set('code', station.code);
+    }
+    params.set('radius', alertStages.map(stage => Math.round(stage.distance * 1000)).join(','));
+    if (autoStart) {
+        params.set('start', '1');
+    }
+    return `${location.origin}${location.pathname}#${params}`;
+}
+
+// Read a shared link from a URL hash, or null when the hash holds none
+function parseShareHash(hash) {
+    const params = new URLSearchParams(hash.replace(/^#/, ''));
+    if (!params.has('lat') || !params.has('lng')) {
+        return null;
+    }
+
+    const lat = parseFloat(params.get('lat'));
+    const lng = parseFloat(params.get('lng'));
+    if (!Number.isFinite(lat) || !Number.isFinite(lng) || Math.abs(lat) > 90 || Math.abs(lng) > 180) {
+        throw new Error(t('share.invalidLink'));
+    }
+
+    const name = (params.get('stop') || '').trim() || `${lat.toFixed(5)}, ${lng.toFixed(5)}`;
+    const radii = (params.get('radius') || '')
+        .split(',')
+        .map(value => parseFloat(value) / 1000)
+        .filter(km => Number.isFinite(km) && km > 0);
+
+    return {
+        // Nominatim-shaped, as selectStation expects
+        station: { display_name: name, lat: String(lat), lon: String(lng), stop_code: params.get('code') || '' },
+        radii,
+        autoStart: params.get('start') === '1'
+    };
+}
+
+// Restore the station and alert setup from the current URL hash
+function applySharedLink() {
+    let shared;
+    try {
+        shared = parseShareHash(location.hash);
+    } catch (error) {
+        showStatus(error.message, 'error');
+        return;
+    }
+    if (!shared) return;
+
+    // Drop the hash so a reload doesn't select (or start) again
+    history.replaceState(null, '', location.pathname + location.search);
+
+    // A shared link starts a new trip rather than adding a leg
+    isAddingLeg = false;
+    document.getElementById('add-leg-btn').classList.remove('active');
+    selectStation(shared.station);
+    // The sender's rings hold for this trip only; the recipient's own stay saved
+    applyAlertRadii(shared.radii);
+    showStatus(t('share.opened'), 'success');
+
+    // Tracking and GPS start only from a tap, which also lets the alert sound play
+    if (shared.autoStart && !isTracking) {
+        showShareStartPrompt();
+    }
+}
+
+// Offer to start tracking the stop of an auto-start link
+function showShareStartPrompt() {
+    const button = document.getElementById('share-start-btn');
+    button.textContent = t('share.startPrompt', { name: selectedStation.name });
+    document.getElementById('share-start-prompt').style.display = '';
+    button.focus();
+}
+
+// Hide the offer, once tracking started or another stop was picked
+function hideShareStartPrompt() {
+    document.getElementById('share-start-prompt').style.display = 'none';
+}
+
+// Draw the QR code of a link into a container; needs the qrcode-generator script
+function renderShareQr(container, url) {
+    if (typeof qrcode === 'undefined') {
+        container.textContent = t('share.qrUnavailable');
+        return;
+    }
+
+    const qr = qrcode(0, 'M');
+    qr.addData(url); // percent-encoded, so plain ASCII
+    qr.make();
+    container.innerHTML = qr.createSvgTag({ cellSize: SHARE_QR_CELL_SIZE, margin: SHARE_QR_MARGIN, scalable: true });
+}
+
+// Refresh the share panel for the selected station, while it is open
+function updateSharePanel() {
+    if (!selectedStation || document.getElementById('share-panel').style.display === 'none') return;
+
+    const url = buildShareUrl(selectedStation, {
+        autoStart: document.getElementById('share-autostart-checkbox').checked
+    });
+    document.getElementById('share-url-input').value = url;
+    renderShareQr(document.getElementById('share-qr'), url);
+}
+
+// Share the link through the system share sheet, or copy it
+async function shareLink() {
+    const url = document.getElementById('share-url-input').value;
+    const title = t('share.title', { name: selectedStation.name });
+
+    if (navigator.share) {
+        try {
+            await navigator.share({ title, text: t('share.text', { name: selectedStation.name }), url });
+            return;
+        } catch (error) {
+            if (error.name === 'AbortError') return; // the user closed the share sheet
+            console.warn('Web Share failed:', error);
+        }
+    }
+
+    try {
+        await navigator.clipboard.writeText(url);
+        showStatus(t('share.copied'), 'success');
+    } catch (error) {
+        console.warn('Clipboard write failed:', error);
+        const input = document.getElementById('share-url-input');
+        input.focus();
+        input.select();
+    }
+}
+
+// Open a printable page with the stop name and its QR code
+function printShareQr() {
+    const win = window.open('', '_blank');
+    if (!win) return;
+
+    const doc = win.document;
+    doc.documentElement.lang = currentLanguage;
+    doc.documentElement.dir = LANGUAGES[currentLanguage].dir;
+    doc.title = t('share.title', { name: selectedStation.name });
+    doc.body.style.cssText = 'font-family: sans-serif; text-align: center; padding: 40px;';
+
+    const heading = doc.createElement('h1');
+    heading.textContent = `🚏 ${selectedStation.name}`;
+    const qr = doc.createElement('div');
+    qr.style.cssText = 'width: 320px; margin: 20px auto;';
+    renderShareQr(qr, document.getElementById('share-url-input').value);
+    const hint = doc.createElement('p');
+    hint.style.fontSize = '1.3rem';
+    hint.textContent = t('share.scanHint');
+
+    doc.body.append(heading, qr, hint);
+    win.focus();
+    win.print();
+}
+
+// Wire the share panel and follow shared links opened in this tab
+function initSharing() {
+    const panel = document.getElementById('share-panel');
+    document.getElementById('share-btn').addEventListener('click', (e) => {
+        const isOpen = panel.style.display === 'none';
+        panel.style.display = isOpen ? '' : 'none';
+        e.currentTarget.classList.toggle('active', isOpen);
+        if (isOpen) {
+            updateSharePanel();
+        }
+    });
+    document.getElementById('share-autostart-checkbox').addEventListener('change', updateSharePanel);
+    document.getElementById('share-link-btn').addEventListener('click', shareLink);
+    document.getElementById('print-qr-btn').addEventListener('click', printShareQr);
+    document.getElementById('share-start-btn').addEventListener('click', () => {
+        hideShareStartPrompt();
+        startTracking();
+    });
+    document.getElementById('share-start-dismiss-btn').addEventListener('click', hideShareStartPrompt);
+    onLanguageChange(() => {
+        if (document.getElementById('share-start-prompt').style.display !== 'none') {
+            document.getElementById('share-start-btn').textContent = t('share.startPrompt', { name: selectedStation.name });
+        }
+    });
+
+    window.addEventListener('hashchange', applySharedLink);
+    applySharedLink();
+}
@@ -0,0 +1,128 @@
+// Service worker: caches the app shell for offline start and handles alert notifications
+const CACHE_NAME = 'bus-stop-alert-v27';
+
+// Everything needed to start the app without a network
+const APP_SHELL = [
+    './',
+    'index.html',
+    'styles.css',
+    'script.js',
+    'db.js',
+    'gtfs.js',
+    'geocoder.js',
+    'history.js',
+    'tracking-engine.js',
+    'position-sources.js',
+    'realtime.js',
+    'routing.js',
+    'nearby.js',
+    'escalation.js',
+    'share.js',
+    'schedules.js',
+    'tiles.js',
+    'watchdog.js',
+    'typeahead.js',
+    'accessibility.js',
+    'live-share.js',
+    'viewer.html',
+    'viewer.js',
+    'i18n.js',
+    'locales/he.js',
+    'locales/en.js',
+    'locales/ar.js',
+    'locales/ru.js',
+    'manifest.webmanifest',
+    'icons/icon.svg',
+    'alert/a01.mp3',
+    'https://unpkg.com/leaflet@1.9.4/dist/leaflet.css',
+    'https://unpkg.com/leaflet@1.9.4/dist/leaflet.js',
+    'https://unpkg.com/qrcode-generator@1.4.4/qrcode.js'
+];
+
+// Fallback snooze delay when no page is open to handle the snooze itself
+const SNOOZE_MS = 2 * 60 * 1000;
+
+// Cache the app shell on install
+self.addEventListener('install', (event) => {
+    event.waitUntil(
+        caches.open(CACHE_NAME)
+            .then(cache => cache.addAll(APP_SHELL))
+            .then(() => self.skipWaiting())
+    );
+});
+
+// Drop caches from older versions
+self.addEventListener('activate', (event) => {
+    event.waitUntil(
+        caches.keys()
+            .then(keys => Promise.all(
+                keys.filter(key => key !== CACHE_NAME).map(key => caches.delete(key))
+            ))
+            .then(() => self.clients.claim())
+    );
+});
+
+// Serve the app shell from the cache, refreshing it in the background.
+// Everything else goes straight to the network; map tiles saved for offline use live in IndexedDB (tiles.js).
+self.addEventListener('fetch', (event) => {
+    const request = event.request;
+    if (request.method !== 'GET') return;
+
+    const url = new URL(request.url);
+    const isShell = APP_SHELL.some(path => new URL(path, self.registration.scope).href === url.href);
+    if (!isShell) return;
+
+    event.respondWith(
+        caches.open(CACHE_NAME).then(async (cache) => {
+            const cached = await cache.match(request);
+            const network = fetch(request)
+                .then(response => {
+                    if (response.ok) {
+                        cache.put(request, response.clone());
+                    }
+                    return response;
+                })
+                .catch(() => cached);
+
+            return cached || network;
+        })
+    );
+});
+
+// Handle the notification buttons ("Dismiss" / "Snooze") and plain clicks
+self.addEventListener('notificationclick', (event) => {
+    const notification = event.notification;
+    notification.close();
+
+    if (event.action === 'dismiss') {
+        return;
+    }
+
+    event.waitUntil(
+        self.clients.matchAll({ type: 'window', includeUncontrolled: true }).then(clients => {
+            if (event.action === 'snooze') {
+                // Let an open page re-alert with sound; otherwise re-show the notification ourselves
+                if (clients.length > 0) {
+                    clients.forEach(client => client.postMessage({ type: 'snooze', body: notification.body }));
+                    return undefined;
+                }
+                return new Promise(resolve => setTimeout(resolve, SNOOZE_MS))
+                    .then(() => self.registration.showNotification(notification.title, {
+                        body: notification.body,
+                        icon: notification.icon,
+                        tag: notification.tag,
+                        renotify: true,
+                        requireInteraction: true,
+                        vibrate: [200, 100, 200],
+                        actions: notification.actions
+                    }));
+            }
+
+            // Plain click: bring the app to the front
+            if (clients.length > 0) {
+                return clients[0].focus();
+            }
+            return self.clients.openWindow('./');
+        })
+    );
+});
@@ -0,0 +1,191 @@
+// Tests for the page wiring: the app scripts run in index.html order against a minimal fake DOM.
+// Run with: node --test tests/
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('node:fs');
+const path = require('node:path');
+const vm = require('node:vm');
+
+const ROOT = path.join(__dirname, '..');
+
+// The app's own scripts, in the order index.html loads them
+function getAppScripts() {
+    const html = fs.readFileSync(path.join(ROOT, 'index.html'), 'utf8');
+    return [...html.matchAll(/<script src="([^"]+)"><\/script>/g)]
+        .map(match => match[1])
+        .filter(src => !/^https?:/.test(src));
+}
+
+// Anything that is called, constructed or read returns itself; stands in for Leaflet
+function createAnything() {
+    const anything = new Proxy(function () {}, {
+        get: (target, prop) => (prop === Symbol.toPrimitive ? () => '' : anything),
+        apply: () => anything,
+        construct: () => anything
+    });
+    return anything;
+}
+
+// Just enough of the DOM for the scripts to wire themselves up
+function createFakeDocument() {
+    const elements = new Map();
+    const documentListeners = {};
+
+    const addListener = (listeners, type, listener) => {
+        (listeners[type] = listeners[type] || []).push(listener);
+    };
+    const fire = (listeners, type, event) => {
+        (listeners[type] || []).forEach(listener => listener(event));
+    };
+
+    const createElement = (tagName = 'div', id = '') => {
+        const listeners = {};
+        const attributes = {};
+        const classes = new Set();
+        const element = {
+            id,
+            tagName: tagName.toUpperCase(),
+            value: '',
+            textContent: '',
+            innerHTML: '',
+            style: {},
+            dataset: {},
+            children: [],
+            classList: {
+                add: (...names) => names.forEach(name => classes.add(name)),
+                remove: (...names) => names.forEach(name => classes.delete(name)),
+                toggle: (name, force = !classes.has(name)) => {
+                    if (force) classes.add(name); else classes.delete(name);
+                    return force;
+                },
+                contains: name => classes.has(name)
+            },
+            addEventListener: (type, listener) => addListener(listeners, type, listener),
+            removeEventListener: () => {},
+            dispatchEvent: (event) => fire(listeners, event.type, event),
+            click: () => fire(listeners, 'click', {
+                type: 'click',
+                target: element,
+                currentTarget: element,
+                preventDefault: () => {}
+            }),
+            focus: () => { fakeDocument.activeElement = element; },
+            blur: () => {},
+            select: () => {},
+            scrollIntoView: () => {},
+            setAttribute: (name, value) => { attributes[name] = String(value); },
+            getAttribute: name => (name in attributes ? attributes[name] : null),
+            removeAttribute: (name) => { delete attributes[name]; },
+            hasAttribute: name => name in attributes,
+            appendChild: (child) => { element.children.push(child); return child; },
+            append: (...nodes) => nodes.forEach(node => element.children.push(node)),
+            prepend: (...nodes) => element.children.unshift(...nodes),
+            insertBefore: (child) => { element.children.push(child); return child; },
+            replaceWith: () => {},
+            remove: () => {},
+            closest: () => null,
+            querySelector: () => null,
+            querySelectorAll: () => [],
+            getContext: () => createAnything(),
+            canPlayType: () => '',
+            load: () => {},
+            pause: () => {},
+            play: () => Promise.resolve()
+        };
+        return element;
+    };
+
+    const fakeDocument = {
+        activeElement: null,
+        hidden: false,
+        title: '',
+        documentElement: createElement('html'),
+        body: createElement('body'),
+        getElementById: (id) => {
+            if (!elements.has(id)) {
+                elements.set(id, createElement('div', id));
+            }
+            return elements.get(id);
+        },
+        createElement: tagName => createElement(tagName),
+        createTextNode: text => ({ textContent: text }),
+        querySelector: () => null,
+        querySelectorAll: () => [],
+        addEventListener: (type, listener) => addListener(documentListeners, type, listener),
+        removeEventListener: () => {},
+        dispatch: type => fire(documentListeners, type, { type, target: fakeDocument.body })
+    };
+    return fakeDocument;
+}
+
+// Load the app into a fresh context and run its DOMContentLoaded setup
+function loadApp() {
+    const document = createFakeDocument();
+    const storage = new Map();
+    const context = {
+        document,
+        console: { log() {}, info() {}, warn() {}, error() {} },
+        localStorage: {
+            getItem: key => (storage.has(key) ? storage.get(key) : null),
+            setItem: (key, value) => storage.set(key, String(value)),
+            removeItem: key => storage.delete(key)
+        },
+        navigator: { language: 'he', languages: ['he'] },
+        location: { href: 'http://localhost/', origin: 'http://localhost', pathname: '/', search: '', hash: '' },
+        history: { replaceState: () => {} },
+        matchMedia: () => ({ matches: false, addEventListener: () => {} }),
+        addEventListener: () => {},
+        removeEventListener: () => {},
+        fetch: () => Promise.reject(new Error('No network in tests')),
+        Audio: function () { return document.createElement('audio'); },
+        L: createAnything(),
+        setTimeout: () => 0,
+        clearTimeout: () => {},
+        setInterval: () => 0,
+        clearInterval: () => {},
+        requestAnimationFrame: () => 0,
+        URL,
+        URLSearchParams,
+        AbortController,
+        DOMException,
+        TextDecoder,
+        crypto: globalThis.crypto,
+        Intl
+    };
+    context.window = context;
+    context.self = context;
+    vm.createContext(context);
+
+    getAppScripts().forEach(src => {
+        const file = path.join(ROOT, src);
+        vm.runInContext(fs.readFileSync(file, 'utf8'), context, { filename: file });
+    });
+    document.dispatch('DOMContentLoaded');
+    return { context, document };
+}
+
+test('the add-stop button empties the search box and focuses it', () => {
+    const { context, document } = loadApp();
+    const input = document.getElementById('station-input');
+    const button = document.getElementById('add-leg-btn');
+    input.value = 'Dizengoff';
+
+    assert.doesNotThrow(() => button.click());
+    assert.strictEqual(input.value, '');
+    assert.strictEqual(document.activeElement, input);
+    assert.strictEqual(button.classList.contains('active'), true);
+    assert.strictEqual(vm.runInContext('isAddingLeg', context), true);
+
+    button.click();
+    assert.strictEqual(button.classList.contains('active'), false);
+    assert.strictEqual(vm.runInContext('isAddingLeg', context), false);
+});
+
+test('loaded tracks drop every point whose time goes back, even after a dropped point', () => {
+    const { context } = loadApp();
+    const track = [0, 10, 5, 8, 20].map((seconds, i) => ({ lat: 32 + i / 1000, lng: 34.8, t: seconds * 1000 }));
+
+    // Array.from builds the array here, so it compares equal to one from this realm
+    const times = Array.from(vm.runInContext('fillMissingTimes', context)(track), point => point.t / 1000);
+    assert.deepStrictEqual(times, [0, 10, 20]);
+});
@@ -0,0 +1,289 @@
+// Tests for the headless tracking engine, driven by a fake position source.
+// Run with: node --test tests/
+const test = require('node:test');
+const assert = require('node:assert');
+const { createTrackingEngine, calculateDistance, classifyMovement, getAngleDifference, getStaleAfter } = require('../tracking-engine.js');
+
+const TARGET = { name: 'Test stop', lat: 32.0853, lng: 34.7818 };
+const KM_PER_DEGREE_LAT = 6371 * Math.PI / 180;
+const STAGES = [
+    { distance: 2, message: 'prepare' },
+    { distance: 0.5, message: 'door' },
+    { distance: 0.15, message: 'bell' }
+];
+const FIX_GAP_MS = 5 * 60 * 1000; // far apart, so the smoothing filter follows each fix closely
+
+// Position source whose fixes the test sets by hand, `km` north of the target
+function createFakeSource({ unthrottled = true } = {}) {
+    const watchers = new Map();
+    let nextWatchId = 1;
+    let current = null;
+    let time = 0;
+
+    const setPosition = (km, { accuracy = 5, speed = null, gap = FIX_GAP_MS } = {}) => {
+        time += gap;
+        current = {
+            coords: { latitude: TARGET.lat + km / KM_PER_DEGREE_LAT, longitude: TARGET.lng, accuracy, speed, heading: null },
+            timestamp: time
+        };
+    };
+
+    return {
+        unthrottled,
+        isAvailable: () => true,
+        getCurrentPosition: (success) => success(current),
+        watchPosition: (success, error, options) => {
+            const id = nextWatchId++;
+            watchers.set(id, { success, error, options });
+            return id;
+        },
+        clearWatch: (id) => {
+            watchers.delete(id);
+        },
+        setPosition,
+        now: () => time,
+        // Send a new fix to every watcher
+        moveTo: (km, options) => {
+            setPosition(km, options);
+            watchers.forEach(watcher => watcher.success(current));
+        },
+        fail: (error) => watchers.forEach(watcher => watcher.error(error)),
+        watchers: () => [...watchers.values()]
+    };
+}
+
+// A running engine on a fake source, with every event recorded
+async function startEngine(startKm, { source = createFakeSource(), ...options } = {}) {
+    const engine = createTrackingEngine({ source, stages: STAGES, ...options });
+    const events = [];
+    ['position', 'distance', 'enterZone', 'exitZone', 'movingAway', 'missedStop', 'tier', 'error'].forEach(name => {
+        engine.on(name, detail => events.push({ name, ...detail }));
+    });
+
+    engine.setTarget(TARGET);
+    source.setPosition(startKm);
+    await engine.start();
+    return { engine, source, events };
+}
+
+const named = (events, name) => events.filter(event => event.name === name);
+
+test('start needs a target', async () => {
+    const engine = createTrackingEngine({ source: createFakeSource() });
+    await assert.rejects(engine.start(), /No target/);
+});
+
+test('reports the position and the distance to the target', async () => {
+    const { engine, source, events } = await startEngine(3);
+
+    assert.strictEqual(named(events, 'position').length, 1);
+    const [first] = named(events, 'distance');
+    assert.ok(Math.abs(first.distance - 3) < 0.001);
+    assert.strictEqual(first.target, TARGET);
+
+    source.moveTo(2.5);
+    const distances = named(events, 'distance');
+    assert.strictEqual(distances.length, 2);
+    assert.ok(Math.abs(distances[1].distance - 2.5) < 0.01);
+    assert.ok(Math.abs(engine.getState().distance - distances[1].distance) < 1e-9);
+});
+
+test('enters each zone once while approaching', async () => {
+    const { source, events } = await startEngine(3);
+
+    [1.8, 1.7, 0.4, 0.3, 0.1, 0.05].forEach(km => source.moveTo(km));
+
+    assert.deepStrictEqual(named(events, 'enterZone').map(event => event.stage.message), ['prepare', 'door', 'bell']);
+    assert.strictEqual(named(events, 'exitZone').length, 0);
+});
+
+test('a fast approach skips straight to the innermost zone reached', async () => {
+    const { engine, source, events } = await startEngine(3);
+
+    source.moveTo(0.4);
+    source.moveTo(1.5);
+
+    // Outer ring is marked as entered too, so backing out into it doesn't alert
+    assert.deepStrictEqual(named(events, 'enterZone').map(event => event.index), [1]);
+    assert.strictEqual(engine.getState().activeStageIndex, 0);
+});
+
+test('jitter on a ring edge does not alert twice, leaving the band re-arms it', async () => {
+    const { engine, source, events } = await startEngine(0.7);
+    const doorEntries = () => named(events, 'enterZone').filter(event => event.index === 1).length;
+
+    source.moveTo(0.49); // inside the 500 m ring
+    source.moveTo(0.52); // back out, but within the 50 m hysteresis band
+    source.moveTo(0.49);
+    assert.strictEqual(doorEntries(), 1);
+    assert.strictEqual(engine.getState().activeStageIndex, 1);
+
+    source.moveTo(0.6); // clearly out
+    const exits = named(events, 'exitZone');
+    assert.strictEqual(exits.length, 1);
+    assert.strictEqual(exits[0].index, 1);
+
+    source.moveTo(0.45);
+    assert.strictEqual(doorEntries(), 2);
+});
+
+test('drops inaccurate fixes unless nothing better arrives for a minute', async () => {
+    const { source, events } = await startEngine(1);
+
+    source.moveTo(0.5, { accuracy: 500, gap: 10000 });
+    assert.strictEqual(named(events, 'position').length, 1);
+
+    source.moveTo(0.5, { accuracy: 500, gap: 61000 });
+    assert.strictEqual(named(events, 'position').length, 2);
+});
+
+test('estimates speed and movement mode', async () => {
+    const { engine, source } = await startEngine(3);
+
+    source.moveTo(2.9, { speed: 10, gap: 10000 }); // 10 m/s from the device
+    const { movement } = engine.getState();
+    assert.ok(Math.abs(movement.speed - 36) < 1e-9);
+    assert.strictEqual(movement.mode, 'riding');
+
+    assert.strictEqual(classifyMovement(4, 'unknown'), 'walking');
+    assert.strictEqual(classifyMovement(9, 'riding'), 'riding');
+    assert.strictEqual(classifyMovement(0.5, 'walking'), 'stationary');
+});
+
+test('samples less often far away and more often near the stop', async () => {
+    const far = { beyond: 1, interval: 60000, highAccuracy: false, maximumAge: 60000 };
+    const near = { beyond: -Infinity, interval: 5000, highAccuracy: true, maximumAge: 0 };
+    const policy = { lookaheadMinutes: 0, tiers: [far, near] };
+    const source = createFakeSource({ unthrottled: false });
+    const { engine, events } = await startEngine(5, { source, policy, now: source.now });
+
+    assert.strictEqual(engine.getState().tier, far);
+    assert.strictEqual(source.watchers().length, 1);
+    assert.strictEqual(source.watchers()[0].options.enableHighAccuracy, false);
+
+    // Fixes closer together than the tier interval are ignored
+    source.moveTo(4, { gap: 1000 });
+    assert.strictEqual(named(events, 'distance').length, 1);
+
+    source.moveTo(2.5, { gap: 60000 });
+    assert.strictEqual(engine.getState().tier, near);
+    assert.strictEqual(source.watchers().length, 1);
+    assert.strictEqual(source.watchers()[0].options.enableHighAccuracy, true);
+    assert.deepStrictEqual(named(events, 'tier').map(event => event.tier), [far, near]);
+});
+
+test('reports the bearing to the target', async () => {
+    const { engine, events } = await startEngine(3);
+
+    // North of the target, so it lies due south
+    assert.ok(getAngleDifference(named(events, 'distance')[0].bearing, 180) < 0.01);
+    assert.ok(getAngleDifference(engine.getState().bearing, 180) < 0.01);
+    assert.strictEqual(getAngleDifference(350, 10), 20);
+});
+
+test('warns once about moving away after a sustained increase, and re-arms on the way back', async () => {
+    const { source, events } = await startEngine(3);
+    const ride = { gap: 10000 };
+
+    source.moveTo(2.9, ride);
+    source.moveTo(2.95, ride);
+    source.moveTo(3.0, ride);
+    assert.strictEqual(named(events, 'movingAway').length, 0); // still within the closest approach margin
+
+    source.moveTo(3.05, ride);
+    source.moveTo(3.1, ride);
+    assert.strictEqual(named(events, 'movingAway').length, 1);
+    const [warning] = named(events, 'movingAway');
+    assert.ok(warning.closestDistance < 2.95); // the smoothing filter lags a little behind 2.9
+    assert.ok(warning.distance - warning.closestDistance >= 0.15);
+    assert.ok(getAngleDifference(warning.heading, warning.bearing) > 90);
+
+    source.moveTo(3.2, ride);
+    assert.strictEqual(named(events, 'movingAway').length, 1);
+
+    // Heading back re-arms the warning; turning around again warns again
+    [3.1, 3.0, 2.9, 2.8, 2.7, 2.6].forEach(km => source.moveTo(km, ride));
+    [2.7, 2.8, 2.9, 3.0, 3.1, 3.2].forEach(km => source.moveTo(km, ride));
+    assert.strictEqual(named(events, 'movingAway').length, 2);
+    assert.strictEqual(named(events, 'missedStop').length, 0);
+});
+
+test('flags a missed stop when the ride carries on past it', async () => {
+    const { engine, source, events } = await startEngine(0.5);
+    const ride = { gap: 10000 };
+
+    // Through the innermost ring and out the other side
+    [0.3, 0.1, -0.05, -0.15, -0.25, -0.35].forEach(km => source.moveTo(km, ride));
+
+    const missed = named(events, 'missedStop');
+    assert.strictEqual(missed.length, 1);
+    assert.ok(missed[0].closestDistance < 0.06);
+    assert.strictEqual(named(events, 'movingAway').length, 0);
+    assert.ok(Math.abs(engine.getState().closestDistance - missed[0].closestDistance) < 1e-9);
+});
+
+test('walking away after getting off is not a missed stop', async () => {
+    const { source, events } = await startEngine(0.1);
+
+    // A minute per 50 m: walking pace
+    [0.05, 0.02, 0.07, 0.12, 0.17, 0.22].forEach(km => source.moveTo(km, { gap: 60000 }));
+
+    assert.strictEqual(named(events, 'missedStop').length, 0);
+});
+
+test('goes stale when fixes stop arriving, and refresh catches up through the zones', async () => {
+    const near = { beyond: -Infinity, interval: 5000, highAccuracy: true, maximumAge: 0 };
+    const source = createFakeSource();
+    let clock = 0;
+    const { engine, events } = await startEngine(0.7, {
+        source,
+        policy: { lookaheadMinutes: 0, tiers: [near] },
+        now: () => clock
+    });
+    assert.strictEqual(getStaleAfter(near), 30000); // three intervals would be 15 s; the floor wins
+
+    clock += 29000;
+    assert.strictEqual(engine.getState().isStale, false);
+    clock += 2000;
+    assert.strictEqual(engine.getState().isStale, true);
+
+    // Meanwhile the bus got close: the catch-up fix alerts right away
+    source.setPosition(0.4);
+    await engine.refresh();
+    assert.strictEqual(engine.getState().isStale, false);
+    assert.strictEqual(engine.getState().lastFixAt, clock);
+    assert.deepStrictEqual(named(events, 'enterZone').map(event => event.index), [0, 1]);
+
+    engine.stop();
+    assert.strictEqual(engine.getState().isStale, false);
+});
+
+test('a new target is measured right away and re-arms the zones', async () => {
+    const { engine, events } = await startEngine(0.1);
+    assert.strictEqual(named(events, 'enterZone').length, 1);
+
+    const next = { name: 'Next stop', lat: TARGET.lat, lng: TARGET.lng + 0.01 };
+    engine.setTarget(next);
+
+    const last = named(events, 'distance').pop();
+    assert.strictEqual(last.target, next);
+    const expected = calculateDistance(last.location.lat, last.location.lng, next.lat, next.lng);
+    assert.ok(Math.abs(last.distance - expected) < 1e-9);
+    const entries = named(events, 'enterZone');
+    assert.strictEqual(entries.length, 2);
+    assert.strictEqual(entries[1].index, 0); // ~0.95 km away: only the outer ring
+});
+
+test('stop clears the watch and forwards nothing afterwards', async () => {
+    const { engine, source, events } = await startEngine(3);
+    source.fail({ code: 3 });
+    assert.strictEqual(named(events, 'error').length, 1);
+
+    engine.stop();
+    assert.strictEqual(source.watchers().length, 0);
+    assert.strictEqual(engine.getState().isRunning, false);
+
+    const count = events.length;
+    source.moveTo(0.1);
+    assert.strictEqual(events.length, count);
+});
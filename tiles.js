@@ -0,0 +1,424 @@
+// Offline map tiles: tiles downloaded for a trip are kept in IndexedDB and served from there,
+// with a configurable tile server, a size cap and least-recently-used eviction
+const TILE_SETTINGS_STORAGE_KEY = 'busStopAlert.tiles';
+const TILE_SUBDOMAINS = ['a', 'b', 'c'];
+const TILE_MAX_ZOOM = 19;
+const TILE_OVERVIEW_ZOOMS = [10, 11, 12]; // the whole area around the trip
+const TILE_CORRIDOR_ZOOMS = [13, 14, 15, 16]; // only a strip along the path
+const TILE_CORRIDOR_BUFFER = 0.3; // km either side of the path
+const TILE_DOWNLOAD_LIMIT = 2500; // tiles per download, to keep even a permissive server's load reasonable
+const TILE_DOWNLOAD_CONCURRENCY = 2;
+const TILE_TOUCH_INTERVAL_MS = 60 * 60 * 1000; // refresh a tile's last use at most hourly
+const TILE_PROGRESS_STEP = 0.1; // report the download every 10%, so screen readers aren't flooded
+
+// The OpenStreetMap tile servers; their usage policy forbids downloading tiles for offline use
+const OSM_TILE_HOST = 'tile.openstreetmap.org';
+const LEGACY_OSM_TILE_URL = 'https://{s}.tile.openstreetmap.org/{z}/{x}/{y}.png';
+
+const DEFAULT_TILE_SETTINGS = {
+    // {z}/{x}/{y} are the tile coordinates; {s}, when present, one of a/b/c
+    urlTemplate: 'https://tile.openstreetmap.org/{z}/{x}/{y}.png',
+    maxMegabytes: 100
+};
+
+let tileSettings = loadTileSettings();
+let tileLayer = null;
+let tileDownload = null; // AbortController of the running download
+
+// Load the tile settings from local storage
+function loadTileSettings() {
+    try {
+        const saved = JSON.parse(localStorage.getItem(TILE_SETTINGS_STORAGE_KEY)) || {};
+        // The subdomains of the OSM servers are deprecated; move the old default to the new one
+        if (saved.urlTemplate === LEGACY_OSM_TILE_URL) {
+            delete saved.urlTemplate;
+        }
+        return { ...DEFAULT_TILE_SETTINGS, ...saved };
+    } catch (err) {
+        console.warn('Could not load tile settings:', err);
+        return { ...DEFAULT_TILE_SETTINGS };
+    }
+}
+
+// Save the tile settings; a new server URL applies to the map right away
+function saveTileSettings(settings) {
+    tileSettings = { ...tileSettings, ...settings };
+    localStorage.setItem(TILE_SETTINGS_STORAGE_KEY, JSON.stringify(tileSettings));
+    if (tileLayer) {
+        tileLayer.setUrl(tileSettings.urlTemplate);
+    }
+}
+
+// Fill a tile URL template. Stored tiles are keyed by the URL on the first subdomain,
+// so the same tile isn't stored three times and changing the server never mixes maps.
+function buildTileUrl(template, { x, y, z }, subdomain = TILE_SUBDOMAINS[0]) {
+    return template
+        .replace('{s}', subdomain)
+        .replace('{z}', z)
+        .replace('{x}', x)
+        .replace('{y}', y)
+        .replace('{r}', '');
+}
+
+// Whether the tile server allows saving tiles for offline use: anything but the OpenStreetMap servers
+function canDownloadTiles(template = tileSettings.urlTemplate) {
+    try {
+        const { hostname } = new URL(buildTileUrl(template, { x: 0, y: 0, z: 0 }));
+        return hostname !== OSM_TILE_HOST && !hostname.endsWith(`.${OSM_TILE_HOST}`);
+    } catch (err) {
+        return false;
+    }
+}
+
+// Tile column of a longitude at a zoom level
+function lngToTileX(lng, zoom) {
+    return Math.floor((lng + 180) / 360 * Math.pow(2, zoom));
+}
+
+// Tile row of a latitude at a zoom level (Web Mercator)
+function latToTileY(lat, zoom) {
+    const rad = toRad(lat);
+    return Math.floor((1 - Math.log(Math.tan(rad) + 1 / Math.cos(rad)) / Math.PI) / 2 * Math.pow(2, zoom));
+}
+
+// Add every tile of a zoom level that overlaps a lat/lng box
+function addTilesInBox(tiles, zoom, south, west, north, east) {
+    const max = Math.pow(2, zoom) - 1;
+    const clamp = value => Math.min(max, Math.max(0, value));
+    for (let x = clamp(lngToTileX(west, zoom)); x <= clamp(lngToTileX(east, zoom)); x++) {
+        for (let y = clamp(latToTileY(north, zoom)); y <= clamp(latToTileY(south, zoom)); y++) {
+            tiles.set(`${zoom}/${x}/${y}`, { x, y, z: zoom });
+        }
+    }
+}
+
+// The tiles worth keeping for a path: an overview of the whole area at low zoom,
+// and only a strip along the path at street level
+function getCorridorTiles(points, buffer = TILE_CORRIDOR_BUFFER) {
+    const tiles = new Map();
+    const latPad = buffer / 111.32;
+    const boxAround = (lat, lng) => {
+        const lngPad = latPad / Math.max(0.1, Math.cos(toRad(lat)));
+        return [lat - latPad, lng - lngPad, lat + latPad, lng + lngPad];
+    };
+
+    const lats = points.map(point => point.lat);
+    const lngs = points.map(point => point.lng);
+    const [south, west] = boxAround(Math.min(...lats), Math.min(...lngs));
+    const [, , north, east] = boxAround(Math.max(...lats), Math.max(...lngs));
+    TILE_OVERVIEW_ZOOMS.forEach(zoom => addTilesInBox(tiles, zoom, south, west, north, east));
+
+    // Sample the path often enough that the boxes around the samples overlap
+    const samples = [points[0]];
+    for (let i = 1; i < points.length; i++) {
+        const from = points[i - 1];
+        const to = points[i];
+        const steps = Math.ceil(calculateDistance(from.lat, from.lng, to.lat, to.lng) / buffer);
+        for (let step = 1; step <= steps; step++) {
+            samples.push({
+                lat: from.lat + (to.lat - from.lat) * step / steps,
+                lng: from.lng + (to.lng - from.lng) * step / steps
+            });
+        }
+        if (steps === 0) {
+            samples.push(to);
+        }
+    }
+    TILE_CORRIDOR_ZOOMS.forEach(zoom => {
+        samples.forEach(sample => addTilesInBox(tiles, zoom, ...boxAround(sample.lat, sample.lng)));
+    });
+
+    return [...tiles.values()];
+}
+
+// A stored tile, or undefined
+async function getStoredTile(key) {
+    const db = await openAppDb();
+    return idbRequest(db.transaction('tiles').objectStore('tiles').get(key));
+}
+
+// Store a downloaded tile
+async function putStoredTile(record) {
+    const db = await openAppDb();
+    const transaction = db.transaction('tiles', 'readwrite');
+    transaction.objectStore('tiles').put(record);
+    await idbTransactionDone(transaction);
+}
+
+// Mark a stored tile as just used, so eviction keeps it longer
+function touchStoredTile(record) {
+    if (Date.now() - record.lastUsed < TILE_TOUCH_INTERVAL_MS) return;
+    putStoredTile({ ...record, lastUsed: Date.now() }).catch(err => {
+        console.warn('Could not update tile use:', err);
+    });
+}
+
+// Count the stored tiles and their size in bytes
+async function getTileCacheStats() {
+    const db = await openAppDb();
+    const records = await idbRequest(db.transaction('tiles').objectStore('tiles').getAll());
+    return {
+        count: records.length,
+        bytes: records.reduce((sum, record) => sum + record.size, 0)
+    };
+}
+
+// Drop the least recently used tiles until the cache fits its size cap
+async function enforceTileCacheLimit() {
+    const maxBytes = tileSettings.maxMegabytes * 1024 * 1024;
+    let { bytes } = await getTileCacheStats();
+    if (bytes <= maxBytes) return 0;
+
+    const db = await openAppDb();
+    const transaction = db.transaction('tiles', 'readwrite');
+    const request = transaction.objectStore('tiles').index('lastUsed').openCursor();
+    let evicted = 0;
+
+    request.onsuccess = () => {
+        const cursor = request.result;
+        if (!cursor || bytes <= maxBytes) return;
+
+        bytes -= cursor.value.size;
+        cursor.delete();
+        evicted++;
+        cursor.continue();
+    };
+    await idbTransactionDone(transaction);
+    return evicted;
+}
+
+// Delete every stored tile
+async function clearTileCache() {
+    const db = await openAppDb();
+    const transaction = db.transaction('tiles', 'readwrite');
+    transaction.objectStore('tiles').clear();
+    await idbTransactionDone(transaction);
+}
+
+// Download and store the tiles of a path that aren't stored yet.
+// onProgress(done, total) is called after each tile; the signal cancels the rest.
+async function downloadTiles(points, { signal, onProgress } = {}) {
+    if (!canDownloadTiles()) {
+        throw new Error(t('tiles.needsOwnServer'));
+    }
+    if (!points || points.length === 0) {
+        throw new Error(t('tiles.noPath'));
+    }
+
+    const tiles = getCorridorTiles(points);
+    if (tiles.length > TILE_DOWNLOAD_LIMIT) {
+        throw new Error(t('tiles.tooMany', { count: tiles.length, limit: TILE_DOWNLOAD_LIMIT }));
+    }
+
+    const result = { downloaded: 0, skipped: 0, failed: 0 };
+    let next = 0;
+    let done = 0;
+
+    const worker = async (subdomain) => {
+        while (next < tiles.length && !(signal && signal.aborted)) {
+            const tile = tiles[next++];
+            const key = buildTileUrl(tileSettings.urlTemplate, tile);
+
+            try {
+                if (await getStoredTile(key)) {
+                    result.skipped++;
+                } else {
+                    const response = await fetch(buildTileUrl(tileSettings.urlTemplate, tile, subdomain), { signal });
+                    if (!response.ok) {
+                        throw new Error(`Tile server responded ${response.status}`);
+                    }
+                    const blob = await response.blob();
+                    await putStoredTile({ key, blob, size: blob.size, lastUsed: Date.now() });
+                    result.downloaded++;
+                }
+            } catch (err) {
+                if (err.name === 'AbortError') return;
+                console.warn(`Could not download tile ${key}:`, err);
+                result.failed++;
+            }
+
+            done++;
+            if (onProgress) {
+                onProgress(done, tiles.length);
+            }
+        }
+    };
+
+    // A couple of parallel requests, spread over the subdomains
+    await Promise.all(TILE_SUBDOMAINS.slice(0, TILE_DOWNLOAD_CONCURRENCY).map(worker));
+    await enforceTileCacheLimit();
+    return result;
+}
+
+// The base map layer: stored tiles first, the tile server for the rest
+function createOfflineTileLayer() {
+    const OfflineTileLayer = L.TileLayer.extend({
+        createTile(coords, done) {
+            const tile = document.createElement('img');
+            tile.alt = '';
+            tile.setAttribute('role', 'presentation');
+
+            let objectUrl = null;
+            const release = () => {
+                if (objectUrl) {
+                    URL.revokeObjectURL(objectUrl);
+                    objectUrl = null;
+                }
+            };
+            tile.onload = () => {
+                release();
+                done(null, tile);
+            };
+            tile.onerror = (error) => {
+                release();
+                done(error, tile);
+            };
+
+            const networkUrl = this.getTileUrl(coords);
+            getStoredTile(buildTileUrl(tileSettings.urlTemplate, coords))
+                .then(record => {
+                    if (record) {
+                        objectUrl = URL.createObjectURL(record.blob);
+                        tile.src = objectUrl;
+                        touchStoredTile(record);
+                    } else {
+                        tile.src = networkUrl;
+                    }
+                })
+                .catch(() => {
+                    tile.src = networkUrl;
+                });
+            return tile;
+        }
+    });
+
+    tileLayer = new OfflineTileLayer(tileSettings.urlTemplate, {
+        attribution: '&copy; <a href="https://www.openstreetmap.org/copyright">OpenStreetMap</a>',
+        subdomains: TILE_SUBDOMAINS,
+        maxZoom: TILE_MAX_ZOOM
+    });
+    return tileLayer;
+}
+
+// Show how many tiles are stored and how much room they take
+async function updateTileCacheStatus() {
+    const statusEl = document.getElementById('tile-cache-status');
+    try {
+        const { count, bytes } = await getTileCacheStats();
+        statusEl.textContent = t('tiles.status', {
+            count,
+            size: formatNumber(bytes / 1024 / 1024, { maximumFractionDigits: 1 }),
+            max: tileSettings.maxMegabytes
+        });
+    } catch (err) {
+        console.warn('Could not read the tile cache:', err);
+        statusEl.textContent = t('tiles.unavailable');
+    }
+}
+
+// Reflect a running download on the download button, which needs a server that allows downloads
+function updateDownloadMapButton() {
+    const button = document.getElementById('download-map-btn');
+    const allowed = canDownloadTiles();
+    button.textContent = t(tileDownload ? 'tiles.cancel' : 'tiles.download');
+    button.classList.toggle('active', Boolean(tileDownload));
+    button.disabled = !allowed && !tileDownload;
+    button.title = allowed ? '' : t('tiles.needsOwnServer');
+    document.getElementById('tile-policy-hint').style.display = allowed ? 'none' : '';
+}
+
+// Download the map along a path, reporting progress; a second call cancels
+async function downloadMapForPath(points) {
+    if (tileDownload) {
+        tileDownload.abort();
+        return;
+    }
+
+    tileDownload = new AbortController();
+    updateDownloadMapButton();
+    let reportedStep = 0;
+    try {
+        const result = await downloadTiles(points, {
+            signal: tileDownload.signal,
+            onProgress: (done, total) => {
+                const step = Math.floor(done / total / TILE_PROGRESS_STEP);
+                if (step > reportedStep && done < total) {
+                    reportedStep = step;
+                    showStatus(t('tiles.progress', { done, total }), 'info');
+                }
+            }
+        });
+        if (tileDownload.signal.aborted) {
+            showStatus(t('tiles.cancelled'), 'info');
+        } else {
+            const count = result.downloaded + result.skipped;
+            if (result.failed > 0) {
+                showStatus(t('tiles.doneWithFailures', { count, failed: result.failed }), 'warning');
+            } else {
+                showStatus(t('tiles.done', { count }), 'success');
+            }
+        }
+    } catch (error) {
+        showStatus(error.message, 'error');
+    } finally {
+        tileDownload = null;
+        updateDownloadMapButton();
+        updateTileCacheStatus();
+    }
+}
+
+// The path of the current trip: from the user (when known) through the remaining stops
+function getTripPath() {
+    const stops = itinerary.slice(currentLegIndex).map(stop => ({ lat: stop.lat, lng: stop.lng }));
+    return userLocation ? [{ lat: userLocation.lat, lng: userLocation.lng }, ...stops] : stops;
+}
+
+// Wire the offline map settings and the download button
+function initOfflineTiles() {
+    const urlInput = document.getElementById('tile-url-input');
+    urlInput.value = tileSettings.urlTemplate;
+    urlInput.placeholder = DEFAULT_TILE_SETTINGS.urlTemplate;
+    urlInput.addEventListener('change', () => {
+        saveTileSettings({ urlTemplate: urlInput.value.trim() || DEFAULT_TILE_SETTINGS.urlTemplate });
+        urlInput.value = tileSettings.urlTemplate;
+        updateTileCacheStatus();
+        updateDownloadMapButton();
+    });
+
+    const capInput = document.getElementById('tile-cap-input');
+    capInput.value = tileSettings.maxMegabytes;
+    capInput.addEventListener('change', async () => {
+        saveTileSettings({ maxMegabytes: Math.max(5, parseInt(capInput.value, 10) || DEFAULT_TILE_SETTINGS.maxMegabytes) });
+        capInput.value = tileSettings.maxMegabytes;
+        try {
+            await enforceTileCacheLimit();
+        } catch (err) {
+            console.warn('Could not trim the tile cache:', err);
+            showStatus(t('tiles.unavailable'), 'error');
+        }
+        updateTileCacheStatus();
+    });
+
+    document.getElementById('tile-clear-btn').addEventListener('click', async () => {
+        try {
+            await clearTileCache();
+            showStatus(t('tiles.cleared'), 'info');
+        } catch (err) {
+            console.warn('Could not clear the tile cache:', err);
+            showStatus(t('tiles.unavailable'), 'error');
+        }
+        updateTileCacheStatus();
+    });
+    document.getElementById('download-map-btn').addEventListener('click', () => {
+        if (selectedStation) {
+            downloadMapForPath(getTripPath());
+        }
+    });
+
+    updateTileCacheStatus();
+    updateDownloadMapButton();
+    onLanguageChange(() => {
+        updateTileCacheStatus();
+        updateDownloadMapButton();
+    });
+}
@@ -0,0 +1,531 @@
+// Headless tracking engine: filters position fixes, measures the distance to a target,
+// follows the alert zones and adapts how often the position is sampled. It knows nothing
+// about the DOM or the map, so the page is just one subscriber and tests can drive it
+// with fake positions (see tests/tracking-engine.test.js).
+//
+// Events (listener receives one detail object):
+//   position  { location, movement }            an accepted, smoothed fix
+//   distance  { distance, bearing, location, target }  distance (km) and bearing to the target after each fix
+//   enterZone { index, stage, distance }        first entry into a stage ring (the innermost reached)
+//   exitZone  { index, stage, distance }        left a stage ring beyond its hysteresis band
+//   movingAway { distance, closestDistance, heading, bearing }  the distance keeps growing; once per trend
+//   missedStop { distance, closestDistance }    came within the innermost ring and is now heading away; once per target
+//   tier      { tier }                          the sampling tier changed
+//   error     { error }                         the position source reported an error
+
+// GPS jitter filtering and alert hysteresis
+const MAX_FIX_ACCURACY = 100; // m - fixes worse than this are dropped...
+const MAX_FIX_GAP_MS = 60000; // ...unless nothing better arrived for a minute
+const MIN_FIX_ACCURACY = 5; // m - floor for the accuracy the filter trusts
+const FILTER_PROCESS_NOISE = 3; // m/s - how fast the true position may drift between fixes
+const ALERT_HYSTERESIS_MIN = 0.03; // km - minimum exit band outside a stage ring
+const ALERT_HYSTERESIS_RATIO = 0.1; // exit band as a fraction of the stage radius
+
+// Speed estimation from the rolling position history
+const POSITION_HISTORY_SIZE = 12;
+const SPEED_WINDOW_MS = 60000; // only positions from the last minute count
+const STATIONARY_MAX_SPEED = 1; // km/h
+const WALKING_MAX_SPEED = 7; // km/h - above this we may be riding
+const RIDING_MIN_SPEED = 12; // km/h - above this we are surely riding
+const HEADING_MIN_DISTANCE = 0.02; // km - shorter moves give a meaningless heading
+
+// Distance trend: heading the wrong way and passing the stop
+const TREND_JITTER = 0.01; // km - smaller changes in distance don't count as a trend step
+const MOVING_AWAY_MIN_STEPS = 3; // growing steps in a row before warning (shrinking ones re-arm it)
+const MOVING_AWAY_MIN_INCREASE = 0.15; // km beyond the closest approach before warning
+const MISSED_STOP_MIN_STEPS = 2; // growing steps in a row after the closest approach
+const MISSED_STOP_MARGIN = 0.1; // km - this far back out after reaching the innermost ring means passed
+const HEADING_AWAY_ANGLE = 90; // degrees between heading and the bearing to the target
+
+// A running engine whose last fix is older than this is stale (timers throttled, GPS lost)
+const STALE_FIX_INTERVALS = 3; // sampling intervals of the active tier...
+const STALE_FIX_MIN_MS = 30000; // ...but never less than this
+
+// Used when no policy is set: every fix, full accuracy
+const DEFAULT_TRACKING_POLICY = {
+    lookaheadMinutes: 0,
+    tiers: [{ beyond: -Infinity, interval: 0, highAccuracy: true, maximumAge: 0 }]
+};
+
+// Calculate distance using Haversine formula
+function calculateDistance(lat1, lon1, lat2, lon2) {
+    const R = 6371; // Earth's radius in kilometers
+    const dLat = toRad(lat2 - lat1);
+    const dLon = toRad(lon2 - lon1);
+
+    const a =
+        Math.sin(dLat / 2) * Math.sin(dLat / 2) +
+        Math.cos(toRad(lat1)) * Math.cos(toRad(lat2)) *
+        Math.sin(dLon / 2) * Math.sin(dLon / 2);
+
+    const c = 2 * Math.atan2(Math.sqrt(a), Math.sqrt(1 - a));
+    return R * c;
+}
+
+// Convert degrees to radians
+function toRad(degrees) {
+    return degrees * (Math.PI / 180);
+}
+
+// Calculate initial bearing (0-360, clockwise from north) between two points
+function calculateBearing(lat1, lon1, lat2, lon2) {
+    const dLon = toRad(lon2 - lon1);
+    const y = Math.sin(dLon) * Math.cos(toRad(lat2));
+    const x = Math.cos(toRad(lat1)) * Math.sin(toRad(lat2)) -
+        Math.sin(toRad(lat1)) * Math.cos(toRad(lat2)) * Math.cos(dLon);
+    return (Math.atan2(y, x) * 180 / Math.PI + 360) % 360;
+}
+
+// Movement before any fix
+function createMovement() {
+    return { speed: null, heading: null, mode: 'unknown' };
+}
+
+// Estimate speed (km/h), heading and walking/riding mode from recent fixes
+function estimateMovement(history, previous) {
+    const latest = history[history.length - 1];
+    const recent = history.filter(p => latest.timestamp - p.timestamp <= SPEED_WINDOW_MS);
+    const first = recent[0];
+
+    let speed = null;
+    const reportedSpeeds = recent.filter(p => p.speed !== null && Number.isFinite(p.speed));
+    if (reportedSpeeds.length > 0) {
+        // Prefer the device's Doppler speed when available
+        speed = reportedSpeeds.reduce((sum, p) => sum + p.speed, 0) / reportedSpeeds.length * 3.6;
+    } else if (recent.length >= 2 && latest.timestamp > first.timestamp) {
+        let pathLength = 0;
+        for (let i = 1; i < recent.length; i++) {
+            pathLength += calculateDistance(recent[i - 1].lat, recent[i - 1].lng, recent[i].lat, recent[i].lng);
+        }
+        speed = pathLength / ((latest.timestamp - first.timestamp) / 3600000);
+    }
+
+    let heading = previous.heading;
+    if (recent.length >= 2 && calculateDistance(first.lat, first.lng, latest.lat, latest.lng) >= HEADING_MIN_DISTANCE) {
+        heading = calculateBearing(first.lat, first.lng, latest.lat, latest.lng);
+    } else if (Number.isFinite(latest.heading)) {
+        heading = latest.heading;
+    }
+
+    return { speed, heading, mode: classifyMovement(speed, previous.mode) };
+}
+
+// Tell walking from riding; speeds between the thresholds keep the previous mode
+function classifyMovement(speed, previousMode) {
+    if (speed === null) return 'unknown';
+    if (speed < STATIONARY_MAX_SPEED) return 'stationary';
+    if (speed >= RIDING_MIN_SPEED) return 'riding';
+    if (speed <= WALKING_MAX_SPEED) return 'walking';
+    return previousMode === 'riding' ? 'riding' : 'walking';
+}
+
+// Smallest angle (0-180) between two bearings
+function getAngleDifference(a, b) {
+    const difference = Math.abs(a - b) % 360;
+    return difference > 180 ? 360 - difference : difference;
+}
+
+// How old (ms) the last fix may get in a tier before the position counts as stale
+function getStaleAfter(tier) {
+    return Math.max(STALE_FIX_MIN_MS, (tier ? tier.interval : 0) * STALE_FIX_INTERVALS);
+}
+
+// Width (km) of the band outside a stage ring that still counts as inside once entered
+function getHysteresisBand(stage) {
+    return Math.max(ALERT_HYSTERESIS_MIN, stage.distance * ALERT_HYSTERESIS_RATIO);
+}
+
+// Distance trend before any measurement
+function createTrend() {
+    return {
+        closestDistance: Infinity,
+        reference: null,
+        awaySteps: 0,
+        towardSteps: 0,
+        warnedMovingAway: false,
+        missedStop: false
+    };
+}
+
+// Create a tracking engine.
+// options: source (geolocation-like position source), stages (alert rings, outermost first,
+// distance in km), policy (sampling tiers), now (clock, for tests)
+function createTrackingEngine(options = {}) {
+    const listeners = {};
+    const now = options.now || Date.now;
+    let source = options.source || null;
+    let stages = options.stages || [];
+    let policy = options.policy || DEFAULT_TRACKING_POLICY;
+    let target = null;
+    let location = null;
+    let movement = createMovement();
+    let history = [];
+    let filter = null;
+    let lastAcceptedFixAt = 0;
+    let lastFixAt = 0; // when the last fix was accepted, on the engine's clock
+    let enteredStages = new Set();
+    let trend = createTrend();
+    let watchId = null;
+    let tier = null;
+    let lastUpdate = 0;
+    let running = false;
+
+    const emit = (event, detail) => {
+        (listeners[event] || []).slice().forEach(listener => listener(detail));
+    };
+
+    // Reject poor fixes, unless we have had nothing better for too long
+    const isAcceptableFix = (accuracy, timestamp) => {
+        if (!Number.isFinite(accuracy) || accuracy <= MAX_FIX_ACCURACY) {
+            return true;
+        }
+        return !location || timestamp - lastAcceptedFixAt > MAX_FIX_GAP_MS;
+    };
+
+    // Smooth positions with a simple Kalman filter. Each fix is weighted by its
+    // reported accuracy, so noisy readings barely move the estimate, while the
+    // uncertainty grows with elapsed time and current speed.
+    const filterPosition = (lat, lng, accuracy, timestamp) => {
+        const variance = Math.pow(Math.max(accuracy || 0, MIN_FIX_ACCURACY), 2);
+
+        if (!filter) {
+            filter = { lat, lng, variance, timestamp };
+            return filter;
+        }
+
+        const elapsed = Math.max(0, (timestamp - filter.timestamp) / 1000);
+        const processNoise = Math.max(FILTER_PROCESS_NOISE, (movement.speed || 0) / 3.6);
+        const predictedVariance = filter.variance + elapsed * processNoise * processNoise;
+        const gain = predictedVariance / (predictedVariance + variance);
+
+        filter = {
+            lat: filter.lat + gain * (lat - filter.lat),
+            lng: filter.lng + gain * (lng - filter.lng),
+            variance: (1 - gain) * predictedVariance,
+            timestamp
+        };
+        return filter;
+    };
+
+    // Filter a fix, store it and re-estimate movement. Returns false when it was rejected.
+    const acceptFix = (position) => {
+        const { latitude, longitude, accuracy } = position.coords;
+        const timestamp = position.timestamp || now();
+
+        if (!isAcceptableFix(accuracy, timestamp)) {
+            return false;
+        }
+
+        const filtered = filterPosition(latitude, longitude, accuracy, timestamp);
+        location = { lat: filtered.lat, lng: filtered.lng, accuracy };
+        lastAcceptedFixAt = timestamp;
+        lastFixAt = now();
+
+        history.push({
+            lat: location.lat,
+            lng: location.lng,
+            speed: position.coords.speed,       // m/s, null when the device doesn't report it
+            heading: position.coords.heading,   // degrees, null/NaN when unknown
+            timestamp
+        });
+        if (history.length > POSITION_HISTORY_SIZE) {
+            history.shift();
+        }
+        movement = estimateMovement(history, movement);
+
+        emit('position', { location, movement });
+        return true;
+    };
+
+    const getDistance = () => {
+        if (!location || !target) return null;
+        return calculateDistance(location.lat, location.lng, target.lat, target.lng);
+    };
+
+    // Find the innermost stage containing the given distance, or -1.
+    // A stage already entered stays active until we leave its hysteresis band.
+    const getActiveStageIndex = (distance) => {
+        for (let i = stages.length - 1; i >= 0; i--) {
+            const stage = stages[i];
+            if (distance <= stage.distance ||
+                (enteredStages.has(i) && distance <= stage.distance + getHysteresisBand(stage))) {
+                return i;
+            }
+        }
+        return -1;
+    };
+
+    const updateZones = (distance) => {
+        // Re-arm every stage we have clearly left (beyond its hysteresis band), so it alerts again next time
+        stages.forEach((stage, index) => {
+            if (enteredStages.has(index) && distance > stage.distance + getHysteresisBand(stage)) {
+                enteredStages.delete(index);
+                emit('exitZone', { index, stage, distance });
+            }
+        });
+
+        // Enter only once per stage; outer stages skipped by a fast approach are marked too
+        const index = getActiveStageIndex(distance);
+        if (index !== -1 && !enteredStages.has(index)) {
+            for (let i = 0; i <= index; i++) {
+                enteredStages.add(i);
+            }
+            emit('enterZone', { index, stage: stages[index], distance });
+        }
+    };
+
+    const getBearing = () => {
+        if (!location || !target) return null;
+        return calculateBearing(location.lat, location.lng, target.lat, target.lng);
+    };
+
+    // Follow whether the distance grows or shrinks, to warn about heading away and a passed stop
+    const updateTrend = (distance, bearing) => {
+        trend.closestDistance = Math.min(trend.closestDistance, distance);
+
+        // Steps are measured from the last distance that moved beyond the jitter, so slow changes still add up
+        if (trend.reference === null) {
+            trend.reference = distance;
+        } else if (distance - trend.reference > TREND_JITTER) {
+            trend.awaySteps++;
+            trend.towardSteps = 0;
+            trend.reference = distance;
+        } else if (trend.reference - distance > TREND_JITTER) {
+            trend.towardSteps++;
+            trend.awaySteps = 0;
+            trend.reference = distance;
+        }
+
+        if (trend.towardSteps >= MOVING_AWAY_MIN_STEPS) {
+            trend.warnedMovingAway = false;
+        }
+
+        // Walking away from the stop after getting off is not a missed stop
+        const innermost = stages[stages.length - 1];
+        const { closestDistance } = trend;
+        const isOnFoot = movement.mode === 'walking' || movement.mode === 'stationary';
+        if (!trend.missedStop && innermost && !isOnFoot && closestDistance <= innermost.distance &&
+            distance > closestDistance + MISSED_STOP_MARGIN && trend.awaySteps >= MISSED_STOP_MIN_STEPS) {
+            trend.missedStop = true;
+            trend.warnedMovingAway = true;
+            emit('missedStop', { distance, closestDistance });
+            return;
+        }
+
+        // A heading that still points at the target means the road bends; not the wrong way
+        const { heading } = movement;
+        const isHeadingAway = heading === null || getAngleDifference(heading, bearing) > HEADING_AWAY_ANGLE;
+        if (!trend.warnedMovingAway && trend.awaySteps >= MOVING_AWAY_MIN_STEPS &&
+            distance - closestDistance >= MOVING_AWAY_MIN_INCREASE && isHeadingAway) {
+            trend.warnedMovingAway = true;
+            emit('movingAway', { distance, closestDistance, heading, bearing });
+        }
+    };
+
+    // Pick the sampling tier for the remaining distance and current speed
+    const selectTier = (distance) => {
+        // Look ahead to where the user will be soon, so fast approaches tighten tracking early
+        const speed = movement.speed || 0;
+        const projected = Math.max(0, distance - speed * policy.lookaheadMinutes / 60);
+        const gap = projected - (stages.length > 0 ? stages[0].distance : 0);
+
+        return policy.tiers.find(candidate => gap > candidate.beyond) || policy.tiers[policy.tiers.length - 1];
+    };
+
+    const stopWatch = () => {
+        if (watchId !== null) {
+            source.clearWatch(watchId);
+            watchId = null;
+        }
+    };
+
+    // (Re)start watchPosition with the options of the given tier
+    const startWatch = (nextTier) => {
+        stopWatch();
+        tier = nextTier;
+        watchId = source.watchPosition(
+            handlePosition,
+            (error) => emit('error', { error }),
+            {
+                enableHighAccuracy: tier.highAccuracy,
+                maximumAge: tier.maximumAge,
+                timeout: Math.max(tier.interval * 3, 30000)
+            }
+        );
+        emit('tier', { tier });
+    };
+
+    // Switch tiers when the remaining distance or speed calls for more or less effort
+    const adapt = () => {
+        const distance = getDistance();
+        if (!running || distance === null) return;
+
+        const nextTier = selectTier(distance);
+        if (nextTier !== tier) {
+            startWatch(nextTier);
+        }
+    };
+
+    // Measure, update the zones and tell the subscribers
+    const update = () => {
+        const distance = getDistance();
+        if (distance === null) return;
+
+        const bearing = getBearing();
+        updateZones(distance);
+        updateTrend(distance, bearing);
+        emit('distance', { distance, bearing, location, target });
+        adapt();
+    };
+
+    // Handle a fix from watchPosition, throttled to the active tier's interval
+    function handlePosition(position) {
+        const timestamp = position.timestamp || now();
+        if (!source.unthrottled && timestamp - lastUpdate < tier.interval) {
+            return;
+        }
+        lastUpdate = timestamp;
+
+        if (acceptFix(position)) {
+            update();
+        }
+    }
+
+    const resetFilter = () => {
+        filter = null;
+        history = [];
+        movement = createMovement();
+    };
+
+    // One fix from the source, filtered like the rest; resolves with the location
+    const locate = () => new Promise((resolve, reject) => {
+        if (!source) {
+            reject(new Error('No position source'));
+            return;
+        }
+        source.getCurrentPosition(
+            (position) => {
+                acceptFix(position);
+                resolve(location);
+            },
+            reject,
+            { enableHighAccuracy: true, timeout: 10000, maximumAge: 0 }
+        );
+    });
+
+    return {
+        on: (event, listener) => {
+            (listeners[event] = listeners[event] || []).push(listener);
+        },
+        off: (event, listener) => {
+            listeners[event] = (listeners[event] || []).filter(l => l !== listener);
+        },
+
+        // The point to track (an object with lat/lng), or null
+        setTarget: (next) => {
+            target = next;
+            enteredStages.clear();
+            trend = createTrend();
+            if (running) {
+                update();
+            }
+        },
+        // Alert rings, outermost first. Changing only their messages keeps the zones already entered.
+        setStages: (next) => {
+            const sameRings = next.length === stages.length &&
+                next.every((stage, index) => stage.distance === stages[index].distance);
+            stages = next.slice();
+            if (!sameRings) {
+                enteredStages.clear();
+            }
+        },
+        setPolicy: (next) => {
+            policy = next;
+            adapt();
+        },
+        setSource: (next) => {
+            const wasRunning = running;
+            stopWatch();
+            source = next;
+            resetFilter();
+            if (wasRunning && tier) {
+                startWatch(tier);
+            }
+        },
+
+        locate,
+
+        // Take a fix right away and run it through the zones and events, e.g. when the page
+        // wakes up after its timers were throttled
+        refresh: async () => {
+            await locate();
+            if (running) {
+                update();
+            }
+            return location;
+        },
+
+        // Start watching the position; locates first if there is no fix yet
+        start: async () => {
+            if (!target) {
+                throw new Error('No target set');
+            }
+            if (running) {
+                return location;
+            }
+            if (!location) {
+                await locate();
+            }
+
+            running = true;
+            lastUpdate = now();
+            update();
+            if (!tier) {
+                startWatch(policy.tiers[0]);
+            }
+            return location;
+        },
+
+        // Stop watching and forget the zones and movement of this session
+        stop: () => {
+            stopWatch();
+            running = false;
+            tier = null;
+            lastUpdate = 0;
+            lastFixAt = 0;
+            enteredStages.clear();
+            trend = createTrend();
+            resetFilter();
+        },
+
+        getState: () => {
+            const distance = getDistance();
+            return {
+                isRunning: running,
+                location,
+                movement,
+                target,
+                distance,
+                bearing: getBearing(),
+                closestDistance: Number.isFinite(trend.closestDistance) ? trend.closestDistance : null,
+                tier,
+                lastFixAt,
+                isStale: running && now() - lastFixAt > getStaleAfter(tier),
+                activeStageIndex: distance === null ? -1 : getActiveStageIndex(distance)
+            };
+        }
+    };
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = {
+        createTrackingEngine,
+        calculateDistance,
+        calculateBearing,
+        estimateMovement,
+        classifyMovement,
+        getAngleDifference,
+        getStaleAfter,
+        getHysteresisBand
+    };
+}
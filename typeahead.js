@@ -0,0 +1,306 @@
+// As-you-type station search: debounced suggestions that cancel each other, ranked by
+// stop type and by distance from the user, in an ARIA combobox driven by the keyboard
+const TYPEAHEAD_DEBOUNCE_MS = 300;
+const TYPEAHEAD_MIN_CHARS = 2;
+const RANK_CONFIDENCE_WEIGHT = 2;
+const RANK_PROXIMITY_WEIGHT = 2;
+const RANK_PROXIMITY_SCALE = 5; // km at which a result loses half its proximity bonus
+
+let typeaheadTimer = null;
+let typeaheadController = null;
+let suggestionResults = [];
+let activeSuggestionIndex = -1;
+
+// How sure we are that a result is a place to board a bus: 1 for a stop, 0 for anything else
+function getStopConfidence(result) {
+    const name = result.display_name.toLowerCase();
+    const type = (result.type || '').toLowerCase();
+    const category = (result.class || '').toLowerCase();
+
+    if (result.stop_id || type.includes('bus_stop') || type === 'platform') return 1;
+    if (type.includes('station') || category.includes('public_transport')) return 0.7;
+    if (category.includes('highway')) return 0.5;
+    if (name.includes('תחנ') || name.includes('bus') || name.includes('station')) return 0.3;
+    return 0;
+}
+
+// How well the name of a result matches the typed text: 1 for a prefix, 0.5 anywhere in it
+function getTextMatch(result, query) {
+    const name = result.display_name.split(',')[0].toLowerCase();
+    const needle = query.trim().toLowerCase();
+    if (!needle) return 0;
+    if (name.startsWith(needle)) return 1;
+    return name.includes(needle) ? 0.5 : 0;
+}
+
+// Order results by stop type, text match and distance from the user, adding `distance` in km
+// when the user's location is known. Equal scores keep the order the search returned.
+function rankSearchResults(results, query) {
+    return results
+        .map((result, index) => {
+            const distance = userLocation
+                ? calculateDistance(userLocation.lat, userLocation.lng, parseFloat(result.lat), parseFloat(result.lon))
+                : null;
+            const proximity = distance === null ? 0 : RANK_PROXIMITY_SCALE / (RANK_PROXIMITY_SCALE + distance);
+            const score = RANK_CONFIDENCE_WEIGHT * getStopConfidence(result) +
+                getTextMatch(result, query) +
+                RANK_PROXIMITY_WEIGHT * proximity;
+            return { result: distance === null ? result : { ...result, distance }, score, index };
+        })
+        .sort((a, b) => b.score - a.score || a.index - b.index)
+        .map(ranked => ranked.result);
+}
+
+// Append `text` to an element with every occurrence of the typed words wrapped in <mark>
+function appendHighlighted(element, text, query) {
+    const words = query.trim().split(/\s+/).filter(Boolean)
+        .map(word => word.replace(/[.*+?^${}()|[\]\\]/g, '\\$&'))
+        .sort((a, b) => b.length - a.length);
+    if (words.length === 0) {
+        element.textContent = text;
+        return;
+    }
+
+    // The capture group keeps the matches in the split, at the odd indexes
+    text.split(new RegExp(`(${words.join('|')})`, 'i')).forEach((part, index) => {
+        if (!part) return;
+        if (index % 2 === 1) {
+            const mark = document.createElement('mark');
+            mark.textContent = part;
+            element.appendChild(mark);
+        } else {
+            element.appendChild(document.createTextNode(part));
+        }
+    });
+}
+
+// Close the suggestion list
+function hideSuggestions() {
+    document.getElementById('suggestions-list').classList.remove('show');
+    const input = document.getElementById('station-input');
+    input.setAttribute('aria-expanded', 'false');
+    input.removeAttribute('aria-activedescendant');
+    activeSuggestionIndex = -1;
+}
+
+// Move the keyboard highlight to a suggestion, or to none with -1
+function setActiveSuggestion(index) {
+    const input = document.getElementById('station-input');
+    const items = document.querySelectorAll('#suggestions-list .suggestion-item');
+
+    activeSuggestionIndex = index;
+    items.forEach((item, i) => {
+        item.classList.toggle('active', i === index);
+        item.setAttribute('aria-selected', String(i === index));
+    });
+
+    if (index >= 0) {
+        input.setAttribute('aria-activedescendant', items[index].id);
+        items[index].scrollIntoView({ block: 'nearest' });
+    } else {
+        input.removeAttribute('aria-activedescendant');
+    }
+}
+
+// Pick a suggestion as the station
+function chooseSuggestion(index) {
+    const result = suggestionResults[index];
+    if (!result) return;
+    hideSuggestions();
+    selectStation(result);
+}
+
+// Display search suggestions, highlighting the typed text and showing how far each one is
+function displaySuggestions(results, query = '') {
+    const suggestionsList = document.getElementById('suggestions-list');
+    suggestionsList.innerHTML = '';
+    suggestionResults = results;
+
+    if (results.length === 0) {
+        hideSuggestions();
+        return;
+    }
+
+    results.forEach((result, index) => {
+        const item = document.createElement('div');
+        item.className = 'suggestion-item';
+        item.id = `suggestion-${index}`;
+        item.setAttribute('role', 'option');
+        item.setAttribute('aria-selected', 'false');
+
+        const name = document.createElement('div');
+        name.className = 'suggestion-name';
+        // Extract station name more intelligently
+        const displayParts = result.display_name.split(',');
+        appendHighlighted(name, displayParts[0], query);
+
+        const address = document.createElement('div');
+        address.className = 'suggestion-address';
+        // Show city and area for context
+        address.textContent = displayParts.slice(1, 3).join(', ') || result.display_name;
+
+        const text = document.createElement('div');
+        text.className = 'suggestion-text';
+        text.append(name, address);
+        item.appendChild(text);
+
+        if (result.distance !== undefined) {
+            const distance = document.createElement('div');
+            distance.className = 'suggestion-distance';
+            distance.textContent = formatDistance(result.distance);
+            item.appendChild(distance);
+        }
+
+        // Keep the focus in the input, as the combobox pattern expects
+        item.addEventListener('mousedown', (e) => e.preventDefault());
+        item.addEventListener('click', () => chooseSuggestion(index));
+
+        suggestionsList.appendChild(item);
+    });
+
+    suggestionsList.classList.add('show');
+    document.getElementById('station-input').setAttribute('aria-expanded', 'true');
+    setActiveSuggestion(-1);
+}
+
+// Run a search, cancelling any that is still in flight. Typeahead searches stay quiet
+// and skip the network when the geocoder's usage policy forbids autocomplete.
+async function runStationSearch(query, { typeahead = false } = {}) {
+    clearTimeout(typeaheadTimer);
+    if (typeaheadController) {
+        typeaheadController.abort();
+    }
+
+    const controller = new AbortController();
+    typeaheadController = controller;
+    try {
+        if (typeahead && !canGeocodeAsYouType() && !(await hasGtfsStops())) {
+            return;
+        }
+        const results = await searchBusStation(query, { signal: controller.signal, typeahead });
+        // The text may have changed while the search ran without cancelling it (local stops)
+        if (!controller.signal.aborted) {
+            displaySuggestions(results, query);
+        }
+    } catch (error) {
+        if (error.name !== 'AbortError') {
+            console.error('Search error:', error);
+        }
+    } finally {
+        if (typeaheadController === controller) {
+            typeaheadController = null;
+        }
+    }
+}
+
+// Search again a moment after the user stops typing
+function scheduleTypeahead() {
+    clearTimeout(typeaheadTimer);
+    const query = document.getElementById('station-input').value.trim();
+
+    if (query.length < TYPEAHEAD_MIN_CHARS) {
+        if (typeaheadController) {
+            typeaheadController.abort();
+        }
+        displaySuggestions([]);
+        return;
+    }
+    typeaheadTimer = setTimeout(() => runStationSearch(query, { typeahead: true }), TYPEAHEAD_DEBOUNCE_MS);
+}
+
+// Empty the search box for a new search and give it the keyboard, dropping any pending one
+function resetStationSearch() {
+    clearTimeout(typeaheadTimer);
+    if (typeaheadController) {
+        typeaheadController.abort();
+    }
+    hideSuggestions();
+
+    const input = document.getElementById('station-input');
+    input.value = '';
+    input.focus();
+}
+
+// Arrow keys move through the suggestions, Enter picks one (or searches), Escape closes the list
+function handleSearchKeydown(e) {
+    const input = e.currentTarget;
+    const isOpen = input.getAttribute('aria-expanded') === 'true';
+    const count = suggestionResults.length;
+
+    switch (e.key) {
+        case 'ArrowDown':
+        case 'ArrowUp': {
+            if (count === 0) return;
+            e.preventDefault();
+            const step = e.key === 'ArrowDown' ? 1 : -1;
+            if (!isOpen) {
+                document.getElementById('suggestions-list').classList.add('show');
+                input.setAttribute('aria-expanded', 'true');
+                setActiveSuggestion(step === 1 ? 0 : count - 1);
+                return;
+            }
+            // Wraps around through "nothing highlighted", back in the input
+            if (step === 1) {
+                setActiveSuggestion(activeSuggestionIndex + 1 < count ? activeSuggestionIndex + 1 : -1);
+            } else {
+                setActiveSuggestion(activeSuggestionIndex === -1 ? count - 1 : activeSuggestionIndex - 1);
+            }
+            break;
+        }
+        case 'Enter':
+            e.preventDefault();
+            if (isOpen && activeSuggestionIndex >= 0) {
+                chooseSuggestion(activeSuggestionIndex);
+            } else {
+                document.getElementById('search-btn').click();
+            }
+            break;
+        case 'Escape':
+            if (isOpen) {
+                e.preventDefault();
+                hideSuggestions();
+            }
+            break;
+    }
+}
+
+// Wire the search input, the search button and the suggestion list
+function initTypeahead() {
+    const searchBtn = document.getElementById('search-btn');
+    const stationInput = document.getElementById('station-input');
+
+    searchBtn.addEventListener('click', async () => {
+        const query = stationInput.value.trim();
+        if (!query) {
+            showStatus(t('search.enterName'), 'error');
+            return;
+        }
+
+        searchBtn.classList.add('loading');
+        searchBtn.disabled = true;
+
+        await runStationSearch(query);
+
+        searchBtn.classList.remove('loading');
+        searchBtn.disabled = false;
+    });
+
+    stationInput.addEventListener('input', scheduleTypeahead);
+    stationInput.addEventListener('keydown', handleSearchKeydown);
+
+    // Hide suggestions when clicking outside
+    document.addEventListener('click', (e) => {
+        if (!e.target.closest('.input-group')) {
+            hideSuggestions();
+        }
+    });
+
+    // Distances are formatted for the language
+    onLanguageChange(() => {
+        if (stationInput.getAttribute('aria-expanded') === 'true') {
+            const active = activeSuggestionIndex;
+            displaySuggestions(suggestionResults, stationInput.value.trim());
+            setActiveSuggestion(active);
+        }
+    });
+}
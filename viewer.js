@@ -0,0 +1,180 @@
+// Read-only viewer of a shared trip: polls the relay named in the link
+// (viewer.html#src=<relay>/trips/<tripId>) and shows the rider, the target stop
+// and the distance on a map. It can't change anything on the rider's side.
+const VIEWER_POLL_INTERVAL_MS = 10 * 1000;
+const VIEWER_TILE_URL = 'https://tile.openstreetmap.org/{z}/{x}/{y}.png';
+
+let viewerMap;
+let riderMarker;
+let riderAccuracyCircle;
+let targetMarker;
+let viewerLine;
+let viewerTrip = null;
+let viewerError = null;
+let viewerTimer = null;
+let fittedTarget = null;
+
+// The relay URL of the trip from the link, or null when the link holds none
+function getViewerSource() {
+    const src = new URLSearchParams(location.hash.replace(/^#/, '')).get('src');
+    try {
+        const url = new URL(src);
+        return url.protocol === 'http:' || url.protocol === 'https:' ? url.toString() : null;
+    } catch (err) {
+        return null;
+    }
+}
+
+// A round marker like the ones in the app
+function createViewerIcon(color) {
+    return L.divIcon({
+        className: 'custom-marker',
+        html: `<div style="background: ${color}; width: 24px; height: 24px; border-radius: 50%; border: 4px solid white; box-shadow: 0 2px 8px rgba(0,0,0,0.3);"></div>`,
+        iconSize: [32, 32],
+        iconAnchor: [16, 16]
+    });
+}
+
+// One line about the latest thing that happened on the trip
+function describeTripEvent(event, state) {
+    const name = event.target || (state.target ? state.target.name : '');
+    if (event.type === 'zone' && event.detail) {
+        return t('viewer.status.zone', { name, distance: formatDistance(event.detail.radius) });
+    }
+    return t(`viewer.status.${event.type}`, { name });
+}
+
+// Whether a point from the relay can be put on the map
+function isMapPoint(point) {
+    return Boolean(point) && Number.isFinite(point.lat) && Number.isFinite(point.lng);
+}
+
+// Move the markers and the line between them; points the map can't show are skipped
+function drawTripOnMap(state) {
+    const hasTarget = isMapPoint(state.target);
+    const hasRider = isMapPoint(state.rider);
+
+    if (hasTarget) {
+        const targetLatLng = [state.target.lat, state.target.lng];
+        if (targetMarker) {
+            targetMarker.setLatLng(targetLatLng);
+        } else {
+            targetMarker = L.marker(targetLatLng, { icon: createViewerIcon('#FF6B35'), title: t('map.busStop') }).addTo(viewerMap);
+        }
+    }
+
+    if (hasRider) {
+        const riderLatLng = [state.rider.lat, state.rider.lng];
+        if (riderMarker) {
+            riderMarker.setLatLng(riderLatLng);
+            riderAccuracyCircle.setLatLng(riderLatLng).setRadius(Number.isFinite(state.rider.accuracy) ? state.rider.accuracy : 0);
+        } else {
+            riderAccuracyCircle = L.circle(riderLatLng, {
+                radius: Number.isFinite(state.rider.accuracy) ? state.rider.accuracy : 0,
+                color: '#3B82F6',
+                fillColor: '#3B82F6',
+                fillOpacity: 0.1,
+                weight: 1,
+                interactive: false
+            }).addTo(viewerMap);
+            riderMarker = L.marker(riderLatLng, { icon: createViewerIcon('#3B82F6'), title: t('viewer.rider') }).addTo(viewerMap);
+        }
+    }
+
+    if (hasRider && hasTarget) {
+        const points = [[state.rider.lat, state.rider.lng], [state.target.lat, state.target.lng]];
+        if (viewerLine) {
+            viewerLine.setLatLngs(points);
+        } else {
+            viewerLine = L.polyline(points, { color: '#FF6B35', weight: 4, opacity: 0.7, dashArray: '10, 10' }).addTo(viewerMap);
+        }
+
+        // Frame both once per target, then leave the map to the viewer
+        if (fittedTarget !== state.target.name) {
+            fittedTarget = state.target.name;
+            viewerMap.fitBounds(L.latLngBounds(points), { padding: [50, 50], maxZoom: 16 });
+        }
+    }
+}
+
+// Render the latest trip state, or why there is none
+function renderViewer() {
+    const status = document.getElementById('viewer-status');
+
+    if (viewerError) {
+        status.textContent = t(viewerError);
+        return;
+    }
+    if (!viewerTrip) {
+        status.textContent = t('viewer.waiting');
+        return;
+    }
+
+    const state = viewerTrip;
+    const events = state.events || [];
+    status.textContent = events.length > 0
+        ? describeTripEvent(events[events.length - 1], state)
+        : t('viewer.waiting');
+
+    document.getElementById('viewer-target').textContent = state.target ? `🚏 ${state.target.name}` : '-';
+    document.getElementById('viewer-distance').textContent = Number.isFinite(state.distance) ? formatDistance(state.distance) : '-';
+    document.getElementById('viewer-eta').textContent = Number.isFinite(state.etaMinutes)
+        ? t('viewer.eta', { duration: formatDuration(Math.max(1, state.etaMinutes)) })
+        : '';
+    document.getElementById('viewer-updated').textContent = formatTime(state.updatedAt);
+    document.getElementById('viewer-card').classList.toggle('alert-active', ['zone', 'arrived', 'passed'].includes(state.status));
+
+    const list = document.getElementById('viewer-events');
+    list.innerHTML = '';
+    events.slice().reverse().forEach(event => {
+        const item = document.createElement('li');
+        item.textContent = `${formatTime(event.time, { hour: '2-digit', minute: '2-digit' })} · ${describeTripEvent(event, state)}`;
+        list.appendChild(item);
+    });
+
+    drawTripOnMap(state);
+}
+
+// Fetch the trip from the relay, until it ends
+async function pollTrip(src) {
+    try {
+        const response = await fetch(src, { cache: 'no-store' });
+        if (response.status === 404) {
+            viewerError = viewerTrip ? 'viewer.expired' : 'viewer.notFound';
+        } else if (!response.ok) {
+            throw new Error(`Relay responded ${response.status}`);
+        } else {
+            viewerTrip = await response.json();
+            viewerError = null;
+        }
+    } catch (err) {
+        console.warn('Could not load the shared trip:', err);
+        viewerError = 'viewer.unreachable';
+    }
+
+    renderViewer();
+    if (viewerTrip && viewerTrip.ended) {
+        clearInterval(viewerTimer);
+    }
+}
+
+document.addEventListener('DOMContentLoaded', () => {
+    applyTranslations();
+    document.title = t('viewer.title');
+
+    viewerMap = L.map('viewer-map').setView([32.0853, 34.7818], 8);
+    L.tileLayer(VIEWER_TILE_URL, {
+        attribution: '&copy; <a href="https://www.openstreetmap.org/copyright">OpenStreetMap</a>',
+        maxZoom: 19
+    }).addTo(viewerMap);
+
+    const src = getViewerSource();
+    if (!src) {
+        viewerError = 'viewer.noSource';
+        renderViewer();
+        return;
+    }
+
+    pollTrip(src);
+    viewerTimer = setInterval(() => pollTrip(src), VIEWER_POLL_INTERVAL_MS);
+});
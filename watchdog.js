@@ -0,0 +1,137 @@
+// Keeping tracking honest in the background: an optional screen wake lock, a watchdog that
+// notices throttled timers and stale positions, and a catch-up fix when the page wakes up
+const WAKE_LOCK_STORAGE_KEY = 'busStopAlert.wakeLock';
+const WATCHDOG_INTERVAL_MS = 5000;
+const WATCHDOG_THROTTLED_FACTOR = 3; // a tick this many intervals late means timers were paused
+const CATCH_UP_MIN_GAP_MS = 15000; // while stale, retry the catch-up fix at most this often
+
+let wakeLock = null;
+let watchdogTimer = null;
+let lastWatchdogTick = 0;
+let lastCatchUpAt = 0;
+let isCatchingUp = false;
+
+// Whether the user wants the screen kept on while tracking
+function isWakeLockEnabled() {
+    return localStorage.getItem(WAKE_LOCK_STORAGE_KEY) === 'true';
+}
+
+// Keep the screen on while tracking, when enabled and supported.
+// The browser drops the lock whenever the page is hidden, so this runs again on return.
+async function acquireWakeLock() {
+    if (!isTracking || !isWakeLockEnabled() || !('wakeLock' in navigator) || wakeLock || document.hidden) {
+        return;
+    }
+
+    try {
+        wakeLock = await navigator.wakeLock.request('screen');
+        wakeLock.addEventListener('release', () => {
+            wakeLock = null;
+        });
+    } catch (err) {
+        // Refused e.g. in battery saver mode
+        console.warn('Wake lock request failed:', err);
+    }
+}
+
+// Let the screen turn off again
+function releaseWakeLock() {
+    if (wakeLock) {
+        wakeLock.release().catch(err => console.warn('Wake lock release failed:', err));
+        wakeLock = null;
+    }
+}
+
+// Take a fix right away and run it through the alerts, after the page was asleep or the fixes stopped
+async function catchUpTracking() {
+    if (!isTracking || isCatchingUp) return;
+
+    isCatchingUp = true;
+    lastCatchUpAt = Date.now();
+    try {
+        await trackingEngine.refresh();
+    } catch (err) {
+        console.warn('Catch-up fix failed:', err);
+    } finally {
+        isCatchingUp = false;
+        updateStaleWarning();
+    }
+}
+
+// Warn on the tracking card when the position is too old to alert on time
+function updateStaleWarning() {
+    const warning = document.getElementById('stale-warning');
+    const { isStale, lastFixAt } = trackingEngine.getState();
+
+    if (!isTracking || !isStale) {
+        warning.style.display = 'none';
+        return;
+    }
+
+    const minutes = Math.max(1, Math.round((Date.now() - lastFixAt) / 60000));
+    warning.textContent = t('tracking.stale', { duration: formatDuration(minutes) });
+    warning.style.display = 'block';
+}
+
+// Compare timestamps every few seconds: a late tick means the timers were throttled,
+// an old fix means the position stopped updating
+function checkTracking() {
+    const now = Date.now();
+    const gap = now - lastWatchdogTick;
+    lastWatchdogTick = now;
+
+    // The timers were paused, or the position is old
+    if (gap > WATCHDOG_INTERVAL_MS * WATCHDOG_THROTTLED_FACTOR ||
+        (trackingEngine.getState().isStale && now - lastCatchUpAt > CATCH_UP_MIN_GAP_MS)) {
+        catchUpTracking();
+    }
+    updateStaleWarning();
+}
+
+// Start guarding a tracking session
+function startTrackingWatchdog() {
+    stopTrackingWatchdog();
+    lastWatchdogTick = Date.now();
+    lastCatchUpAt = Date.now();
+    watchdogTimer = setInterval(checkTracking, WATCHDOG_INTERVAL_MS);
+    acquireWakeLock();
+}
+
+// Stop guarding: no timer, no wake lock, no warning
+function stopTrackingWatchdog() {
+    clearInterval(watchdogTimer);
+    watchdogTimer = null;
+    releaseWakeLock();
+    document.getElementById('stale-warning').style.display = 'none';
+}
+
+// Wire the wake lock setting and the wake-up handlers
+function initTrackingWatchdog() {
+    const checkbox = document.getElementById('wake-lock-checkbox');
+    if ('wakeLock' in navigator) {
+        checkbox.checked = isWakeLockEnabled();
+        checkbox.addEventListener('change', () => {
+            localStorage.setItem(WAKE_LOCK_STORAGE_KEY, String(checkbox.checked));
+            if (checkbox.checked) {
+                acquireWakeLock();
+            } else {
+                releaseWakeLock();
+            }
+        });
+    } else {
+        checkbox.disabled = true;
+        document.getElementById('wake-lock-unsupported').style.display = '';
+    }
+
+    // Back on screen: the timers may have been frozen, so measure now rather than at the next tick
+    document.addEventListener('visibilitychange', () => {
+        if (document.hidden) return;
+        lastWatchdogTick = Date.now();
+        acquireWakeLock();
+        catchUpTracking();
+    });
+    // Page Lifecycle API: the browser unfroze a page it had frozen
+    document.addEventListener('resume', catchUpTracking);
+
+    onLanguageChange(updateStaleWarning);
+}